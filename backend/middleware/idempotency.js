@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * Get how long an idempotency key (and its stored response) is kept
+ * @returns {Number} Hours, from IDEMPOTENCY_KEY_TTL_HOURS (default 24)
+ */
+function getKeyTtlHours() {
+  const hours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS;
+}
+
+// JSON with sorted object keys, so the same payload always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(canonicalJson({ method: req.method, path: req.originalUrl.split('?')[0], body: req.body || {} }))
+    .digest('hex');
+}
+
+// Make a balance mutation safe to retry: with an Idempotency-Key header the first successful
+// response is stored and replayed for retries instead of running the operation again.
+// Must run after authenticateToken.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  
+  if (!key) {
+    return next();
+  }
+  
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key cannot exceed 255 characters'
+    });
+  }
+  
+  try {
+    const requestHash = hashRequest(req);
+    const now = new Date();
+    let record;
+    
+    try {
+      record = await IdempotencyKey.create({
+        userId: req.user._id,
+        key,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        requestHash,
+        expiresAt: new Date(now.getTime() + getKeyTtlHours() * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      
+      const existing = await IdempotencyKey.findOne({ userId: req.user._id, key });
+      
+      // Expired but not yet removed by the TTL monitor: the key is free again
+      if (!existing || existing.expiresAt <= now) {
+        if (existing) await IdempotencyKey.deleteOne({ _id: existing._id });
+        return idempotent(req, res, next);
+      }
+      
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used for a different request'
+        });
+      }
+      
+      if (existing.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+      
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+    
+    // Store successful responses for replay; on errors release the key so the client can retry
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const stored = res.statusCode < 400
+        ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          // Round-trip through JSON so populated documents are stored as plain data
+          { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) }
+        )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+      
+      stored
+        .catch(err => console.error('Idempotency key update error:', err))
+        .then(() => originalJson(body));
+      
+      return res;
+    };
+    
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking idempotency key.'
+    });
+  }
+};
+
+module.exports = {
+  idempotent
+};
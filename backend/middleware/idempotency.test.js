@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('./idempotency');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function mockRequest({ key = 'retry-1', body = { userId: 'abc', amount: '10.00' } } = {}, userId) {
+  const headers = key ? { 'Idempotency-Key': key } : {};
+  return {
+    method: 'POST',
+    originalUrl: '/api/balance/add?source=dialog',
+    body,
+    user: { _id: userId },
+    get: name => headers[name]
+  };
+}
+
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    sent: null,
+    status: jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    }),
+    set: jest.fn((name, value) => {
+      res.headers[name] = value;
+      return res;
+    }),
+    json: jest.fn(body => {
+      res.sent = { status: res.statusCode, body };
+      return res;
+    })
+  };
+  return res;
+}
+
+// Run the middleware; when it lets the request through, send the route's response with it
+async function run(req, routeResponse = null) {
+  const res = mockResponse();
+  const next = jest.fn(() => {
+    if (routeResponse) {
+      res.status(routeResponse.status).json(routeResponse.body);
+    }
+  });
+
+  await idempotent(req, res, next);
+  await flush();
+
+  return { res, next };
+}
+
+describe('idempotent', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const duplicateKey = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  let stored;
+
+  beforeEach(() => {
+    stored = null;
+    jest.spyOn(IdempotencyKey, 'create').mockImplementation(async fields => {
+      if (stored) throw duplicateKey;
+      stored = { _id: new mongoose.Types.ObjectId(), status: 'processing', ...fields };
+      return stored;
+    });
+    jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async () => stored);
+    jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async (filter, update) => {
+      Object.assign(stored, update);
+    });
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async () => {
+      stored = null;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.IDEMPOTENCY_KEY_TTL_HOURS;
+  });
+
+  it('passes requests without a key straight through', async () => {
+    const { next } = await run(mockRequest({ key: null }, userId));
+
+    expect(next).toHaveBeenCalled();
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects keys longer than 255 characters', async () => {
+    const { res, next } = await run(mockRequest({ key: 'k'.repeat(256) }, userId));
+
+    expect(res.sent.status).toBe(400);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('stores the first successful response and replays it for a retry', async () => {
+    process.env.IDEMPOTENCY_KEY_TTL_HOURS = '2';
+    const response = { status: 200, body: { success: true, data: { newBalance: 10 } } };
+
+    const first = await run(mockRequest({}, userId), response);
+
+    expect(first.res.sent).toEqual(response);
+    expect(IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId,
+      key: 'retry-1',
+      path: '/api/balance/add'
+    }));
+    expect(stored.expiresAt.getTime() - Date.now()).toBeGreaterThan(119 * 60 * 1000);
+    expect(stored).toMatchObject({ status: 'completed', responseStatus: 200, responseBody: response.body });
+
+    // Same payload with its keys in another order
+    const retry = await run(mockRequest({ body: { amount: '10.00', userId: 'abc' } }, userId), response);
+
+    expect(retry.next).not.toHaveBeenCalled();
+    expect(retry.res.sent).toEqual(response);
+    expect(retry.res.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('releases the key when the operation fails, so it can be retried', async () => {
+    const { res } = await run(mockRequest({}, userId), { status: 400, body: { success: false } });
+
+    expect(res.sent.status).toBe(400);
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalled();
+    expect(stored).toBeNull();
+
+    const retry = await run(mockRequest({}, userId), { status: 200, body: { success: true } });
+
+    expect(retry.next).toHaveBeenCalled();
+  });
+
+  it('refuses to reuse a key for a different request', async () => {
+    await run(mockRequest({}, userId), { status: 200, body: { success: true } });
+
+    const { res, next } = await run(mockRequest({ body: { userId: 'abc', amount: '99.00' } }, userId));
+
+    expect(res.sent.status).toBe(422);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('reports a conflict while the first request is still running', async () => {
+    // The route has not responded yet
+    await run(mockRequest({}, userId));
+
+    const { res, next } = await run(mockRequest({}, userId));
+
+    expect(res.sent.status).toBe(409);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('frees an expired key the TTL monitor has not removed yet', async () => {
+    await run(mockRequest({}, userId), { status: 200, body: { success: true } });
+    stored.expiresAt = new Date(Date.now() - 1000);
+
+    const { next } = await run(mockRequest({}, userId), { status: 201, body: { success: true } });
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+    expect(stored.responseStatus).toBe(201);
+  });
+});
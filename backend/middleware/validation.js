@@ -1,4 +1,7 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { MINOR_DIGITS, toMinor } = require('../utils/money');
+const { getCurrencySettings, isSupportedCurrency } = require('../utils/currency');
+const { parseCron } = require('../utils/cron');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -119,6 +122,14 @@ const validateUserUpdate = [
   handleValidationErrors
 ];
 
+// Currency codes must be one of the configured CURRENCIES
+const checkCurrency = (value) => {
+  if (!isSupportedCurrency(value)) {
+    throw new Error(`Currency must be one of: ${getCurrencySettings().currencies.join(', ')}`);
+  }
+  return true;
+};
+
 // Balance operation validation
 const validateBalanceOperation = [
   body('userId')
@@ -132,16 +143,13 @@ const validateBalanceOperation = [
     .withMessage('Amount is required')
     .custom((value) => {
       // Handle both string and number inputs
-      const numValue = typeof value === 'number' ? value : parseFloat(value);
-      if (isNaN(numValue) || numValue <= 0 || !isFinite(numValue)) {
-        throw new Error('Amount must be a positive number greater than 0');
+      if (!(toMinor(value) > 0)) {
+        throw new Error(`Amount must be a positive number greater than 0 with at most ${MINOR_DIGITS} decimals`);
       }
       return true;
     })
-    .customSanitizer((value) => {
-      // Convert to number if it's a string
-      return typeof value === 'number' ? value : parseFloat(value);
-    }),
+    // Routes work in integer minor units
+    .customSanitizer(toMinor),
   
   body('description')
     .notEmpty()
@@ -150,6 +158,12 @@ const validateBalanceOperation = [
     .isLength({ min: 1, max: 500 })
     .withMessage('Description must be between 1 and 500 characters'),
   
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .custom(checkCurrency),
+  
   handleValidationErrors
 ];
 
@@ -222,6 +236,12 @@ const validateUserQuery = [
     .isLength({ min: 1, max: 50 })
     .withMessage('Search term must be between 1 and 50 characters'),
   
+  query('deleted')
+    .optional()
+    .isBoolean()
+    .withMessage('Deleted filter must be a boolean value (true/false)')
+    .toBoolean(),
+  
   handleValidationErrors
 ];
 
@@ -242,6 +262,17 @@ const validateTransactionQuery = [
     .isIn(['credit', 'debit'])
     .withMessage('Invalid transaction type'),
   
+  query('category')
+    .optional()
+    .isIn(['adjustment', 'transfer', 'conversion', 'reversal', 'capture', 'fee', 'commission'])
+    .withMessage('Invalid transaction category'),
+  
+  query('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .custom(checkCurrency),
+  
   query('startDate')
     .optional()
     .isISO8601()
@@ -266,6 +297,111 @@ const validateTransactionQuery = [
   handleValidationErrors
 ];
 
+// User move (re-parenting) validation
+const validateUserMove = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  body('newParentId')
+    .custom((value) => {
+      // null moves the user to the root of the hierarchy
+      if (value === null) return true;
+      if (typeof value === 'string' && /^[a-f\d]{24}$/i.test(value)) return true;
+      throw new Error('New parent ID must be a valid user ID or null');
+    }),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// User deletion validation
+const validateUserDeletion = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  query('strategy')
+    .optional()
+    .isIn(['promote', 'reassign', 'cascade_deactivate'])
+    .withMessage('Strategy must be one of: promote, reassign, cascade_deactivate'),
+  
+  query('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid reassignTo user ID'),
+  
+  query('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean value (true/false)')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// User restore validation
+const validateUserRestore = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  body('newParentId')
+    .optional()
+    .custom((value) => {
+      // null restores the user as a root
+      if (value === null) return true;
+      if (typeof value === 'string' && /^[a-f\d]{24}$/i.test(value)) return true;
+      throw new Error('New parent ID must be a valid user ID or null');
+    }),
+  
+  handleValidationErrors
+];
+
+// Downline tree query validation
+const validateTreeQuery = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  query('depth')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Depth must be between 1 and 10')
+    .toInt(),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  query('summary')
+    .optional()
+    .isBoolean()
+    .withMessage('Summary must be a boolean value (true/false)')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
 // MongoDB ObjectId validation
 const validateObjectId = (paramName) => [
   param(paramName)
@@ -275,6 +411,644 @@ const validateObjectId = (paramName) => [
   handleValidationErrors
 ];
 
+// Transaction reversal / refund validation
+const validateTransactionReversal = [
+  param('reference')
+    .trim()
+    .notEmpty()
+    .withMessage('Transaction reference is required'),
+  
+  body('amount')
+    .optional()
+    .custom((value) => {
+      if (!(toMinor(value) > 0)) {
+        throw new Error(`Refund amount must be a positive number greater than 0 with at most ${MINOR_DIGITS} decimals`);
+      }
+      return true;
+    })
+    .customSanitizer(toMinor),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Approval queue query validation
+const validateApprovalQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'expired'])
+    .withMessage('Status must be one of: pending, approved, rejected, expired'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Approve / reject validation
+const validateApprovalDecision = [
+  param('reference')
+    .trim()
+    .notEmpty()
+    .withMessage('Transaction reference is required'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Hierarchy export validation
+const validateHierarchyExport = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  query('format')
+    .isIn(['dot', 'mermaid', 'json', 'csv'])
+    .withMessage('Format must be one of: dot, mermaid, json, csv'),
+  
+  handleValidationErrors
+];
+
+// Exchange rate validation
+const validateExchangeRate = [
+  param('from')
+    .trim()
+    .toUpperCase()
+    .custom(checkCurrency),
+  
+  param('to')
+    .trim()
+    .toUpperCase()
+    .custom(checkCurrency)
+    .custom((value, { req }) => {
+      if (value === req.params.from) {
+        throw new Error('Cannot set a rate between a currency and itself');
+      }
+      return true;
+    }),
+  
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number')
+    .toFloat(),
+  
+  handleValidationErrors
+];
+
+// Currency conversion validation
+const validateCurrencyConversion = [
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  body('from')
+    .trim()
+    .toUpperCase()
+    .custom(checkCurrency),
+  
+  body('to')
+    .trim()
+    .toUpperCase()
+    .custom(checkCurrency)
+    .custom((value, { req }) => {
+      if (value === req.body.from) {
+        throw new Error('Source and target currency must differ');
+      }
+      return true;
+    }),
+  
+  body('amount')
+    .custom((value) => {
+      if (!(toMinor(value) > 0)) {
+        throw new Error(`Amount must be a positive number greater than 0 with at most ${MINOR_DIGITS} decimals`);
+      }
+      return true;
+    })
+    .customSanitizer(toMinor),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Peer-to-peer transfer validation
+const validateTransfer = [
+  body('recipientId')
+    .notEmpty()
+    .withMessage('Recipient is required')
+    .isMongoId()
+    .withMessage('Invalid recipient ID'),
+  
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .custom((value) => {
+      if (!(toMinor(value) > 0)) {
+        throw new Error(`Amount must be a positive number greater than 0 with at most ${MINOR_DIGITS} decimals`);
+      }
+      return true;
+    })
+    .customSanitizer(toMinor),
+  
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .custom(checkCurrency),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Payee search validation
+const validatePayeeQuery = [
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot exceed 100 characters'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  
+  handleValidationErrors
+];
+
+// Bulk credit upload validation; row contents are checked per row by the preview
+const validateBatchUpload = [
+  body('format')
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be one of: csv, json'),
+  
+  body('csv')
+    .if(body('format').equals('csv'))
+    .isString()
+    .withMessage('CSV text is required')
+    .notEmpty()
+    .withMessage('CSV text is required'),
+  
+  body('rows')
+    .if(body('format').equals('json'))
+    .isArray({ min: 1 })
+    .withMessage('Rows must be a non-empty array'),
+  
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .custom(checkCurrency),
+  
+  handleValidationErrors
+];
+
+// Bulk credit execution validation
+const validateBatchExecution = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid batch ID'),
+  
+  body('mode')
+    .isIn(['all_or_nothing', 'best_effort'])
+    .withMessage('Mode must be one of: all_or_nothing, best_effort'),
+  
+  handleValidationErrors
+];
+
+// Bulk credit result download validation
+const validateBatchResult = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid batch ID'),
+  
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be one of: csv, json'),
+  
+  handleValidationErrors
+];
+
+// Credit limit validation
+const validateCreditLimit = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  body('creditLimit')
+    .notEmpty()
+    .withMessage('Credit limit is required')
+    .custom((value) => {
+      if (toMinor(value) === null) {
+        throw new Error(`Credit limit must be a number of at least 0 with at most ${MINOR_DIGITS} decimals`);
+      }
+      return true;
+    })
+    .customSanitizer(toMinor),
+  
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .custom(checkCurrency),
+  
+  handleValidationErrors
+];
+
+// Velocity limit override validation; null clears an override so the role's limit applies
+const velocityAmountLimit = (field) => body(field)
+  .optional({ values: 'null' })
+  .custom((value) => {
+    if (toMinor(value) === null) {
+      throw new Error(`${field} must be a number of at least 0 with at most ${MINOR_DIGITS} decimals`);
+    }
+    return true;
+  })
+  .customSanitizer(toMinor);
+
+const validateVelocityLimits = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  velocityAmountLimit('maxPerTransaction'),
+  velocityAmountLimit('maxPerDay'),
+  velocityAmountLimit('maxPerMonth'),
+  
+  body('maxOperations')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('maxOperations must be a non-negative integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Scheduled transfer validation
+const validateScheduledTransfer = [
+  body('userId')
+    .notEmpty()
+    .withMessage('User ID is required')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .custom((value) => {
+      if (!(toMinor(value) > 0)) {
+        throw new Error(`Amount must be a positive number greater than 0 with at most ${MINOR_DIGITS} decimals`);
+      }
+      return true;
+    })
+    .customSanitizer(toMinor),
+  
+  body('description')
+    .notEmpty()
+    .withMessage('Description is required')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Description must be between 1 and 500 characters'),
+  
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .custom(checkCurrency),
+  
+  body('frequency')
+    .isIn(['once', 'daily', 'weekly', 'monthly', 'cron'])
+    .withMessage('Frequency must be one of: once, daily, weekly, monthly, cron'),
+  
+  body('cron')
+    .if(body('frequency').equals('cron'))
+    .isString()
+    .withMessage('Cron expression is required')
+    .trim()
+    .custom((value) => {
+      parseCron(value);
+      return true;
+    }),
+  
+  body('startAt')
+    .if(body('frequency').equals('once'))
+    .notEmpty()
+    .withMessage('Start time is required for a one-off transfer'),
+  
+  body('startAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date')
+    .toDate()
+    .custom((value) => {
+      if (value <= new Date()) {
+        throw new Error('Start time must be in the future');
+      }
+      return true;
+    }),
+  
+  body('endAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date')
+    .toDate()
+    .custom((value, { req }) => {
+      if (value <= (req.body.startAt || new Date())) {
+        throw new Error('End time must be after the start time');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Scheduled transfer list validation
+const validateScheduledTransferQuery = [
+  query('status')
+    .optional()
+    .isIn(['active', 'paused', 'completed', 'cancelled'])
+    .withMessage('Status must be one of: active, paused, completed, cancelled'),
+  
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Hold creation validation
+const validateHold = [
+  body('userId')
+    .notEmpty()
+    .withMessage('User ID is required')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .custom((value) => {
+      if (!(toMinor(value) > 0)) {
+        throw new Error(`Amount must be a positive number greater than 0 with at most ${MINOR_DIGITS} decimals`);
+      }
+      return true;
+    })
+    .customSanitizer(toMinor),
+  
+  body('description')
+    .notEmpty()
+    .withMessage('Description is required')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Description must be between 1 and 500 characters'),
+  
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .custom(checkCurrency),
+  
+  body('orderReference')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Order reference must be between 1 and 100 characters'),
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date')
+    .toDate()
+    .custom((value) => {
+      if (value <= new Date()) {
+        throw new Error('Expiry must be in the future');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Hold capture validation; without an amount the whole remaining hold is captured
+const validateHoldCapture = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid hold ID'),
+  
+  body('amount')
+    .optional()
+    .custom((value) => {
+      if (!(toMinor(value) > 0)) {
+        throw new Error(`Amount must be a positive number greater than 0 with at most ${MINOR_DIGITS} decimals`);
+      }
+      return true;
+    })
+    .customSanitizer(toMinor),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Description must be between 1 and 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Hold list validation
+const validateHoldQuery = [
+  query('status')
+    .optional()
+    .isIn(['active', 'captured', 'released', 'expired'])
+    .withMessage('Status must be one of: active, captured, released, expired'),
+  
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  query('orderReference')
+    .optional()
+    .trim(),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Statement validation: a calendar month or a date range of at most a year
+const validateStatement = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'pdf'])
+    .withMessage('Format must be csv or pdf'),
+  
+  query('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .custom(checkCurrency),
+  
+  query('month')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Month must be in YYYY-MM format'),
+  
+  query('startDate')
+    .if(query('month').not().exists())
+    .notEmpty()
+    .withMessage('Either month or startDate and endDate are required')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date')
+    .toDate(),
+  
+  query('endDate')
+    .if(query('month').not().exists())
+    .notEmpty()
+    .withMessage('Either month or startDate and endDate are required')
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date')
+    // The range is inclusive, so a bare date covers the whole of that (UTC) day
+    .customSanitizer(value => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value))
+    .toDate()
+    .custom((value, { req }) => {
+      const start = new Date(req.query.startDate);
+      if (value < start) {
+        throw new Error('End date must not be before the start date');
+      }
+      if (value - start > 366 * 24 * 60 * 60 * 1000) {
+        throw new Error('A statement can cover at most one year');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Notification list validation
+const validateNotificationQuery = [
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false')
+    .toBoolean(),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Balance discrepancy list validation
+const validateDiscrepancyQuery = [
+  query('status')
+    .optional()
+    .isIn(['open', 'acknowledged', 'resolved'])
+    .withMessage('Status must be one of: open, acknowledged, resolved'),
+  
+  query('type')
+    .optional()
+    .isIn(['chain_gap', 'amount_mismatch', 'balance_mismatch'])
+    .withMessage('Type must be one of: chain_gap, amount_mismatch, balance_mismatch'),
+  
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Balance discrepancy acknowledgement/resolution validation; resolving needs a note
+const validateDiscrepancyDecision = (requireNote) => [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid discrepancy ID'),
+  
+  body('note')
+    .if((value, { req }) => requireNote || value !== undefined)
+    .trim()
+    .notEmpty()
+    .withMessage('Note is required')
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
 module.exports = {
   validateRegistration,
   validateLogin,
@@ -284,5 +1058,31 @@ module.exports = {
   validateUserQuery,
   validateTransactionQuery,
   validateObjectId,
+  validateUserMove,
+  validateUserDeletion,
+  validateUserRestore,
+  validateTreeQuery,
+  validateHierarchyExport,
+  validateTransactionReversal,
+  validateApprovalQuery,
+  validateApprovalDecision,
+  validateExchangeRate,
+  validateCurrencyConversion,
+  validateTransfer,
+  validatePayeeQuery,
+  validateBatchUpload,
+  validateBatchExecution,
+  validateBatchResult,
+  validateCreditLimit,
+  validateVelocityLimits,
+  validateScheduledTransfer,
+  validateScheduledTransferQuery,
+  validateNotificationQuery,
+  validateHold,
+  validateHoldCapture,
+  validateHoldQuery,
+  validateStatement,
+  validateDiscrepancyQuery,
+  validateDiscrepancyDecision,
   handleValidationErrors
 };
\ No newline at end of file
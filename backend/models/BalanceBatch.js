@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { fromMinor, withMajorUnits, minorUnitsValidator } = require('../utils/money');
+
+const ROW_STATUSES = ['valid', 'invalid', 'completed', 'failed', 'skipped'];
+
+// One credit of a bulk batch, as submitted and as it turned out
+const batchRowSchema = new mongoose.Schema({
+  // 1-based position in the submitted rows, not counting the CSV header
+  line: {
+    type: Number,
+    required: true
+  },
+  // userId or username exactly as submitted
+  userRef: {
+    type: String,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  username: {
+    type: String,
+    default: null
+  },
+  // Minor units; null when the submitted amount could not be parsed
+  amount: {
+    type: Number,
+    default: null,
+    validate: {
+      validator: value => value === null || minorUnitsValidator.validator(value),
+      message: minorUnitsValidator.message
+    }
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ROW_STATUSES,
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Credit leg written for the row
+  transactionReference: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// A bulk /add: previewed first, then executed once all-or-nothing or best-effort
+const balanceBatchSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  status: {
+    type: String,
+    enum: ['previewed', 'processing', 'completed', 'partial', 'failed'],
+    default: 'previewed'
+  },
+  mode: {
+    type: String,
+    enum: ['all_or_nothing', 'best_effort', null],
+    default: null
+  },
+  rows: {
+    type: [batchRowSchema],
+    default: []
+  },
+  executedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.rows = ret.rows.map(row => withMajorUnits(row, ['amount']));
+      return ret;
+    }
+  }
+});
+
+// Row counts per status and the total of the rows that are (or were) going to be credited, in major units
+balanceBatchSchema.methods.getSummary = function() {
+  const counts = Object.fromEntries(ROW_STATUSES.map(status => [status, 0]));
+  let totalAmount = 0;
+
+  for (const row of this.rows) {
+    counts[row.status] += 1;
+    if (['valid', 'completed'].includes(row.status)) {
+      totalAmount += row.amount;
+    }
+  }
+
+  return { rows: this.rows.length, ...counts, totalAmount: fromMinor(totalAmount) };
+};
+
+// Index for better query performance
+balanceBatchSchema.index({ createdBy: 1, createdAt: -1 });
+balanceBatchSchema.index({ status: 1 });
+
+module.exports = mongoose.model('BalanceBatch', balanceBatchSchema);
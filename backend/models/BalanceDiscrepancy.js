@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { majorUnitsTransform } = require('../utils/money');
+
+// A break in a wallet's transaction chain found by balance reconciliation (see
+// utils/balanceReconciliation.js):
+//   chain_gap         a transaction's previousBalance isn't the newBalance of the one before it
+//   amount_mismatch   a transaction's previousBalance and newBalance differ by more or less than its amount
+//   balance_mismatch  the wallet balance isn't the newBalance of its latest transaction (or
+//                     isn't zero when the wallet has no transactions)
+// expected, actual and difference are integer minor units
+const balanceDiscrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['chain_gap', 'amount_mismatch', 'balance_mismatch'],
+    required: true
+  },
+  // Identifies the same problem across runs so it is recorded once
+  fingerprint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // The transaction where the chain breaks (the latest one for balance_mismatch)
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  reference: {
+    type: String,
+    default: null
+  },
+  // The transaction before it in the chain (chain_gap only)
+  previousReference: {
+    type: String,
+    default: null
+  },
+  expected: {
+    type: Number,
+    required: true
+  },
+  actual: {
+    type: Number,
+    required: true
+  },
+  difference: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  firstDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last reconciliation run that still found it
+  lastDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  // No resolvedBy when reconciliation stopped finding it
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { transform: majorUnitsTransform(['expected', 'actual', 'difference']) }
+});
+
+// Index for better query performance
+balanceDiscrepancySchema.index({ status: 1, type: 1, lastDetectedAt: -1 });
+balanceDiscrepancySchema.index({ userId: 1, currency: 1 });
+
+module.exports = mongoose.model('BalanceDiscrepancy', balanceDiscrepancySchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Admin-managed rate for converting between two of a user's wallets. Rates are directional:
+// from -> to and to -> from are separate entries so buy and sell rates can differ
+const exchangeRateSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  to: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // Units of `to` received per unit of `from`
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Rate cannot be negative']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+exchangeRateSchema.index({ from: 1, to: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
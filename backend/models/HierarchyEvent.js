@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const hierarchyEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['move', 'delete', 'restore', 'purge'],
+    required: true
+  },
+  fromParent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  toParent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  subtreeSize: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Not set for purges, which are run by the retention job rather than a user
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.action !== 'purge'; }
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+hierarchyEventSchema.index({ userId: 1, createdAt: -1 });
+hierarchyEventSchema.index({ performedBy: 1 });
+hierarchyEventSchema.index({ action: 1 });
+
+module.exports = mongoose.model('HierarchyEvent', hierarchyEventSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { fromMinor, minorUnitsValidator } = require('../utils/money');
+
+// A partial or full capture of a hold
+const captureSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    validate: minorUnitsValidator
+  },
+  // Debit leg written for the capture
+  transactionReference: {
+    type: String,
+    required: true
+  },
+  capturedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Funds set aside on a wallet (through its reservedBalance) until they are captured, released or
+// the hold expires. Money fields are integer minor units
+const holdSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Amount must be greater than 0'],
+    validate: minorUnitsValidator
+  },
+  capturedAmount: {
+    type: Number,
+    default: 0,
+    validate: minorUnitsValidator
+  },
+  status: {
+    type: String,
+    enum: ['active', 'captured', 'released', 'expired'],
+    default: 'active'
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // The caller's reference for what the funds are held for, e.g. an order number
+  orderReference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Order reference cannot exceed 100 characters'],
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  captures: {
+    type: [captureSchema],
+    default: []
+  },
+  // When and by whom the hold stopped being active (no closedBy for expiry)
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      // Only an active hold still reserves anything
+      ret.remainingAmount = fromMinor(ret.status === 'active' ? ret.amount - ret.capturedAmount : 0);
+      ret.amount = fromMinor(ret.amount);
+      ret.capturedAmount = fromMinor(ret.capturedAmount);
+      ret.captures = ret.captures.map(capture => ({ ...capture, amount: fromMinor(capture.amount) }));
+      return ret;
+    }
+  }
+});
+
+// Index for better query performance
+holdSchema.index({ userId: 1, createdAt: -1 });
+holdSchema.index({ createdBy: 1, createdAt: -1 });
+holdSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Hold', holdSchema);
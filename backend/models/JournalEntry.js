@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { minorUnitsValidator } = require('../utils/money');
+
+// One side of a journal entry. A positive amount increases the account's balance,
+// a negative one decreases it; amounts are integer minor units (see utils/money.js)
+const postingSchema = new mongoose.Schema({
+  // 'user:<id>' for wallets, 'system:<name>' for the system accounts in utils/ledger.js
+  account: {
+    type: String,
+    required: true,
+    match: [/^(user:[0-9a-f]{24}|system:[a-z_]+)$/, 'Invalid ledger account']
+  },
+  // Wallet owner for user accounts, kept as a field so postings can be indexed by user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    validate: [
+      minorUnitsValidator,
+      { validator: amount => amount !== 0, message: 'Posting amount cannot be zero' }
+    ]
+  }
+}, { _id: false });
+
+// Append-only record of one money movement. The postings of an entry sum to zero in
+// every currency, so money is only ever moved between accounts, never created or lost
+const journalEntrySchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['issue', 'redeem', 'transfer', 'conversion', 'reversal', 'charge', 'opening_balance'],
+    required: true
+  },
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: postings => postings.length >= 2,
+      message: 'A journal entry needs at least two postings'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: null
+  },
+  // Balance operation (Transaction.operationId) the entry belongs to; none for opening balances
+  operationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+journalEntrySchema.pre('validate', function(next) {
+  const totals = new Map();
+
+  for (const posting of this.postings) {
+    totals.set(posting.currency, (totals.get(posting.currency) || 0) + posting.amount);
+  }
+
+  const unbalanced = [...totals].find(([, total]) => total !== 0);
+
+  if (unbalanced) {
+    this.invalidate('postings', `Postings in ${unbalanced[0]} do not sum to zero`);
+  }
+  next();
+});
+
+// Index for better query performance
+journalEntrySchema.index({ 'postings.account': 1, 'postings.currency': 1 });
+journalEntrySchema.index({ 'postings.userId': 1 });
+journalEntrySchema.index({ operationId: 1 });
+journalEntrySchema.index({ kind: 1 });
+journalEntrySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
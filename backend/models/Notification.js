@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A message for one user about something that happened without them, e.g. a failed scheduled
+// transfer or a credit limit running low
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['scheduled_transfer_failed', 'credit_utilization', 'balance_discrepancy'],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  // Type-specific details, e.g. the scheduled transfer ID or the wallet's credit figures
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+notificationSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
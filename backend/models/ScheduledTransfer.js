@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { majorUnitsTransform, minorUnitsValidator } = require('../utils/money');
+
+const FREQUENCIES = ['once', 'daily', 'weekly', 'monthly', 'cron'];
+
+// One execution of a scheduled transfer
+const runSchema = new mongoose.Schema({
+  // Occurrence the run was due for; runs missed while the server was down are collapsed into one
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  executedAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Credit leg written by the run
+  transactionReference: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// A future or recurring /add, executed by the in-process scheduler as the admin who created it
+const scheduledTransferSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Minor units
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Amount must be positive'],
+    validate: minorUnitsValidator
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  cron: {
+    type: String,
+    default: null,
+    required: function() { return this.frequency === 'cron'; }
+  },
+  // First run for once/daily/weekly/monthly; cron schedules fire from this time on
+  startAt: {
+    type: Date,
+    required: true
+  },
+  endAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  // Null once there are no further runs
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  // Most recent runs, oldest first (capped at MAX_RUN_HISTORY)
+  runs: {
+    type: [runSchema],
+    default: []
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { transform: majorUnitsTransform(['amount']) }
+});
+
+// Index for better query performance
+scheduledTransferSchema.index({ status: 1, nextRunAt: 1 });
+scheduledTransferSchema.index({ createdBy: 1, createdAt: -1 });
+scheduledTransferSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('ScheduledTransfer', scheduledTransferSchema);
@@ -1,28 +1,86 @@
 const mongoose = require('mongoose');
+const { TRANSACTION_MONEY_FIELDS, majorUnitsTransform, minorUnitsValidator } = require('../utils/money');
+
+// Maker-checker state for operations above the approval threshold (see utils/approvals.js)
+const approvalSchema = new mongoose.Schema({
+  operation: {
+    type: String,
+    enum: ['add', 'deduct'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  }
+}, { _id: false });
 
 const transactionSchema = new mongoose.Schema({
+  // userId/performedBy are cleared when the referenced user is purged and the row anonymized
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return !this.anonymized; }
   },
   type: {
     type: String,
     enum: ['credit', 'debit'],
     required: true
   },
+  // What produced the leg: an admin add/deduct, a user-to-user transfer, a conversion, a reversal,
+  // the capture of a hold, or a fee or commission charged on an admin credit
+  category: {
+    type: String,
+    enum: ['adjustment', 'transfer', 'conversion', 'reversal', 'capture', 'fee', 'commission'],
+    default: 'adjustment'
+  },
+  // Wallet the leg moved money in; amounts and balances are in this currency
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // Money fields are integer minor units (see utils/money.js)
   amount: {
     type: Number,
     required: true,
-    min: [0.01, 'Amount must be greater than 0']
+    min: [1, 'Amount must be greater than 0'],
+    validate: minorUnitsValidator
   },
   previousBalance: {
     type: Number,
-    required: true
+    required: true,
+    validate: minorUnitsValidator
   },
   newBalance: {
     type: Number,
-    required: true
+    required: true,
+    validate: minorUnitsValidator
   },
   description: {
     type: String,
@@ -33,7 +91,7 @@ const transactionSchema = new mongoose.Schema({
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return !this.anonymized; }
   },
   status: {
     type: String,
@@ -48,29 +106,100 @@ const transactionSchema = new mongoose.Schema({
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
+  },
+  anonymized: {
+    type: Boolean,
+    default: false
+  },
+  // Shared by every leg written by one balance operation (e.g. the credit and the payer debit of /add)
+  operationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Ledger entry that moved the money; not set on pending legs or rows from before the ledger
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null
+  },
+  // Bulk batch (see models/BalanceBatch.js) the leg was written by
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BalanceBatch',
+    default: null
+  },
+  // Hold (see models/Hold.js) the leg captured
+  holdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hold',
+    default: null
+  },
+  // Set on fee and commission legs: reference of the credit they were charged on
+  chargeOf: {
+    type: String,
+    default: null
+  },
+  // Set on compensating legs: reference of the leg they reverse
+  reversalOf: {
+    type: String,
+    default: null
+  },
+  // Set on reversed legs. The original keeps status 'completed' so it still nets out
+  // against its compensating leg in balances and statistics
+  reversalStatus: {
+    type: String,
+    enum: ['none', 'partial', 'full'],
+    default: 'none'
+  },
+  reversedAmount: {
+    type: Number,
+    default: 0,
+    validate: minorUnitsValidator
+  },
+  reversedAt: {
+    type: Date,
+    default: null
+  },
+  approval: {
+    type: approvalSchema,
+    default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { transform: majorUnitsTransform(TRANSACTION_MONEY_FIELDS) }
 });
 
 // Generate unique reference number
+transactionSchema.statics.generateReference = function() {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  return `TXN-${timestamp}-${random}`.toUpperCase();
+};
+
 transactionSchema.pre('save', function(next) {
   if (!this.reference) {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substr(2, 5);
-    this.reference = `TXN-${timestamp}-${random}`.toUpperCase();
+    this.reference = this.constructor.generateReference();
   }
   next();
 });
 
 // Index for better query performance
 transactionSchema.index({ userId: 1, createdAt: -1 });
-transactionSchema.index({ performedBy: 1 });
+transactionSchema.index({ performedBy: 1, createdAt: -1 });
 transactionSchema.index({ reference: 1 });
 transactionSchema.index({ type: 1 });
+transactionSchema.index({ category: 1 });
+transactionSchema.index({ currency: 1 });
 transactionSchema.index({ status: 1 });
+transactionSchema.index({ operationId: 1 });
+transactionSchema.index({ journalId: 1 });
+transactionSchema.index({ batchId: 1 });
+transactionSchema.index({ holdId: 1 });
+transactionSchema.index({ chargeOf: 1 });
+transactionSchema.index({ reversalOf: 1 });
+transactionSchema.index({ 'approval.status': 1, 'approval.expiresAt': 1 });
 
-// Static method to get user transaction summary
+// Static method to get user transaction summary per currency and type (totals in minor units)
 transactionSchema.statics.getUserSummary = async function(userId, startDate, endDate) {
   const matchStage = {
     userId: new mongoose.Types.ObjectId(userId),
@@ -88,15 +217,16 @@ transactionSchema.statics.getUserSummary = async function(userId, startDate, end
     { $match: matchStage },
     {
       $group: {
-        _id: '$type',
+        _id: { currency: '$currency', type: '$type' },
         totalAmount: { $sum: '$amount' },
         count: { $sum: 1 }
       }
-    }
+    },
+    { $sort: { '_id.currency': 1 } }
   ]);
 };
 
-// Static method to get transaction statistics
+// Static method to get transaction statistics per currency (totals in minor units)
 transactionSchema.statics.getStatistics = async function(startDate, endDate) {
   const matchStage = { status: 'completed' };
   
@@ -111,7 +241,7 @@ transactionSchema.statics.getStatistics = async function(startDate, endDate) {
     { $match: matchStage },
     {
       $group: {
-        _id: null,
+        _id: '$currency',
         totalTransactions: { $sum: 1 },
         totalCredits: {
           $sum: {
@@ -134,7 +264,8 @@ transactionSchema.statics.getStatistics = async function(startDate, endDate) {
           }
         }
       }
-    }
+    },
+    { $sort: { _id: 1 } }
   ]);
 };
 
@@ -1,5 +1,65 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { WALLET_MONEY_FIELDS, VELOCITY_MONEY_FIELDS, withMajorUnits, minorUnitsValidator } = require('../utils/money');
+const { getCurrencySettings } = require('../utils/currency');
+
+// One balance per currency; money fields are integer minor units (see utils/money.js).
+// balance caches the wallet's account in the ledger and only changes through
+// postJournal (utils/ledger.js); reservedBalance and creditLimit are not money movement
+// and are updated directly
+const walletSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // Negative while the wallet is drawing on its credit limit
+  balance: {
+    type: Number,
+    default: 0,
+    validate: minorUnitsValidator
+  },
+  // Funds held by debits awaiting approval; they cannot be spent
+  reservedBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved balance cannot be negative'],
+    validate: minorUnitsValidator
+  },
+  // How far below zero an admin lets the balance go; balance - reservedBalance + creditLimit can be spent
+  creditLimit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit limit cannot be negative'],
+    validate: minorUnitsValidator
+  }
+}, { _id: false });
+
+// Per-user overrides of the role's velocity limits (utils/velocity.js); null uses the role's limit.
+// Amounts are minor units of whichever currency is moved
+const velocityLimitsSchema = new mongoose.Schema({
+  maxPerTransaction: {
+    type: Number,
+    default: null,
+    min: [0, 'Limit cannot be negative']
+  },
+  maxPerDay: {
+    type: Number,
+    default: null,
+    min: [0, 'Limit cannot be negative']
+  },
+  maxPerMonth: {
+    type: Number,
+    default: null,
+    min: [0, 'Limit cannot be negative']
+  },
+  maxOperations: {
+    type: Number,
+    default: null,
+    min: [0, 'Limit cannot be negative']
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -28,10 +88,13 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'moderator', 'admin', 'super_admin'],
     default: 'user'
   },
-  balance: {
-    type: Number,
-    default: 0,
-    min: [0, 'Balance cannot be negative']
+  wallets: {
+    type: [walletSchema],
+    default: []
+  },
+  velocityLimits: {
+    type: velocityLimitsSchema,
+    default: () => ({})
   },
   isActive: {
     type: Boolean,
@@ -42,6 +105,15 @@ const userSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // Materialized path of ancestor IDs, ordered from the root down to the direct parent
+  ancestors: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    default: []
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -53,9 +125,54 @@ const userSchema = new mongoose.Schema({
   lockUntil: {
     type: Date,
     default: null
+  },
+  // Soft delete tombstone; the record is only physically removed by the retention purge
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  deletionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Deletion reason cannot exceed 500 characters'],
+    default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { transform: (doc, ret) => serializeMoney(ret) }
+});
+
+// Convert wallets and velocity limits to major units in place. Each wallet gets its
+// `availableBalance` next to the total `balance`: what is left once holds and pending
+// approvals are reserved, plus any credit limit. `balance` and `availableBalance` on the user
+// mirror the base-currency wallet for clients that only know a single balance
+function serializeMoney(user) {
+  if (user.velocityLimits) {
+    user.velocityLimits = withMajorUnits(user.velocityLimits, VELOCITY_MONEY_FIELDS);
+  }
+
+  if (Array.isArray(user.wallets)) {
+    user.wallets = user.wallets.map(wallet => withMajorUnits({
+      ...wallet,
+      availableBalance: Math.max(0, wallet.balance - wallet.reservedBalance + (wallet.creditLimit || 0))
+    }, [...WALLET_MONEY_FIELDS, 'availableBalance']));
+
+    const { baseCurrency } = getCurrencySettings();
+    const baseWallet = user.wallets.find(wallet => wallet.currency === baseCurrency);
+    user.balance = baseWallet ? baseWallet.balance : 0;
+    user.availableBalance = baseWallet ? baseWallet.availableBalance : 0;
+  }
+  return user;
+}
+
+// Virtual for soft delete status
+userSchema.virtual('isDeleted').get(function() {
+  return !!this.deletedAt;
 });
 
 // Virtual for account lock status
@@ -78,6 +195,55 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to keep the ancestor path in sync with createdBy
+userSchema.pre('save', async function(next) {
+  // Only recompute the path for new users or when the parent changes
+  if (!this.isNew && !this.isModified('createdBy')) return next();
+  
+  try {
+    const session = this.$session();
+    let ancestors = [];
+    
+    if (this.createdBy) {
+      const parent = await this.constructor.findById(this.createdBy)
+        .select('ancestors')
+        .session(session);
+      
+      if (parent) {
+        ancestors = [...parent.ancestors, parent._id];
+      }
+    }
+    
+    this.ancestors = ancestors;
+    this.depth = ancestors.length;
+    
+    // Re-parenting an existing user: rewrite the path prefix of its whole subtree
+    if (!this.isNew) {
+      await this.constructor.updateMany(
+        { ancestors: this._id },
+        [
+          {
+            $set: {
+              ancestors: {
+                $concatArrays: [
+                  ancestors,
+                  { $slice: ['$ancestors', { $indexOfArray: ['$ancestors', this._id] }, { $size: '$ancestors' }] }
+                ]
+              }
+            }
+          },
+          { $set: { depth: { $size: '$ancestors' } } }
+        ],
+        { session }
+      );
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   try {
@@ -129,6 +295,76 @@ userSchema.methods.canManage = function(targetUser) {
   return currentUserLevel > targetUserLevel;
 };
 
+// Method to get the wallet for a currency (an empty one if the user has never held it)
+userSchema.methods.getWallet = function(currency) {
+  return this.wallets.find(wallet => wallet.currency === currency) ||
+    { currency, balance: 0, reservedBalance: 0, creditLimit: 0 };
+};
+
+/**
+ * Atomically change a wallet's balance and/or reserved balance by the given deltas.
+ * Balance changes must come from a journal entry, so use postJournal for those.
+ * Wallets are created on first credit. Any change that spends or reserves funds only
+ * applies while reservedBalance stays >= 0 and balance - reservedBalance + creditLimit stays >= 0.
+ * @param {ObjectId} userId - Wallet owner
+ * @param {String} currency - Wallet currency
+ * @param {Object} changes - { balance, reservedBalance } deltas in minor units
+ * @param {ClientSession} session - Mongo session the update runs in
+ * @returns {Promise<Object|null>} The updated wallet, or null if the user is missing, deleted or has insufficient funds
+ */
+userSchema.statics.updateWallet = async function(userId, currency, { balance = 0, reservedBalance = 0 }, session = null) {
+  if (balance > 0) {
+    await this.updateOne(
+      { _id: userId, deletedAt: null, 'wallets.currency': { $ne: currency } },
+      { $push: { wallets: { currency, balance: 0, reservedBalance: 0, creditLimit: 0 } } },
+      { session }
+    );
+  }
+
+  const filter = { _id: userId, deletedAt: null, 'wallets.currency': currency };
+
+  if (balance < 0 || reservedBalance !== 0) {
+    filter.$expr = {
+      $anyElementTrue: [{
+        $map: {
+          input: '$wallets',
+          as: 'wallet',
+          in: {
+            $and: [
+              { $eq: ['$$wallet.currency', currency] },
+              { $gte: [{ $add: ['$$wallet.reservedBalance', reservedBalance] }, 0] },
+              {
+                $gte: [
+                  {
+                    $add: [
+                      { $subtract: [{ $add: ['$$wallet.balance', balance] }, { $add: ['$$wallet.reservedBalance', reservedBalance] }] },
+                      { $ifNull: ['$$wallet.creditLimit', 0] }
+                    ]
+                  },
+                  0
+                ]
+              }
+            ]
+          }
+        }
+      }]
+    };
+  }
+
+  const user = await this.findOneAndUpdate(
+    filter,
+    { $inc: { 'wallets.$.balance': balance, 'wallets.$.reservedBalance': reservedBalance } },
+    { new: true, session }
+  );
+
+  return user ? user.getWallet(currency) : null;
+};
+
+// Static method to serialize a user document or lean object with money in major units
+userSchema.statics.serialize = function(user) {
+  return serializeMoney(user && typeof user.toObject === 'function' ? user.toObject() : { ...user });
+};
+
 // Static method to get users by role hierarchy
 userSchema.statics.getUsersByRole = function(userRole) {
   const roleHierarchy = {
@@ -146,6 +382,8 @@ userSchema.statics.getUsersByRole = function(userRole) {
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ role: 1 });
-userSchema.index({ createdBy: 1 });
+userSchema.index({ createdBy: 1, username: 1 });
+userSchema.index({ ancestors: 1 });
+userSchema.index({ deletedAt: 1 });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+
+const { ObjectId } = mongoose.Types;
+
+// Evaluate the few aggregation operators the subtree rewrite uses against a plain document
+function evaluate(expr, doc) {
+  if (typeof expr === 'string' && expr.startsWith('$')) {
+    return doc[expr.slice(1)];
+  }
+  if (Array.isArray(expr)) {
+    return expr.map(item => evaluate(item, doc));
+  }
+  if (expr && typeof expr === 'object' && !(expr instanceof ObjectId)) {
+    const [[operator, args]] = Object.entries(expr);
+    const values = evaluate(args, doc);
+
+    switch (operator) {
+      case '$concatArrays': return [].concat(...values);
+      case '$slice': return values[0].slice(values[1], values[1] + values[2]);
+      case '$indexOfArray': return values[0].findIndex(item => String(item) === String(values[1]));
+      case '$size': return values.length;
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  }
+  return expr;
+}
+
+function applyPipeline(doc, pipeline) {
+  return pipeline.reduce((current, { $set }) => {
+    const next = { ...current };
+    for (const [field, expr] of Object.entries($set)) {
+      next[field] = evaluate(expr, current);
+    }
+    return next;
+  }, doc);
+}
+
+describe('User ancestor path', () => {
+  // root -> a -> b (moved) -> c -> d, and an unrelated branch root -> x -> y
+  const root = { _id: new ObjectId(), ancestors: [] };
+  const a = { _id: new ObjectId(), ancestors: [root._id] };
+  const x = { _id: new ObjectId(), ancestors: [root._id] };
+  const y = { _id: new ObjectId(), ancestors: [root._id, x._id] };
+  const users = [root, a, x, y];
+
+  const hydrate = (fields) => User.hydrate({
+    username: 'moved',
+    email: 'moved@example.com',
+    password: 'hashed-password',
+    role: 'user',
+    ...fields
+  });
+
+  beforeAll(() => {
+    // Keep password hashing of new users quick
+    process.env.BCRYPT_ROUNDS = '4';
+  });
+
+  afterAll(() => {
+    delete process.env.BCRYPT_ROUNDS;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation(id => ({
+      select: () => ({ session: async () => users.find(user => String(user._id) === String(id)) || null })
+    }));
+    jest.spyOn(User, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(User.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(User.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('builds the path of a new user from its parent', async () => {
+    const user = new User({
+      username: 'newbie',
+      email: 'newbie@example.com',
+      password: 'hashed-password',
+      role: 'user',
+      createdBy: y._id
+    });
+
+    await user.save();
+
+    expect(user.ancestors).toEqual([root._id, x._id, y._id]);
+    expect(user.depth).toBe(3);
+    expect(User.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('rewrites the path prefix of the moved user\'s whole subtree', async () => {
+    const b = hydrate({ _id: new ObjectId(), ancestors: [root._id, a._id], depth: 2, createdBy: a._id });
+    const c = { _id: new ObjectId(), ancestors: [root._id, a._id, b._id], depth: 3 };
+    const d = { _id: new ObjectId(), ancestors: [root._id, a._id, b._id, c._id], depth: 4 };
+
+    b.createdBy = y._id;
+    await b.save();
+
+    expect(b.ancestors).toEqual([root._id, x._id, y._id]);
+    expect(b.depth).toBe(3);
+
+    const [filter, pipeline] = User.updateMany.mock.calls[0];
+    expect(filter).toEqual({ ancestors: b._id });
+
+    expect(applyPipeline(c, pipeline)).toMatchObject({ ancestors: [root._id, x._id, y._id, b._id], depth: 4 });
+    expect(applyPipeline(d, pipeline)).toMatchObject({ ancestors: [root._id, x._id, y._id, b._id, c._id], depth: 5 });
+  });
+
+  it('shortens the subtree paths when a user becomes a root', async () => {
+    const b = hydrate({ _id: new ObjectId(), ancestors: [root._id, a._id], depth: 2, createdBy: a._id });
+    const c = { _id: new ObjectId(), ancestors: [root._id, a._id, b._id], depth: 3 };
+
+    b.createdBy = null;
+    await b.save();
+
+    expect(b.ancestors).toEqual([]);
+    expect(b.depth).toBe(0);
+    expect(applyPipeline(c, User.updateMany.mock.calls[0][1])).toMatchObject({ ancestors: [b._id], depth: 1 });
+  });
+
+  it('leaves the paths alone when the parent does not change', async () => {
+    const b = hydrate({ _id: new ObjectId(), ancestors: [root._id, a._id], depth: 2, createdBy: a._id });
+
+    b.isActive = false;
+    await b.save();
+
+    expect(b.ancestors).toEqual([root._id, a._id]);
+    expect(User.findById).not.toHaveBeenCalled();
+    expect(User.updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One document per user who performs balance operations under a velocity limit. Every limited
+// operation increments it inside its own transaction before reading the user's usage, so two
+// concurrent operations by the same user write the same document and only one can commit
+// (see utils/velocity.js)
+const velocityUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  operations: {
+    type: Number,
+    default: 0
+  },
+  lastOperationAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('VelocityUsage', velocityUsageSchema);
@@ -6,6 +6,7 @@ const User = require('../models/User');
 const { authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
 const { validateRegistration, validateLogin, validatePasswordChange, validateObjectId } = require('../middleware/validation');
 const { isInDownline } = require('../utils/downline');
+const { checkPlacement } = require('../utils/hierarchyRules');
 
 const router = express.Router();
 
@@ -83,34 +84,18 @@ router.post('/register', optionalAuth, validateRegistration, async (req, res) =>
       // ALWAYS set createdBy when authenticated user creates another user
       // This establishes the parent-child relationship in the hierarchy
       userData.createdBy = req.user._id;
+      userData.role = role || 'user';
       
-      // Role assignment logic based on creator's role:
-      // - Super admin can assign any role
-      // - Admin can assign user, moderator, admin (but not super_admin)
-      // - Regular users can only create 'user' role (their next level)
-      if (role) {
-        if (req.user.role === 'super_admin') {
-          userData.role = role;
-        } else if (req.user.role === 'admin' && ['user', 'moderator', 'admin'].includes(role)) {
-          userData.role = role;
-        } else if (!['admin', 'super_admin'].includes(req.user.role) && role === 'user') {
-          // Regular users can only create 'user' role (their next level)
-          userData.role = 'user';
-        } else {
-          return res.status(403).json({
-            success: false,
-            message: 'You do not have permission to assign this role. You can only create users in your next level.'
-          });
-        }
-      } else {
-        // Default role based on creator's permissions
-        if (req.user.role === 'super_admin') {
-          userData.role = 'user'; // Default for super admin
-        } else if (req.user.role === 'admin') {
-          userData.role = 'user'; // Default for admin
-        } else {
-          userData.role = 'user'; // Regular users can only create 'user' role
-        }
+      // Which roles the creator may assign, how many children it may have and how deep
+      // the tree may grow are governed by the configured hierarchy rules
+      const violation = await checkPlacement({ role: userData.role, parent: req.user });
+      
+      if (violation) {
+        return res.status(violation.status).json({
+          success: false,
+          message: violation.message,
+          rule: violation.rule
+        });
       }
     } else {
       // Public registration (no authenticated user) - default to 'user' role
@@ -137,6 +122,8 @@ router.post('/register', optionalAuth, validateRegistration, async (req, res) =>
       maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
     });
     
+    const { balance, wallets } = User.serialize(user);
+    
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
@@ -146,7 +133,8 @@ router.post('/register', optionalAuth, validateRegistration, async (req, res) =>
           username: user.username,
           email: user.email,
           role: user.role,
-          balance: user.balance,
+          balance,
+          wallets,
           isActive: user.isActive,
           createdAt: user.createdAt
         },
@@ -277,6 +265,8 @@ router.post('/login', validateLogin, async (req, res) => {
       maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
     });
     
+    const { balance, wallets } = User.serialize(user);
+    
     res.status(200).json({
       success: true,
       message: 'Login successful',
@@ -286,7 +276,8 @@ router.post('/login', validateLogin, async (req, res) => {
           username: user.username,
           email: user.email,
           role: user.role,
-          balance: user.balance,
+          balance,
+          wallets,
           isActive: user.isActive,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt
@@ -338,6 +329,8 @@ router.get('/verify', authenticateToken, async (req, res) => {
       });
     }
 
+          const { balance, wallets } = User.serialize(req.user);
+          
           res.status(200).json({
             success: true,
             message: 'Token is valid',
@@ -347,7 +340,8 @@ router.get('/verify', authenticateToken, async (req, res) => {
                 username: req.user.username,
                 email: req.user.email,
                 role: req.user.role,
-                balance: req.user.balance,
+                balance,
+                wallets,
                 isActive: req.user.isActive,
                 lastLogin: req.user.lastLogin,
                 createdAt: req.user.createdAt
@@ -2,9 +2,22 @@ const express = require('express');
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const ExchangeRate = require('../models/ExchangeRate');
+const Hold = require('../models/Hold');
 const { authenticateToken, requireRole, canManageUser } = require('../middleware/auth');
-const { validateBalanceOperation, validateTransactionQuery, validateObjectId } = require('../middleware/validation');
-const { isInDownline, getParent } = require('../utils/downline');
+const { idempotent } = require('../middleware/idempotency');
+const { validateBalanceOperation, validateTransactionQuery, validateObjectId, validateTransactionReversal, validateApprovalQuery, validateApprovalDecision, validateExchangeRate, validateCurrencyConversion, validateTransfer, validatePayeeQuery, validateCreditLimit, validateVelocityLimits } = require('../middleware/validation');
+const { isInDownline } = require('../utils/downline');
+const { getApprovalRequirement, cancelPendingOperation, expireStaleApprovals } = require('../utils/approvals');
+const { fromMinor, roundMinor } = require('../utils/money');
+const { getCurrencySettings, convertAmount } = require('../utils/currency');
+const { userPosting, systemPosting, postJournal, reconcileLedger } = require('../utils/ledger');
+const { getPayeeFilter } = require('../utils/transfers');
+const { userSearchFilter } = require('../utils/search');
+const { planCredit, applyCredit } = require('../utils/credits');
+const { availableBalance, describeCredit } = require('../utils/creditLimits');
+const { checkVelocity, describeVelocity } = require('../utils/velocity');
+const { applyCharges } = require('../utils/charges');
 
 // Helper function to safely get user ID as ObjectId
 const getUserObjectId = (user) => {
@@ -22,20 +35,56 @@ const getUserObjectId = (user) => {
   throw new Error('Invalid user ID format');
 };
 
+// Load every pending leg of the operation a pending transaction belongs to
+const getPendingLegs = async (reference, session) => {
+  const transaction = await Transaction.findOne({ reference, status: 'pending' }).session(session);
+  
+  if (!transaction || !transaction.approval) {
+    return null;
+  }
+  
+  return await Transaction.find({ operationId: transaction.operationId, status: 'pending' })
+    .sort({ createdAt: 1, _id: 1 })
+    .session(session);
+};
+
+// The checker must not be the maker, and needs authority over every affected user
+const getCheckerError = async (checker, legs, session) => {
+  if (legs[0].approval.requestedBy.toString() === checker._id.toString()) {
+    return { status: 403, message: 'A different admin must approve or reject this operation' };
+  }
+  
+  if (checker.role === 'super_admin') {
+    return null;
+  }
+  
+  for (const leg of legs) {
+    const legUser = leg.userId ? await User.findById(leg.userId).session(session) : null;
+    const allowed = legUser && (await isInDownline(checker._id, legUser._id) || checker.canManage(legUser));
+    
+    if (!allowed) {
+      return { status: 403, message: 'You cannot decide on this operation' };
+    }
+  }
+  
+  return null;
+};
+
 const router = express.Router();
 
 // Add balance to user (with automatic deduction from sender or parent)
-router.post('/add', authenticateToken, requireRole(['admin', 'super_admin']), validateBalanceOperation, async (req, res) => {
+router.post('/add', authenticateToken, requireRole(['admin', 'super_admin']), validateBalanceOperation, idempotent, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   
   try {
-    const { userId, amount, description } = req.body;
+    // amount arrives in integer minor units (see validateBalanceOperation)
+    const { userId, amount: transferAmount, description } = req.body;
+    const currency = req.body.currency || getCurrencySettings().baseCurrency;
     const senderId = req.user._id;
-    const transferAmount = parseFloat(amount);
     
     // Get target user
-    const targetUser = await User.findById(userId).session(session);
+    const targetUser = await User.findOne({ _id: userId, deletedAt: null }).session(session);
     
     if (!targetUser) {
       await session.abortTransaction();
@@ -45,96 +94,117 @@ router.post('/add', authenticateToken, requireRole(['admin', 'super_admin']), va
       });
     }
     
-    // Check if target user is in sender's downline (for regular users)
-    // OR if admin is crediting, check if target is in hierarchy
-    const isTargetInDownline = await isInDownline(senderId, userId);
-    const isSelfRecharge = senderId.toString() === userId.toString();
+    // Velocity limits of the user performing the operation
+    const velocityViolation = await checkVelocity(req.user, currency, [transferAmount], session);
     
-    // Allow if: self-recharge OR target is in downline OR admin crediting any user
-    if (!isSelfRecharge && !isTargetInDownline && !['admin', 'super_admin'].includes(req.user.role)) {
+    if (velocityViolation) {
       await session.abortTransaction();
-      return res.status(403).json({
+      return res.status(velocityViolation.status).json({
         success: false,
-        message: 'You can only credit balance to users in your downline'
+        message: velocityViolation.message,
+        limit: velocityViolation.limit,
+        remaining: velocityViolation.remaining
       });
     }
     
-    // Determine who should pay (sender or parent)
-    // ALWAYS deduct from the target user's immediate parent when crediting to any user in hierarchy
-    let payerId = senderId;
-    let payer = await User.findById(senderId).session(session);
+    // Check the sender may credit the target and that whoever pays (the target's parent,
+    // or the sender for root users) can cover it
+    const plan = await planCredit(req.user, targetUser, { amount: transferAmount, currency, description }, session);
     
-    // When crediting to any user in the hierarchy, deduct from that user's immediate parent
-    if (!isSelfRecharge) {
-      const parent = await getParent(userId);
-      if (parent) {
-        payerId = parent._id;
-        payer = await User.findById(parent._id).session(session);
-      }
-      // If no parent (root user), deduct from sender (admin/self-recharge scenario)
-      // This handles the case where owner/admin recharges root users or themselves
-    }
-    
-    // Check if payer has sufficient balance (only if not self-recharge and has parent)
-    if (!isSelfRecharge && payer && payer.balance < transferAmount) {
+    if (plan.error) {
       await session.abortTransaction();
-      return res.status(400).json({
+      return res.status(plan.error.status).json({
         success: false,
-        message: payerId.toString() === senderId.toString() 
-          ? 'Insufficient balance' 
-          : 'Parent user has insufficient balance'
+        message: plan.error.message
       });
     }
     
-    // Deduct from payer (if not self-recharge or if admin crediting with parent)
-    if (!isSelfRecharge && payer && payerId.toString() !== userId.toString()) {
-      const payerPreviousBalance = payer.balance;
-      const payerNewBalance = payerPreviousBalance - transferAmount;
+    const { payer, payerWallet, targetWallet, hasPayerLeg } = plan;
+    
+    // Above the approval threshold nothing moves yet: the payer's funds are reserved and
+    // the operation waits for a different admin to approve it
+    const approvalRequirement = getApprovalRequirement('add', transferAmount);
+    
+    if (approvalRequirement) {
+      // Links the credit and the payer debit so they are approved and reversed together
+      const operationId = new mongoose.Types.ObjectId();
+      const approval = {
+        operation: 'add',
+        requestedBy: senderId,
+        expiresAt: approvalRequirement.expiresAt
+      };
       
-      await User.findByIdAndUpdate(
-        payerId,
-        { balance: payerNewBalance },
-        { session, new: true }
-      );
+      if (hasPayerLeg) {
+        const reservedWallet = await User.updateWallet(payer._id, currency, { reservedBalance: transferAmount }, session);
+        
+        // The payer's funds changed since they were checked
+        if (!reservedWallet) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            success: false,
+            message: plan.paidBySender ? 'Insufficient balance' : 'Parent user has insufficient balance'
+          });
+        }
+        
+        await new Transaction({
+          userId: payer._id,
+          type: 'debit',
+          currency,
+          amount: transferAmount,
+          previousBalance: reservedWallet.balance,
+          newBalance: reservedWallet.balance - transferAmount,
+          description: plan.payerDescription,
+          performedBy: senderId,
+          operationId,
+          status: 'pending',
+          approval
+        }).save({ session });
+      }
       
-      // Create debit transaction for payer
-      const payerTransaction = new Transaction({
-        userId: payerId,
-        type: 'debit',
+      const pendingCredit = new Transaction({
+        userId,
+        type: 'credit',
+        currency,
         amount: transferAmount,
-        previousBalance: payerPreviousBalance,
-        newBalance: payerNewBalance,
-        description: description || `Transfer to ${targetUser.username}`,
-        performedBy: senderId
+        previousBalance: targetWallet.balance,
+        newBalance: targetWallet.balance + transferAmount,
+        description: plan.creditDescription,
+        performedBy: senderId,
+        operationId,
+        status: 'pending',
+        approval
       });
       
-      await payerTransaction.save({ session });
+      await pendingCredit.save({ session });
+      await session.commitTransaction();
+      
+      await pendingCredit.populate([
+        { path: 'userId', select: 'username email' },
+        { path: 'performedBy', select: 'username email' }
+      ]);
+      
+      return res.status(202).json({
+        success: true,
+        message: 'Balance operation submitted for approval',
+        data: {
+          transaction: pendingCredit,
+          pending: true,
+          expiresAt: approvalRequirement.expiresAt
+        }
+      });
     }
     
-    // Credit to target user
-    const targetPreviousBalance = targetUser.balance;
-    const targetNewBalance = targetPreviousBalance + transferAmount;
-    
-    await User.findByIdAndUpdate(
-      userId,
-      { balance: targetNewBalance },
-      { session, new: true }
-    );
+    const result = await applyCredit(plan, session);
     
-    // Create credit transaction for target user
-    const creditTransaction = new Transaction({
-      userId,
-      type: 'credit',
-      amount: transferAmount,
-      previousBalance: targetPreviousBalance,
-      newBalance: targetNewBalance,
-      description: description || (payerId.toString() === senderId.toString() 
-        ? `Transfer from ${payer.username}` 
-        : `Credit from admin`),
-      performedBy: senderId
-    });
+    if (!result) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: plan.paidBySender ? 'Insufficient balance' : 'Parent user has insufficient balance'
+      });
+    }
     
-    await creditTransaction.save({ session });
+    const { creditTransaction, charges, targetNewBalance, payerNewBalance } = result;
     
     await session.commitTransaction();
     
@@ -149,13 +219,15 @@ router.post('/add', authenticateToken, requireRole(['admin', 'super_admin']), va
       message: 'Balance added successfully',
       data: {
         transaction: creditTransaction,
-        newBalance: targetNewBalance,
-        deductedFrom: payerId.toString() !== userId.toString() ? {
-          userId: payerId,
+        currency,
+        newBalance: fromMinor(targetNewBalance),
+        deductedFrom: hasPayerLeg ? {
+          userId: payer._id,
           username: payer.username,
-          previousBalance: payer.balance + transferAmount,
-          newBalance: payer.balance
-        } : null
+          previousBalance: fromMinor(payerNewBalance + transferAmount),
+          newBalance: fromMinor(payerNewBalance)
+        } : null,
+        charges
       }
     });
   } catch (error) {
@@ -172,15 +244,17 @@ router.post('/add', authenticateToken, requireRole(['admin', 'super_admin']), va
 });
 
 // Deduct balance from user
-router.post('/deduct', authenticateToken, requireRole(['admin', 'super_admin']), validateBalanceOperation, async (req, res) => {
+router.post('/deduct', authenticateToken, requireRole(['admin', 'super_admin']), validateBalanceOperation, idempotent, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   
   try {
-    const { userId, amount, description } = req.body;
+    // amount arrives in integer minor units (see validateBalanceOperation)
+    const { userId, amount: deductAmount, description } = req.body;
+    const currency = req.body.currency || getCurrencySettings().baseCurrency;
     
     // Get user
-    const user = await User.findById(userId).session(session);
+    const user = await User.findOne({ _id: userId, deletedAt: null }).session(session);
     
     if (!user) {
       await session.abortTransaction();
@@ -199,11 +273,24 @@ router.post('/deduct', authenticateToken, requireRole(['admin', 'super_admin']),
       });
     }
     
-    const previousBalance = user.balance;
-    const deductAmount = parseFloat(amount);
+    // Velocity limits of the user performing the operation
+    const velocityViolation = await checkVelocity(req.user, currency, [deductAmount], session);
+    
+    if (velocityViolation) {
+      await session.abortTransaction();
+      return res.status(velocityViolation.status).json({
+        success: false,
+        message: velocityViolation.message,
+        limit: velocityViolation.limit,
+        remaining: velocityViolation.remaining
+      });
+    }
+    
+    const wallet = user.getWallet(currency);
     
-    // Check if user has sufficient balance
-    if (previousBalance < deductAmount) {
+    // Check if user has sufficient balance (funds reserved for holds and pending approvals
+    // excluded, any credit limit included)
+    if (availableBalance(wallet) < deductAmount) {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
@@ -211,24 +298,94 @@ router.post('/deduct', authenticateToken, requireRole(['admin', 'super_admin']),
       });
     }
     
-    const newBalance = previousBalance - deductAmount;
+    const operationId = new mongoose.Types.ObjectId();
     
-    // Update user balance
-    await User.findByIdAndUpdate(
-      userId,
-      { balance: newBalance },
-      { session, new: true }
-    );
+    // Above the approval threshold the amount is only reserved until a different admin approves it
+    const approvalRequirement = getApprovalRequirement('deduct', deductAmount);
+    
+    if (approvalRequirement) {
+      const reservedWallet = await User.updateWallet(userId, currency, { reservedBalance: deductAmount }, session);
+      
+      if (!reservedWallet) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient balance'
+        });
+      }
+      
+      const pendingDebit = new Transaction({
+        userId,
+        type: 'debit',
+        currency,
+        amount: deductAmount,
+        previousBalance: reservedWallet.balance,
+        newBalance: reservedWallet.balance - deductAmount,
+        description,
+        performedBy: req.user._id,
+        operationId,
+        status: 'pending',
+        approval: {
+          operation: 'deduct',
+          requestedBy: req.user._id,
+          expiresAt: approvalRequirement.expiresAt
+        }
+      });
+      
+      await pendingDebit.save({ session });
+      await session.commitTransaction();
+      
+      await pendingDebit.populate([
+        { path: 'userId', select: 'username email' },
+        { path: 'performedBy', select: 'username email' }
+      ]);
+      
+      return res.status(202).json({
+        success: true,
+        message: 'Balance operation submitted for approval',
+        data: {
+          transaction: pendingDebit,
+          pending: true,
+          expiresAt: approvalRequirement.expiresAt
+        }
+      });
+    }
+    
+    // Deducted funds go back to the issuance account
+    const posted = await postJournal({
+      kind: 'redeem',
+      postings: [
+        userPosting(userId, currency, -deductAmount),
+        systemPosting('issuance', currency, deductAmount)
+      ],
+      description,
+      operationId,
+      createdBy: req.user._id
+    }, session);
+    
+    if (!posted) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance'
+      });
+    }
+    
+    // Balances come from the wallet the journal entry updated, like every other leg
+    const newBalance = posted.wallets[0].balance;
     
     // Create transaction record
     const transaction = new Transaction({
       userId,
       type: 'debit',
+      currency,
       amount: deductAmount,
-      previousBalance,
+      previousBalance: newBalance + deductAmount,
       newBalance,
       description,
-      performedBy: req.user._id
+      performedBy: req.user._id,
+      operationId,
+      journalId: posted.entry._id
     });
     
     await transaction.save({ session });
@@ -246,7 +403,8 @@ router.post('/deduct', authenticateToken, requireRole(['admin', 'super_admin']),
       message: 'Balance deducted successfully',
       data: {
         transaction,
-        newBalance
+        currency,
+        newBalance: fromMinor(newBalance)
       }
     });
   } catch (error) {
@@ -277,6 +435,8 @@ router.get('/history/me', authenticateToken, validateTransactionQuery, async (re
       page = 1,
       limit = 10,
       type,
+      category,
+      currency,
       startDate,
       endDate,
       sortBy = 'createdAt',
@@ -291,6 +451,8 @@ router.get('/history/me', authenticateToken, validateTransactionQuery, async (re
     const query = { userId: userId };
     
     if (type) query.type = type;
+    if (category) query.category = category;
+    if (currency) query.currency = currency;
     
     if (startDate && endDate) {
       query.createdAt = {
@@ -358,6 +520,8 @@ router.get('/history/:userId', authenticateToken, validateObjectId('userId'), va
       page = 1,
       limit = 10,
       type,
+      category,
+      currency,
       startDate,
       endDate,
       sortBy = 'createdAt',
@@ -390,6 +554,8 @@ router.get('/history/:userId', authenticateToken, validateObjectId('userId'), va
     const query = { userId: userIdObj };
     
     if (type) query.type = type;
+    if (category) query.category = category;
+    if (currency) query.currency = currency;
     
     if (startDate && endDate) {
       query.createdAt = {
@@ -473,33 +639,65 @@ router.get('/summary/:userId', authenticateToken, validateObjectId('userId'), as
     // Get transaction summary
     const summary = await Transaction.getUserSummary(userId, startDate, endDate);
     
-    // Format summary
-    const formattedSummary = {
-      totalCredits: 0,
-      totalDebits: 0,
-      creditCount: 0,
-      debitCount: 0,
-      netAmount: 0
-    };
+    // Format summary, one entry per currency
+    const summaries = new Map();
     
     summary.forEach(item => {
-      if (item._id === 'credit') {
+      const { currency, type } = item._id;
+      
+      if (!summaries.has(currency)) {
+        summaries.set(currency, {
+          currency,
+          totalCredits: 0,
+          totalDebits: 0,
+          creditCount: 0,
+          debitCount: 0,
+          netAmount: 0
+        });
+      }
+      
+      const formattedSummary = summaries.get(currency);
+      
+      if (type === 'credit') {
         formattedSummary.totalCredits = item.totalAmount;
         formattedSummary.creditCount = item.count;
-      } else if (item._id === 'debit') {
+      } else if (type === 'debit') {
         formattedSummary.totalDebits = item.totalAmount;
         formattedSummary.debitCount = item.count;
       }
     });
     
-    formattedSummary.netAmount = formattedSummary.totalCredits - formattedSummary.totalDebits;
+    const formattedSummaries = [...summaries.values()].map(formattedSummary => ({
+      ...formattedSummary,
+      totalCredits: fromMinor(formattedSummary.totalCredits),
+      totalDebits: fromMinor(formattedSummary.totalDebits),
+      netAmount: fromMinor(formattedSummary.totalCredits - formattedSummary.totalDebits)
+    }));
+    
+    // What active holds keep out of the available balance, per currency
+    const activeHolds = await Hold.aggregate([
+      { $match: { userId: targetUser._id, status: 'active' } },
+      {
+        $group: {
+          _id: '$currency',
+          count: { $sum: 1 },
+          heldAmount: { $sum: { $subtract: ['$amount', '$capturedAmount'] } }
+        }
+      }
+    ]);
     
     res.status(200).json({
       success: true,
       message: 'Transaction summary retrieved successfully',
       data: {
-        summary: formattedSummary,
-        currentBalance: targetUser.balance
+        summary: formattedSummaries,
+        wallets: User.serialize(targetUser).wallets,
+        credit: targetUser.wallets.map(describeCredit),
+        holds: activeHolds.map(hold => ({
+          currency: hold._id,
+          count: hold.count,
+          heldAmount: fromMinor(hold.heldAmount)
+        }))
       }
     });
   } catch (error) {
@@ -512,6 +710,176 @@ router.get('/summary/:userId', authenticateToken, validateObjectId('userId'), as
   }
 });
 
+// Set how far below zero a user's wallet may go (admin only). Lowering the limit below the
+// credit already in use doesn't touch the balance; it only blocks further debits
+router.put('/credit-limit/:userId', authenticateToken, requireRole(['admin', 'super_admin']), validateCreditLimit, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    // creditLimit arrives in integer minor units (see validateCreditLimit)
+    const { creditLimit } = req.body;
+    const currency = req.body.currency || getCurrencySettings().baseCurrency;
+    
+    const user = await User.findOne({ _id: userId, deletedAt: null });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (req.user._id.toString() === userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot set your own credit limit'
+      });
+    }
+    
+    if (req.user.role !== 'super_admin' && !req.user.canManage(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot manage this user\'s credit limit'
+      });
+    }
+    
+    const previousCreditLimit = user.getWallet(currency).creditLimit || 0;
+    
+    // A user can be given credit in a currency they have never held
+    await User.updateOne(
+      { _id: userId, 'wallets.currency': { $ne: currency } },
+      { $push: { wallets: { currency, balance: 0, reservedBalance: 0, creditLimit: 0 } } }
+    );
+    
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: userId, 'wallets.currency': currency },
+      { $set: { 'wallets.$.creditLimit': creditLimit } },
+      { new: true }
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Credit limit updated successfully',
+      data: {
+        userId: updatedUser._id,
+        previousCreditLimit: fromMinor(previousCreditLimit),
+        credit: describeCredit(updatedUser.getWallet(currency))
+      }
+    });
+  } catch (error) {
+    console.error('Update credit limit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update credit limit',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the current user's velocity limits and how much of them is used
+router.get('/velocity/me', authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: 'Velocity usage retrieved successfully',
+      data: await describeVelocity(req.user)
+    });
+  } catch (error) {
+    console.error('Get my velocity usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve velocity usage',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a user's velocity limits and usage (admins, for users they manage)
+router.get('/velocity/:userId', authenticateToken, requireRole(['admin', 'super_admin']), validateObjectId('userId'), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.userId, deletedAt: null });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (req.user.role !== 'super_admin' && req.user._id.toString() !== req.params.userId && !req.user.canManage(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot view this user\'s velocity limits'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Velocity usage retrieved successfully',
+      data: await describeVelocity(user)
+    });
+  } catch (error) {
+    console.error('Get velocity usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve velocity usage',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Override a user's velocity limits (admin only); a limit left out is unchanged and null
+// falls back to the role's limit. Nobody can change their own limits
+router.put('/velocity/:userId', authenticateToken, requireRole(['admin', 'super_admin']), validateVelocityLimits, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const user = await User.findOne({ _id: userId, deletedAt: null });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (req.user._id.toString() === userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change your own velocity limits'
+      });
+    }
+    
+    if (req.user.role !== 'super_admin' && !req.user.canManage(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot manage this user\'s velocity limits'
+      });
+    }
+    
+    // Amount limits arrive in integer minor units (see validateVelocityLimits)
+    const update = {};
+    for (const key of ['maxPerTransaction', 'maxPerDay', 'maxPerMonth', 'maxOperations']) {
+      if (req.body[key] !== undefined) {
+        update[`velocityLimits.${key}`] = req.body[key];
+      }
+    }
+    
+    const updatedUser = await User.findByIdAndUpdate(userId, { $set: update }, { new: true, runValidators: true });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Velocity limits updated successfully',
+      data: await describeVelocity(updatedUser)
+    });
+  } catch (error) {
+    console.error('Update velocity limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update velocity limits',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Get overall transaction statistics (admin only)
 router.get('/stats/overview', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
   try {
@@ -520,25 +888,42 @@ router.get('/stats/overview', authenticateToken, requireRole(['admin', 'super_ad
     // Get transaction statistics
     const stats = await Transaction.getStatistics(startDate, endDate);
     
-    // Get total balance across all users
+    // Get total balance per currency across all users
     const totalBalanceResult = await User.aggregate([
-      { $group: { _id: null, totalBalance: { $sum: '$balance' } } }
+      { $match: { deletedAt: null } },
+      { $unwind: '$wallets' },
+      { $group: { _id: '$wallets.currency', totalBalance: { $sum: '$wallets.balance' } } }
     ]);
     
-    const totalBalance = totalBalanceResult.length > 0 ? totalBalanceResult[0].totalBalance : 0;
+    const totalBalances = new Map(totalBalanceResult.map(item => [item._id, item.totalBalance]));
+    const currencies = [...new Set([...stats.map(item => item._id), ...totalBalances.keys()])].sort();
+    
+    const statistics = currencies.map(currency => {
+      const item = stats.find(stat => stat._id === currency) || {
+        totalTransactions: 0,
+        totalCredits: 0,
+        totalDebits: 0,
+        creditCount: 0,
+        debitCount: 0
+      };
+      
+      return {
+        currency,
+        totalTransactions: item.totalTransactions,
+        totalCredits: fromMinor(item.totalCredits),
+        totalDebits: fromMinor(item.totalDebits),
+        creditCount: item.creditCount,
+        debitCount: item.debitCount,
+        totalBalance: fromMinor(totalBalances.get(currency) || 0)
+      };
+    });
     
     res.status(200).json({
       success: true,
       message: 'Transaction statistics retrieved successfully',
       data: {
-        statistics: stats.length > 0 ? stats[0] : {
-          totalTransactions: 0,
-          totalCredits: 0,
-          totalDebits: 0,
-          creditCount: 0,
-          debitCount: 0
-        },
-        totalBalance
+        statistics,
+        totalTransactions: statistics.reduce((total, item) => total + item.totalTransactions, 0)
       }
     });
   } catch (error) {
@@ -551,6 +936,28 @@ router.get('/stats/overview', authenticateToken, requireRole(['admin', 'super_ad
   }
 });
 
+// Reconcile the ledger: prove every currency sums to zero and wallets match their accounts
+router.get('/ledger/reconciliation', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const report = await reconcileLedger();
+    
+    res.status(200).json({
+      success: true,
+      message: report.balanced && report.walletsMatchLedger
+        ? 'Ledger is balanced and matches all wallets'
+        : 'Ledger reconciliation found discrepancies',
+      data: report
+    });
+  } catch (error) {
+    console.error('Ledger reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile ledger',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Get transaction by reference
 router.get('/transaction/:reference', authenticateToken, async (req, res) => {
   try {
@@ -567,10 +974,11 @@ router.get('/transaction/:reference', authenticateToken, async (req, res) => {
       });
     }
     
-    // Check if user can access this transaction
-    const canAccess = req.user._id.toString() === transaction.userId._id.toString() ||
-                     req.user._id.toString() === transaction.performedBy._id.toString() ||
-                     req.user.canManage(transaction.userId);
+    // Check if user can access this transaction (user references are null once anonymized)
+    const canAccess = req.user.role === 'super_admin' ||
+                     (transaction.userId && req.user._id.toString() === transaction.userId._id.toString()) ||
+                     (transaction.performedBy && req.user._id.toString() === transaction.performedBy._id.toString()) ||
+                     (transaction.userId && req.user.canManage(transaction.userId));
     
     if (!canAccess) {
       return res.status(403).json({
@@ -594,4 +1002,934 @@ router.get('/transaction/:reference', authenticateToken, async (req, res) => {
   }
 });
 
+// List balance operations in the approval queue (one entry per operation; the payer
+// debit of an /add is attached to its credit)
+router.get('/approvals', authenticateToken, requireRole(['admin', 'super_admin']), validateApprovalQuery, async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    
+    // Don't show requests that can no longer be approved
+    await expireStaleApprovals();
+    
+    const query = {
+      'approval.status': status,
+      $or: [
+        { 'approval.operation': 'add', type: 'credit' },
+        { 'approval.operation': 'deduct' }
+      ]
+    };
+    
+    const skip = (page - 1) * limit;
+    
+    const [transactions, totalOperations] = await Promise.all([
+      Transaction.find(query)
+        .populate('userId', 'username email role')
+        .populate('performedBy', 'username email')
+        .populate('approval.requestedBy', 'username email')
+        .populate('approval.decidedBy', 'username email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Transaction.countDocuments(query)
+    ]);
+    
+    const payerLegs = await Transaction.find({
+      operationId: { $in: transactions.map(t => t.operationId) },
+      'approval.operation': 'add',
+      type: 'debit'
+    }).populate('userId', 'username email role');
+    
+    const payerByOperation = new Map(payerLegs.map(leg => [String(leg.operationId), leg]));
+    
+    const totalPages = Math.ceil(totalOperations / limit);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Approval queue retrieved successfully',
+      data: {
+        approvals: transactions.map(transaction => ({
+          transaction,
+          payerTransaction: payerByOperation.get(String(transaction.operationId)) || null
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalOperations,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get approvals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve approval queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Approve a pending balance operation: move the money and release the reservation
+router.post('/approvals/:reference/approve', authenticateToken, requireRole(['admin', 'super_admin']), validateApprovalDecision, idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const { reference } = req.params;
+    const { reason } = req.body;
+    
+    const legs = await getPendingLegs(reference, session);
+    
+    if (!legs) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Pending operation not found'
+      });
+    }
+    
+    if (legs[0].approval.expiresAt <= new Date()) {
+      await cancelPendingOperation(legs, { status: 'expired' }, session);
+      await session.commitTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'This approval request has expired'
+      });
+    }
+    
+    const checkerError = await getCheckerError(req.user, legs, session);
+    
+    if (checkerError) {
+      await session.abortTransaction();
+      return res.status(checkerError.status).json({
+        success: false,
+        message: checkerError.message
+      });
+    }
+    
+    const decidedAt = new Date();
+    const unavailable = (leg) => ({
+      success: false,
+      message: `Cannot approve: transaction ${leg.reference} belongs to a deleted user or lacks reserved funds`
+    });
+    
+    // Debits spend the funds reserved when the operation was requested
+    for (const leg of legs) {
+      const released = leg.userId && (leg.type === 'credit' ||
+        await User.updateWallet(leg.userId, leg.currency, { reservedBalance: -leg.amount }, session));
+      
+      if (!released) {
+        await session.abortTransaction();
+        return res.status(409).json(unavailable(leg));
+      }
+    }
+    
+    const postings = legs.map(leg =>
+      userPosting(leg.userId, leg.currency, leg.type === 'debit' ? -leg.amount : leg.amount));
+    // A credit without a payer leg issues money, a lone debit redeems it
+    const net = postings.reduce((sum, posting) => sum + posting.amount, 0);
+    
+    if (net !== 0) {
+      postings.push(systemPosting('issuance', legs[0].currency, -net));
+    }
+    
+    const posted = await postJournal({
+      kind: net > 0 ? 'issue' : net < 0 ? 'redeem' : 'transfer',
+      postings,
+      description: legs[legs.length - 1].description,
+      operationId: legs[0].operationId,
+      createdBy: req.user._id
+    }, session);
+    
+    if (!posted) {
+      await session.abortTransaction();
+      return res.status(409).json(unavailable(legs[0]));
+    }
+    
+    for (const [index, leg] of legs.entries()) {
+      const updatedWallet = posted.wallets[index];
+      const delta = postings[index].amount;
+      
+      await Transaction.updateOne(
+        { _id: leg._id, status: 'pending' },
+        {
+          $set: {
+            status: 'completed',
+            previousBalance: updatedWallet.balance - delta,
+            newBalance: updatedWallet.balance,
+            journalId: posted.entry._id,
+            'approval.status': 'approved',
+            'approval.decidedBy': req.user._id,
+            'approval.decidedAt': decidedAt,
+            'approval.reason': reason || null
+          }
+        },
+        { session }
+      );
+    }
+    
+    // A paid credit carries its fee and commissions once the money moves
+    const creditLeg = legs.find(leg => leg.type === 'credit');
+    
+    if (legs[0].approval.operation === 'add' && creditLeg && legs.some(leg => leg.type === 'debit')) {
+      const targetUser = await User.findById(creditLeg.userId).session(session);
+      
+      if (!await applyCharges(creditLeg, targetUser, session)) {
+        await session.abortTransaction();
+        return res.status(409).json(unavailable(creditLeg));
+      }
+    }
+    
+    await session.commitTransaction();
+    
+    const transactions = await Transaction.find({ _id: { $in: legs.map(leg => leg._id) } })
+      .populate('userId', 'username email')
+      .populate('performedBy', 'username email');
+    
+    res.status(200).json({
+      success: true,
+      message: 'Balance operation approved',
+      data: { transactions }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Approve operation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve balance operation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Reject a pending balance operation: release the reserved funds without moving money
+router.post('/approvals/:reference/reject', authenticateToken, requireRole(['admin', 'super_admin']), validateApprovalDecision, idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const { reference } = req.params;
+    const { reason } = req.body;
+    
+    const legs = await getPendingLegs(reference, session);
+    
+    if (!legs) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Pending operation not found'
+      });
+    }
+    
+    const checkerError = await getCheckerError(req.user, legs, session);
+    
+    if (checkerError) {
+      await session.abortTransaction();
+      return res.status(checkerError.status).json({
+        success: false,
+        message: checkerError.message
+      });
+    }
+    
+    await cancelPendingOperation(legs, { status: 'rejected', decidedBy: req.user._id, reason }, session);
+    
+    await session.commitTransaction();
+    
+    const transactions = await Transaction.find({ _id: { $in: legs.map(leg => leg._id) } })
+      .populate('userId', 'username email')
+      .populate('performedBy', 'username email');
+    
+    res.status(200).json({
+      success: true,
+      message: 'Balance operation rejected',
+      data: { transactions }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Reject operation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject balance operation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Reverse (or partially refund) a transaction
+// Every leg of the original operation gets a compensating transaction, e.g. reversing an /add
+// debits the credited user, refunds the parent who paid for it and reverses its fee and commissions
+router.post('/transaction/:reference/reverse', authenticateToken, requireRole(['admin', 'super_admin']), validateTransactionReversal, idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const { reference } = req.params;
+    // amount arrives in integer minor units (see validateTransactionReversal)
+    const { amount, reason } = req.body;
+    
+    const transaction = await Transaction.findOne({ reference }).session(session);
+    
+    if (!transaction) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+    
+    if (transaction.reversalOf) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'A reversal cannot itself be reversed'
+      });
+    }
+    
+    if (transaction.status !== 'completed') {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Only completed transactions can be reversed'
+      });
+    }
+    
+    // All legs of the operation; transactions recorded before operations were linked are single-leg
+    const legs = transaction.operationId
+      ? await Transaction.find({ operationId: transaction.operationId, reversalOf: null })
+        .sort({ createdAt: 1, _id: 1 })
+        .session(session)
+      : [transaction];
+    
+    // Conversion legs differ in amount and currency, so one refund amount can't apply to both
+    if (new Set(legs.map(leg => leg.currency)).size > 1) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Currency conversions cannot be reversed; convert the funds back instead'
+      });
+    }
+    
+    const remaining = Math.min(...legs.map(leg => leg.amount - leg.reversedAmount));
+    
+    if (remaining <= 0) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Transaction has already been fully reversed'
+      });
+    }
+    
+    const refundAmount = amount !== undefined ? amount : remaining;
+    
+    if (refundAmount > remaining) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount exceeds the remaining reversible amount (${fromMinor(remaining)})`
+      });
+    }
+    
+    const fullyReversed = refundAmount === remaining;
+    
+    // Fees and commissions charged on a credit have no operationId of their own; they are
+    // reversed along with the credit, in proportion to the refund
+    const charges = await Transaction.find({
+      chargeOf: { $in: legs.map(leg => leg.reference) },
+      reversalOf: null
+    }).sort({ createdAt: 1, _id: 1 }).session(session);
+    
+    const items = legs.map(leg => ({ leg, amount: refundAmount, counterAccount: null }));
+    
+    for (const charge of charges) {
+      const principal = legs.find(leg => leg.reference === charge.chargeOf);
+      const left = charge.amount - charge.reversedAmount;
+      const chargeRefund = fullyReversed
+        ? left
+        : Math.min(left, roundMinor(charge.amount * refundAmount / principal.amount));
+      
+      if (chargeRefund > 0) {
+        items.push({ leg: charge, amount: chargeRefund, counterAccount: 'fees', charge: true });
+      }
+    }
+    
+    // Every affected user must still exist, and the actor needs authority over each of the
+    // operation's users (charges follow the credit they were taken on)
+    const usersById = new Map();
+    
+    for (const item of items) {
+      const { leg } = item;
+      const legUser = leg.userId
+        ? await User.findOne({ _id: leg.userId, deletedAt: null }).session(session)
+        : null;
+      
+      if (!legUser) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          message: `Cannot reverse: transaction ${leg.reference} belongs to a deleted user`
+        });
+      }
+      
+      const canReverse = item.charge ||
+                        req.user.role === 'super_admin' ||
+                        String(leg.performedBy) === req.user._id.toString() ||
+                        await isInDownline(req.user._id, legUser._id) ||
+                        req.user.canManage(legUser);
+      
+      if (!canReverse) {
+        await session.abortTransaction();
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot reverse this transaction'
+        });
+      }
+      
+      // A reversed credit takes the money back, a reversed debit returns it
+      item.posting = userPosting(leg.userId, leg.currency, leg.type === 'credit' ? -item.amount : item.amount);
+      
+      const key = leg.userId.toString();
+      
+      if (!usersById.has(key)) {
+        usersById.set(key, { user: legUser, leg, net: 0 });
+      }
+      usersById.get(key).net += item.posting.amount;
+    }
+    
+    // What is taken back, net of refunded fees, must be available: funds reserved for holds or
+    // pending approvals cannot be taken
+    for (const { user: legUser, leg, net } of usersById.values()) {
+      if (net < 0 && availableBalance(legUser.getWallet(leg.currency)) < -net) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `${legUser.username} has insufficient balance to reverse ${leg.reference}`
+        });
+      }
+    }
+    
+    const operationId = new mongoose.Types.ObjectId();
+    const reversals = [];
+    
+    // Money is returned before it is taken back, so a credited user's refunded fee counts
+    // towards the credit taken from them
+    items.sort((a, b) => b.posting.amount - a.posting.amount);
+    
+    // Reversing an issue or a redemption settles against the issuance account like the original
+    // did, and reversing a fee or commission against the fees account
+    const mainAccount = ['fee', 'commission'].includes(legs[0].category) ? 'fees' : 'issuance';
+    const postings = items.map(item => item.posting);
+    const nets = {};
+    
+    for (const item of items) {
+      const account = item.counterAccount || mainAccount;
+      nets[account] = (nets[account] || 0) + item.posting.amount;
+    }
+    
+    for (const [account, net] of Object.entries(nets)) {
+      if (net !== 0) {
+        postings.push(systemPosting(account, legs[0].currency, -net));
+      }
+    }
+    
+    const posted = await postJournal({
+      kind: 'reversal',
+      postings,
+      description: reason || `Reversal of ${reference}`,
+      operationId,
+      createdBy: req.user._id
+    }, session);
+    
+    if (!posted) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Balances changed while reversing, please try again'
+      });
+    }
+    
+    for (const [index, { leg, amount: legRefund, posting }] of items.entries()) {
+      const updatedWallet = posted.wallets[index];
+      const legFullyReversed = legRefund === leg.amount - leg.reversedAmount;
+      
+      const reversal = new Transaction({
+        userId: leg.userId,
+        type: leg.type === 'credit' ? 'debit' : 'credit',
+        category: 'reversal',
+        currency: leg.currency,
+        amount: legRefund,
+        previousBalance: updatedWallet.balance - posting.amount,
+        newBalance: updatedWallet.balance,
+        description: reason || `${legFullyReversed && leg.reversedAmount === 0 ? 'Reversal' : 'Partial refund'} of ${leg.reference}`,
+        performedBy: req.user._id,
+        operationId,
+        journalId: posted.entry._id,
+        reversalOf: leg.reference,
+        metadata: { reason: reason || null }
+      });
+      
+      await reversal.save({ session });
+      reversals.push(reversal);
+      
+      // Guard on the amount read above so two concurrent refunds cannot both pass the remaining check
+      const marked = await Transaction.updateOne(
+        { _id: leg._id, reversedAmount: leg.reversedAmount },
+        {
+          $inc: { reversedAmount: legRefund },
+          $set: { reversalStatus: legFullyReversed ? 'full' : 'partial', reversedAt: new Date() }
+        },
+        { session }
+      );
+      
+      if (marked.modifiedCount === 0) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          message: 'Transaction was modified by another request, please try again'
+        });
+      }
+    }
+    
+    await session.commitTransaction();
+    
+    // Populate transactions for response
+    for (const reversal of reversals) {
+      await reversal.populate([
+        { path: 'userId', select: 'username email' },
+        { path: 'performedBy', select: 'username email' }
+      ]);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: fullyReversed ? 'Transaction reversed successfully' : 'Partial refund processed successfully',
+      data: {
+        reference,
+        reversals,
+        refundedAmount: fromMinor(refundAmount),
+        remainingAmount: fromMinor(remaining - refundAmount),
+        reversalStatus: fullyReversed ? 'full' : 'partial'
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Reverse transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reverse transaction',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// List the configured currencies and the exchange rate table
+router.get('/exchange-rates', authenticateToken, async (req, res) => {
+  try {
+    const { currencies, baseCurrency } = getCurrencySettings();
+    const rates = await ExchangeRate.find({})
+      .populate('updatedBy', 'username email')
+      .sort({ from: 1, to: 1 });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rates retrieved successfully',
+      data: {
+        currencies,
+        baseCurrency,
+        rates
+      }
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve exchange rates',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Set the rate for converting `from` into `to` (admin only)
+router.put('/exchange-rates/:from/:to', authenticateToken, requireRole(['admin', 'super_admin']), validateExchangeRate, async (req, res) => {
+  try {
+    const { from, to } = req.params;
+    const { rate } = req.body;
+    
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { from, to },
+      { rate, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate('updatedBy', 'username email');
+    
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate updated successfully',
+      data: { rate: exchangeRate }
+    });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update exchange rate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Remove a rate, which disables conversions for that direction (admin only)
+router.delete('/exchange-rates/:from/:to', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const from = req.params.from.toUpperCase();
+    const to = req.params.to.toUpperCase();
+    
+    const result = await ExchangeRate.deleteOne({ from, to });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete exchange rate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Convert funds between two wallets of the same user at the current exchange rate.
+// Users convert their own wallets; admins can convert for users they manage
+router.post('/convert', authenticateToken, validateCurrencyConversion, idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    // amount arrives in integer minor units (see validateCurrencyConversion)
+    const { from, to, amount, description } = req.body;
+    const userId = req.body.userId || req.user._id.toString();
+    
+    const user = await User.findOne({ _id: userId, deletedAt: null }).session(session);
+    
+    if (!user) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const isOwnWallet = req.user._id.toString() === user._id.toString();
+    const canConvert = isOwnWallet || (['admin', 'super_admin'].includes(req.user.role) &&
+      (req.user.role === 'super_admin' || await isInDownline(req.user._id, user._id) || req.user.canManage(user)));
+    
+    if (!canConvert) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot convert this user\'s balance'
+      });
+    }
+    
+    const conversion = await convertAmount(amount, from, to, session);
+    
+    if (!conversion) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate is set for ${from} to ${to}`
+      });
+    }
+    
+    if (conversion.convertedAmount <= 0) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Amount is too small to convert into ${to}`
+      });
+    }
+    
+    const operationId = new mongoose.Types.ObjectId();
+    
+    // The exchange account buys the `from` funds and pays out the `to` funds
+    const posted = await postJournal({
+      kind: 'conversion',
+      postings: [
+        userPosting(user._id, from, -amount),
+        systemPosting('exchange', from, amount),
+        systemPosting('exchange', to, -conversion.convertedAmount),
+        userPosting(user._id, to, conversion.convertedAmount)
+      ],
+      description: description || `Conversion from ${from} to ${to}`,
+      operationId,
+      createdBy: req.user._id
+    }, session);
+    
+    if (!posted) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance'
+      });
+    }
+    
+    const [debitedWallet, , , creditedWallet] = posted.wallets;
+    const journalId = posted.entry._id;
+    const metadata = { conversion: { from, to, rate: conversion.rate } };
+    
+    const debitTransaction = new Transaction({
+      userId: user._id,
+      type: 'debit',
+      category: 'conversion',
+      currency: from,
+      amount,
+      previousBalance: debitedWallet.balance + amount,
+      newBalance: debitedWallet.balance,
+      description: description || `Conversion to ${to}`,
+      performedBy: req.user._id,
+      operationId,
+      journalId,
+      metadata
+    });
+    
+    const creditTransaction = new Transaction({
+      userId: user._id,
+      type: 'credit',
+      category: 'conversion',
+      currency: to,
+      amount: conversion.convertedAmount,
+      previousBalance: creditedWallet.balance - conversion.convertedAmount,
+      newBalance: creditedWallet.balance,
+      description: description || `Conversion from ${from}`,
+      performedBy: req.user._id,
+      operationId,
+      journalId,
+      metadata
+    });
+    
+    await debitTransaction.save({ session });
+    await creditTransaction.save({ session });
+    
+    await session.commitTransaction();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Currency converted successfully',
+      data: {
+        rate: conversion.rate,
+        transactions: [debitTransaction, creditTransaction]
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Convert currency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to convert currency',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// List the users the current user may send money to (see TRANSFER_PAYEES)
+router.get('/transfer/payees', authenticateToken, validatePayeeQuery, async (req, res) => {
+  try {
+    const { search, limit = 20 } = req.query;
+    const filter = getPayeeFilter(req.user);
+    
+    if (search) {
+      filter.$and = [userSearchFilter(search)];
+    }
+    
+    const payees = await User.find(filter)
+      .select('username email role createdBy')
+      .sort({ username: 1 })
+      .limit(parseInt(limit))
+      .lean();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Payees retrieved successfully',
+      data: {
+        payees: payees.map(payee => ({
+          id: payee._id,
+          username: payee.username,
+          email: payee.email,
+          role: payee.role,
+          relation: req.user.createdBy && payee._id.equals(req.user.createdBy)
+            ? 'parent'
+            : payee.createdBy && payee.createdBy.equals(req.user._id) ? 'child' : 'downline'
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get payees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payees',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Send money from the current user's wallet to a user they are allowed to pay
+router.post('/transfer', authenticateToken, validateTransfer, idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    // amount arrives in integer minor units (see validateTransfer)
+    const { recipientId, amount, description } = req.body;
+    const currency = req.body.currency || getCurrencySettings().baseCurrency;
+    const senderId = req.user._id;
+    
+    if (recipientId === senderId.toString()) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot transfer money to yourself'
+      });
+    }
+    
+    const recipient = await User.findOne({ $and: [{ _id: recipientId }, getPayeeFilter(req.user)] })
+      .session(session);
+    
+    if (!recipient) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot transfer money to this user'
+      });
+    }
+    
+    // Velocity limits of the user performing the operation
+    const velocityViolation = await checkVelocity(req.user, currency, [amount], session);
+    
+    if (velocityViolation) {
+      await session.abortTransaction();
+      return res.status(velocityViolation.status).json({
+        success: false,
+        message: velocityViolation.message,
+        limit: velocityViolation.limit,
+        remaining: velocityViolation.remaining
+      });
+    }
+    
+    const sender = await User.findOne({ _id: senderId, deletedAt: null }).session(session);
+    const senderWallet = sender.getWallet(currency);
+    
+    // Funds reserved for holds and pending approvals cannot be sent; a credit limit can be drawn on
+    if (availableBalance(senderWallet) < amount) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance'
+      });
+    }
+    
+    const operationId = new mongoose.Types.ObjectId();
+    const posted = await postJournal({
+      kind: 'transfer',
+      postings: [
+        userPosting(senderId, currency, -amount),
+        userPosting(recipient._id, currency, amount)
+      ],
+      description: description || `Transfer from ${sender.username} to ${recipient.username}`,
+      operationId,
+      createdBy: senderId
+    }, session);
+    
+    if (!posted) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance'
+      });
+    }
+    
+    const [senderNewWallet, recipientNewWallet] = posted.wallets;
+    const journalId = posted.entry._id;
+    
+    const debitTransaction = new Transaction({
+      userId: senderId,
+      type: 'debit',
+      category: 'transfer',
+      currency,
+      amount,
+      previousBalance: senderNewWallet.balance + amount,
+      newBalance: senderNewWallet.balance,
+      description: description || `Transfer to ${recipient.username}`,
+      performedBy: senderId,
+      operationId,
+      journalId,
+      metadata: { counterpartyId: recipient._id }
+    });
+    
+    const creditTransaction = new Transaction({
+      userId: recipient._id,
+      type: 'credit',
+      category: 'transfer',
+      currency,
+      amount,
+      previousBalance: recipientNewWallet.balance - amount,
+      newBalance: recipientNewWallet.balance,
+      description: description || `Transfer from ${sender.username}`,
+      performedBy: senderId,
+      operationId,
+      journalId,
+      metadata: { counterpartyId: senderId }
+    });
+    
+    await debitTransaction.save({ session });
+    await creditTransaction.save({ session });
+    
+    await session.commitTransaction();
+    
+    await debitTransaction.populate([
+      { path: 'userId', select: 'username email' },
+      { path: 'performedBy', select: 'username email' }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      message: `Sent to ${recipient.username} successfully`,
+      data: {
+        transaction: debitTransaction,
+        currency,
+        newBalance: fromMinor(senderNewWallet.balance),
+        recipient: {
+          id: recipient._id,
+          username: recipient.username
+        }
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to transfer money',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
 module.exports = router;
\ No newline at end of file
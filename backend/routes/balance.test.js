@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const JournalEntry = require('../models/JournalEntry');
+const router = require('./balance');
+
+const { ObjectId } = mongoose.Types;
+
+// The route's own handler, past authentication, validation and the idempotency middleware
+function handler(method, path) {
+  const layer = router.stack.find(({ route }) => route && route.path === path && route.methods[method]);
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+}
+
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status: jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(body => {
+      res.body = body;
+      return res;
+    })
+  };
+  return res;
+}
+
+describe('balance routes', () => {
+  let session;
+  let users;
+  let transactions;
+  let journal;
+
+  const makeUser = (username, role, balance) => User.hydrate({
+    _id: new ObjectId(),
+    username,
+    email: `${username}@example.com`,
+    password: 'hashed-password',
+    role,
+    wallets: [{ currency: 'USD', balance, reservedBalance: 0, creditLimit: 0 }],
+    deletedAt: null
+  });
+
+  const makeTransaction = fields => ({
+    _id: new ObjectId(),
+    reference: `TXN${transactions.length + 1}`,
+    currency: 'USD',
+    status: 'completed',
+    reversedAmount: 0,
+    reversalOf: null,
+    chargeOf: null,
+    operationId: null,
+    ...fields
+  });
+
+  const byId = id => users.find(user => String(user._id) === String(id)) || null;
+
+  beforeEach(() => {
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn()
+    };
+    users = [];
+    transactions = [];
+    journal = [];
+
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(User, 'findOne').mockImplementation(({ _id, deletedAt }) => ({
+      session: async () => {
+        const user = byId(_id);
+        return user && (deletedAt !== null || !user.deletedAt) ? user : null;
+      }
+    }));
+    jest.spyOn(User, 'updateWallet').mockImplementation(async (userId, currency, { balance = 0 }) => {
+      const wallet = byId(userId).getWallet(currency);
+      wallet.balance += balance;
+      return wallet.toObject();
+    });
+    // Reads hand out copies, like documents loaded from the database
+    jest.spyOn(Transaction, 'findOne').mockImplementation(({ reference }) => ({
+      session: async () => {
+        const found = transactions.find(transaction => transaction.reference === reference);
+        return found ? { ...found } : null;
+      }
+    }));
+    jest.spyOn(Transaction, 'find').mockImplementation(filter => {
+      const matches = transactions.filter(transaction => transaction.reversalOf === null && (filter.operationId
+        ? String(transaction.operationId) === String(filter.operationId)
+        : filter.chargeOf.$in.includes(transaction.chargeOf)));
+      const query = { sort: () => query, session: async () => matches.map(transaction => ({ ...transaction })) };
+      return query;
+    });
+    jest.spyOn(Transaction, 'updateOne').mockImplementation(async ({ _id, reversedAmount }, update) => {
+      const leg = transactions.find(transaction => String(transaction._id) === String(_id));
+      if (leg.reversedAmount !== reversedAmount) {
+        return { modifiedCount: 0 };
+      }
+      leg.reversedAmount += update.$inc.reversedAmount;
+      Object.assign(leg, update.$set);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Transaction.prototype, 'populate').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(JournalEntry.prototype, 'save').mockImplementation(function() {
+      journal.push(this);
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /transaction/:reference/reverse', () => {
+    let admin;
+    let sender;
+    let recipient;
+    let sent;
+    let received;
+
+    beforeEach(() => {
+      admin = makeUser('admin', 'super_admin', 0);
+      sender = makeUser('sender', 'user', 5000);
+      recipient = makeUser('recipient', 'user', 20000);
+      users.push(admin, sender, recipient);
+
+      // A transfer of 100.00 from sender to recipient
+      const operationId = new ObjectId();
+      sent = makeTransaction({ userId: sender._id, type: 'debit', category: 'transfer', amount: 10000, operationId });
+      received = makeTransaction({ userId: recipient._id, type: 'credit', category: 'transfer', amount: 10000, operationId });
+      transactions.push(sent, received);
+    });
+
+    const reverse = async (reference, body = {}) => {
+      const res = mockResponse();
+      await handler('post', '/transaction/:reference/reverse')({
+        params: { reference },
+        body,
+        user: admin
+      }, res);
+      return res;
+    };
+
+    it('refunds part of every leg of the operation', async () => {
+      const res = await reverse(received.reference, { amount: 4000, reason: 'Wrong amount' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.message).toBe('Partial refund processed successfully');
+      expect(res.body.data).toMatchObject({ refundedAmount: 40, remainingAmount: 60, reversalStatus: 'partial' });
+
+      expect(sender.getWallet('USD').balance).toBe(9000);
+      expect(recipient.getWallet('USD').balance).toBe(16000);
+
+      const [credit, debit] = res.body.data.reversals;
+      expect(credit).toMatchObject({ userId: sender._id, type: 'credit', category: 'reversal', amount: 4000, previousBalance: 5000, newBalance: 9000, reversalOf: sent.reference });
+      expect(debit).toMatchObject({ userId: recipient._id, type: 'debit', amount: 4000, previousBalance: 20000, newBalance: 16000, reversalOf: received.reference });
+      expect(credit.operationId).toEqual(debit.operationId);
+
+      expect(sent).toMatchObject({ reversedAmount: 4000, reversalStatus: 'partial' });
+      expect(received).toMatchObject({ reversedAmount: 4000, reversalStatus: 'partial' });
+
+      // User to user, so nothing settles against a system account
+      expect(journal[0].postings.map(posting => [posting.account, posting.amount])).toEqual([
+        [`user:${sender._id}`, 4000],
+        [`user:${recipient._id}`, -4000]
+      ]);
+      expect(session.commitTransaction).toHaveBeenCalled();
+    });
+
+    it('reverses the rest after a partial refund', async () => {
+      await reverse(received.reference, { amount: 4000 });
+
+      const res = await reverse(sent.reference);
+
+      expect(res.body.message).toBe('Transaction reversed successfully');
+      expect(res.body.data).toMatchObject({ refundedAmount: 60, remainingAmount: 0, reversalStatus: 'full' });
+      expect(res.body.data.reversals[0].description).toBe(`Partial refund of ${sent.reference}`);
+      expect(sent).toMatchObject({ reversedAmount: 10000, reversalStatus: 'full' });
+      expect(sender.getWallet('USD').balance).toBe(15000);
+      expect(recipient.getWallet('USD').balance).toBe(10000);
+
+      const again = await reverse(sent.reference);
+
+      expect(again.statusCode).toBe(409);
+      expect(again.body.message).toBe('Transaction has already been fully reversed');
+    });
+
+    it('refuses to refund more than is left', async () => {
+      await reverse(received.reference, { amount: 4000 });
+
+      const res = await reverse(received.reference, { amount: 6001 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Refund amount exceeds the remaining reversible amount (60)');
+      expect(session.abortTransaction).toHaveBeenCalled();
+    });
+
+    it('needs the money that is taken back to be available', async () => {
+      recipient.getWallet('USD').reservedBalance = 17000;
+
+      const res = await reverse(received.reference, { amount: 4000 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe(`recipient has insufficient balance to reverse ${received.reference}`);
+      expect(User.updateWallet).not.toHaveBeenCalled();
+    });
+
+    it('does not reverse reversals or transactions of deleted users', async () => {
+      const reversal = makeTransaction({
+        userId: recipient._id, type: 'debit', category: 'reversal', amount: 4000, reversalOf: received.reference
+      });
+      transactions.push(reversal);
+
+      expect((await reverse(reversal.reference)).body.message).toBe('A reversal cannot itself be reversed');
+
+      sender.deletedAt = new Date();
+      const res = await reverse(received.reference);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe(`Cannot reverse: transaction ${sent.reference} belongs to a deleted user`);
+    });
+
+    it('fails when a concurrent refund got there first', async () => {
+      const original = Transaction.updateOne.getMockImplementation();
+      Transaction.updateOne.mockImplementationOnce(async (filter, update) => {
+        // Another refund landed between reading the leg and marking it
+        received.reversedAmount += 1000;
+        return original(filter, update);
+      });
+
+      const res = await reverse(received.reference, { amount: 4000 });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('Transaction was modified by another request, please try again');
+      expect(session.commitTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /transaction/:reference/reverse with charges', () => {
+    let admin;
+    let member;
+    let credit;
+    let fee;
+
+    beforeEach(() => {
+      admin = makeUser('admin', 'super_admin', 0);
+      member = makeUser('member', 'user', 9995);
+      users.push(admin, member);
+
+      // An admin credit of 100.00 that carried a 0.05 fee
+      credit = makeTransaction({
+        userId: member._id, type: 'credit', category: 'adjustment', amount: 10000, operationId: new ObjectId()
+      });
+      fee = makeTransaction({ userId: member._id, type: 'debit', category: 'fee', amount: 5, chargeOf: credit.reference });
+      transactions.push(credit, fee);
+    });
+
+    const reverse = async (body = {}) => {
+      const res = mockResponse();
+      await handler('post', '/transaction/:reference/reverse')({
+        params: { reference: credit.reference },
+        body,
+        user: admin
+      }, res);
+      return res;
+    };
+
+    it('refunds the fee in proportion, rounding half to even', async () => {
+      const res = await reverse({ amount: 5000 });
+
+      expect(res.statusCode).toBe(200);
+      // Half of the 5 minor unit fee is 2.5, which rounds to 2
+      expect(fee).toMatchObject({ reversedAmount: 2, reversalStatus: 'partial' });
+      expect(member.getWallet('USD').balance).toBe(9995 + 2 - 5000);
+      expect(journal[0].postings.map(posting => [posting.account, posting.amount])).toEqual([
+        [`user:${member._id}`, 2],
+        [`user:${member._id}`, -5000],
+        ['system:fees', -2],
+        ['system:issuance', 5000]
+      ]);
+    });
+
+    it('refunds what is left of the fee with the rest of the credit', async () => {
+      await reverse({ amount: 5000 });
+
+      await reverse();
+
+      expect(fee).toMatchObject({ reversedAmount: 5, reversalStatus: 'full' });
+      expect(member.getWallet('USD').balance).toBe(0);
+    });
+  });
+});
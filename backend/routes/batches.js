@@ -0,0 +1,247 @@
+const express = require('express');
+const BalanceBatch = require('../models/BalanceBatch');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { validateBatchUpload, validateBatchExecution, validateBatchResult, validateObjectId } = require('../middleware/validation');
+const { MAX_BATCH_ROWS, parseBatchCsv, validateBatchRows, executeBatch, renderBatchResult } = require('../utils/batches');
+const { getCurrencySettings } = require('../utils/currency');
+const { checkVelocity } = require('../utils/velocity');
+
+// Load a batch for the request; only the admin who uploaded it and super admins can use it
+const findBatch = async (req) => {
+  const batch = await BalanceBatch.findById(req.params.id);
+
+  if (!batch) {
+    return { status: 404, message: 'Batch not found' };
+  }
+
+  if (req.user.role !== 'super_admin' && batch.createdBy.toString() !== req.user._id.toString()) {
+    return { status: 403, message: 'You cannot access this batch' };
+  }
+
+  return { batch };
+};
+
+const router = express.Router();
+
+// Upload a bulk credit as CSV or JSON rows and preview it; nothing moves until it is executed
+router.post('/', authenticateToken, requireRole(['admin', 'super_admin']), validateBatchUpload, async (req, res) => {
+  try {
+    const currency = req.body.currency || getCurrencySettings().baseCurrency;
+    let rows = req.body.rows;
+
+    if (req.body.format === 'csv') {
+      const parsed = parseBatchCsv(req.body.csv);
+
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      rows = parsed.rows;
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Batch has no rows'
+      });
+    }
+
+    if (rows.length > MAX_BATCH_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch cannot have more than ${MAX_BATCH_ROWS} rows`
+      });
+    }
+
+    const batch = await BalanceBatch.create({
+      createdBy: req.user._id,
+      currency,
+      rows: await validateBatchRows(req.user, rows, currency)
+    });
+    const summary = batch.getSummary();
+
+    res.status(201).json({
+      success: true,
+      message: summary.invalid > 0
+        ? `Batch previewed: ${summary.invalid} of ${summary.rows} rows are invalid`
+        : 'Batch previewed: all rows are valid',
+      data: {
+        batch,
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Create batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a batch with its per-row preview or outcome
+router.get('/:id', authenticateToken, requireRole(['admin', 'super_admin']), validateObjectId('id'), async (req, res) => {
+  try {
+    const { batch, status, message } = await findBatch(req);
+
+    if (!batch) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Batch retrieved successfully',
+      data: {
+        batch,
+        summary: batch.getSummary()
+      }
+    });
+  } catch (error) {
+    console.error('Get batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Execute a previewed batch once, all-or-nothing or best-effort; every row is re-checked
+// against current balances and every transaction written carries the batch id
+router.post('/:id/execute', authenticateToken, requireRole(['admin', 'super_admin']), validateBatchExecution, idempotent, async (req, res) => {
+  try {
+    const { mode } = req.body;
+    const found = await findBatch(req);
+
+    if (!found.batch) {
+      return res.status(found.status).json({
+        success: false,
+        message: found.message
+      });
+    }
+
+    if (found.batch.status !== 'previewed') {
+      return res.status(409).json({
+        success: false,
+        message: `Batch has already been ${found.batch.status === 'processing' ? 'started' : 'executed'}`
+      });
+    }
+
+    const summary = found.batch.getSummary();
+
+    if (mode === 'all_or_nothing' && summary.invalid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Batch has ${summary.invalid} invalid rows; fix them or execute best-effort`
+      });
+    }
+
+    if (summary.valid === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Batch has no valid rows'
+      });
+    }
+
+    // Every row counts as one operation towards the executing admin's velocity limits. This is a
+    // preview of the whole batch; each row is checked again as it is credited
+    const velocityViolation = await checkVelocity(
+      req.user,
+      found.batch.currency,
+      found.batch.rows.filter(row => row.status === 'valid').map(row => row.amount)
+    );
+
+    if (velocityViolation) {
+      return res.status(velocityViolation.status).json({
+        success: false,
+        message: velocityViolation.message,
+        limit: velocityViolation.limit,
+        remaining: velocityViolation.remaining
+      });
+    }
+
+    // Claim the batch so concurrent requests cannot execute it twice
+    const batch = await BalanceBatch.findOneAndUpdate(
+      { _id: found.batch._id, status: 'previewed' },
+      { $set: { status: 'processing', mode } },
+      { new: true }
+    );
+
+    if (!batch) {
+      return res.status(409).json({
+        success: false,
+        message: 'Batch has already been started'
+      });
+    }
+
+    try {
+      await executeBatch(batch, req.user, mode);
+    } catch (error) {
+      // all_or_nothing rolled everything back, so the batch can be executed again; best_effort
+      // may have committed rows already, so the batch stays claimed
+      if (mode === 'all_or_nothing') {
+        await BalanceBatch.updateOne({ _id: batch._id }, { $set: { status: 'previewed', mode: null } });
+      }
+      throw error;
+    }
+
+    await batch.save();
+    const result = batch.getSummary();
+
+    res.status(200).json({
+      success: true,
+      message: {
+        completed: 'Batch executed successfully',
+        partial: `Batch partially executed: ${result.completed} of ${result.rows} rows credited`,
+        failed: 'Batch failed; no rows were credited'
+      }[batch.status],
+      data: {
+        batch,
+        summary: result
+      }
+    });
+  } catch (error) {
+    console.error('Execute batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to execute batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Download the per-row result of a batch as CSV (default) or JSON
+router.get('/:id/result', authenticateToken, requireRole(['admin', 'super_admin']), validateBatchResult, async (req, res) => {
+  try {
+    const { batch, status, message } = await findBatch(req);
+
+    if (!batch) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const { body, contentType, extension } = renderBatchResult(batch, req.query.format || 'csv');
+
+    res.attachment(`batch-${batch._id}.${extension}`);
+    res.type(contentType);
+    res.status(200).send(body);
+  } catch (error) {
+    console.error('Download batch result error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download batch result',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const express = require('express');
+const BalanceDiscrepancy = require('../models/BalanceDiscrepancy');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validateDiscrepancyQuery, validateDiscrepancyDecision, validateObjectId } = require('../middleware/validation');
+const { reconcileBalances } = require('../utils/balanceReconciliation');
+
+const POPULATE = [
+  { path: 'userId', select: 'username email' },
+  { path: 'acknowledgedBy', select: 'username email' },
+  { path: 'resolvedBy', select: 'username email' }
+];
+
+// Move a discrepancy from one status to another, failing if it changed in the meantime
+const transition = (id, from, update) => BalanceDiscrepancy.findOneAndUpdate(
+  { _id: id, status: { $in: from } },
+  { $set: update },
+  { new: true }
+).populate(POPULATE);
+
+const router = express.Router();
+
+// List discrepancies found by balance reconciliation, most recently seen first
+router.get('/', authenticateToken, requireRole(['super_admin']), validateDiscrepancyQuery, async (req, res) => {
+  try {
+    const { status, type, userId, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (userId) query.userId = userId;
+
+    const skip = (page - 1) * limit;
+
+    const [discrepancies, totalDiscrepancies, statusCounts] = await Promise.all([
+      BalanceDiscrepancy.find(query)
+        .populate(POPULATE)
+        .sort({ lastDetectedAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      BalanceDiscrepancy.countDocuments(query),
+      BalanceDiscrepancy.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const totalPages = Math.ceil(totalDiscrepancies / limit);
+    const counts = { open: 0, acknowledged: 0, resolved: 0 };
+
+    for (const { _id, count } of statusCounts) {
+      counts[_id] = count;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Balance discrepancies retrieved successfully',
+      data: {
+        discrepancies,
+        counts,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalDiscrepancies,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get balance discrepancies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve balance discrepancies',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Reconcile every user's balance chain now instead of waiting for the scheduled run
+router.post('/run', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const report = await reconcileBalances();
+    const open = await BalanceDiscrepancy.countDocuments({ status: { $in: ['open', 'acknowledged'] } });
+
+    res.status(200).json({
+      success: true,
+      message: open === 0
+        ? 'Balance reconciliation found no discrepancies'
+        : `Balance reconciliation finished with ${open} unresolved discrepancies`,
+      data: {
+        report,
+        unresolved: open
+      }
+    });
+  } catch (error) {
+    console.error('Run balance reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run balance reconciliation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a discrepancy
+router.get('/:id', authenticateToken, requireRole(['super_admin']), validateObjectId('id'), async (req, res) => {
+  try {
+    const discrepancy = await BalanceDiscrepancy.findById(req.params.id).populate(POPULATE);
+
+    if (!discrepancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discrepancy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Balance discrepancy retrieved successfully',
+      data: {
+        discrepancy
+      }
+    });
+  } catch (error) {
+    console.error('Get balance discrepancy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve balance discrepancy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Acknowledge an open discrepancy: someone is looking into it. Reconciliation keeps checking it
+// and resolves it if it goes away
+router.post('/:id/acknowledge', authenticateToken, requireRole(['super_admin']), validateDiscrepancyDecision(false), async (req, res) => {
+  try {
+    const update = {
+      status: 'acknowledged',
+      acknowledgedBy: req.user._id,
+      acknowledgedAt: new Date()
+    };
+
+    if (req.body.note) update.note = req.body.note;
+
+    const discrepancy = await transition(req.params.id, ['open'], update);
+
+    if (!discrepancy) {
+      const existing = await BalanceDiscrepancy.findById(req.params.id).select('status');
+
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        message: existing ? `Only open discrepancies can be acknowledged (this one is ${existing.status})` : 'Discrepancy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Balance discrepancy acknowledged',
+      data: {
+        discrepancy
+      }
+    });
+  } catch (error) {
+    console.error('Acknowledge balance discrepancy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to acknowledge balance discrepancy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Resolve a discrepancy with a note on what was done (or why it is expected). A resolved
+// discrepancy isn't reopened if reconciliation keeps finding it
+router.post('/:id/resolve', authenticateToken, requireRole(['super_admin']), validateDiscrepancyDecision(true), async (req, res) => {
+  try {
+    const discrepancy = await transition(req.params.id, ['open', 'acknowledged'], {
+      status: 'resolved',
+      resolvedBy: req.user._id,
+      resolvedAt: new Date(),
+      note: req.body.note
+    });
+
+    if (!discrepancy) {
+      const existing = await BalanceDiscrepancy.findById(req.params.id).select('status');
+
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        message: existing ? 'Discrepancy is already resolved' : 'Discrepancy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Balance discrepancy resolved',
+      data: {
+        discrepancy
+      }
+    });
+  } catch (error) {
+    console.error('Resolve balance discrepancy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve balance discrepancy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,358 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Hold = require('../models/Hold');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { validateHold, validateHoldCapture, validateHoldQuery, validateObjectId } = require('../middleware/validation');
+const { getCurrencySettings } = require('../utils/currency');
+const { checkVelocity } = require('../utils/velocity');
+const { getHoldSettings, placeHold, captureHold, releaseHold } = require('../utils/holds');
+
+// Load a hold for the request; its owner can look at it, while only the admin who placed it and
+// super admins can capture or release it
+const findHold = async (req, { manage = false } = {}) => {
+  const hold = await Hold.findById(req.params.id);
+
+  if (!hold) {
+    return { status: 404, message: 'Hold not found' };
+  }
+
+  const isCreator = hold.createdBy.toString() === req.user._id.toString();
+  const isOwner = hold.userId.toString() === req.user._id.toString();
+
+  if (req.user.role !== 'super_admin' && !isCreator && (manage || !isOwner)) {
+    return { status: 403, message: 'You cannot access this hold' };
+  }
+
+  return { hold };
+};
+
+// List holds matching a query, newest first, with the same pagination as the other lists
+const listHolds = async (query, { page = 1, limit = 20 }) => {
+  const skip = (page - 1) * limit;
+
+  const [holds, totalHolds] = await Promise.all([
+    Hold.find(query)
+      .populate('userId', 'username email')
+      .populate('createdBy', 'username email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Hold.countDocuments(query)
+  ]);
+
+  const totalPages = Math.ceil(totalHolds / limit);
+
+  return {
+    holds,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalHolds,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit
+    }
+  };
+};
+
+const router = express.Router();
+
+// Reserve funds on a user's wallet, e.g. for an order that isn't finalized yet. Held funds
+// still count towards the balance but can't be deducted, transferred or held again
+router.post('/', authenticateToken, requireRole(['admin', 'super_admin']), validateHold, idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // amount arrives in integer minor units (see validateHold)
+    const { userId, amount, description, orderReference = null } = req.body;
+    const currency = req.body.currency || getCurrencySettings().baseCurrency;
+
+    const user = await User.findOne({ _id: userId, deletedAt: null }).session(session);
+
+    if (!user) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!req.user.canManage(user) && req.user._id.toString() !== userId) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot manage this user\'s balance'
+      });
+    }
+
+    const expiresAt = req.body.expiresAt ||
+      new Date(Date.now() + getHoldSettings().defaultExpiryHours * 60 * 60 * 1000);
+
+    const hold = new Hold({
+      userId,
+      currency,
+      amount,
+      description,
+      orderReference,
+      expiresAt,
+      createdBy: req.user._id
+    });
+
+    if (!await placeHold(hold, session)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance'
+      });
+    }
+
+    await session.commitTransaction();
+
+    res.status(201).json({
+      success: true,
+      message: 'Funds held successfully',
+      data: {
+        hold
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Create hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to hold funds',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// List holds (super admins see everyone's, admins the ones they placed)
+router.get('/', authenticateToken, requireRole(['admin', 'super_admin']), validateHoldQuery, async (req, res) => {
+  try {
+    const { status, userId, orderReference } = req.query;
+    const query = {};
+
+    if (req.user.role !== 'super_admin') query.createdBy = req.user._id;
+    if (status) query.status = status;
+    if (userId) query.userId = userId;
+    if (orderReference) query.orderReference = orderReference;
+
+    res.status(200).json({
+      success: true,
+      message: 'Holds retrieved successfully',
+      data: await listHolds(query, req.query)
+    });
+  } catch (error) {
+    console.error('Get holds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve holds',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List holds on the current user's wallets
+router.get('/me', authenticateToken, validateHoldQuery, async (req, res) => {
+  try {
+    const { status, orderReference } = req.query;
+    const query = { userId: req.user._id };
+
+    if (status) query.status = status;
+    if (orderReference) query.orderReference = orderReference;
+
+    res.status(200).json({
+      success: true,
+      message: 'Holds retrieved successfully',
+      data: await listHolds(query, req.query)
+    });
+  } catch (error) {
+    console.error('Get my holds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve holds',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a hold with its captures
+router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const { hold, status, message } = await findHold(req);
+
+    if (!hold) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    await hold.populate([
+      { path: 'userId', select: 'username email' },
+      { path: 'createdBy', select: 'username email' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Hold retrieved successfully',
+      data: {
+        hold
+      }
+    });
+  } catch (error) {
+    console.error('Get hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve hold',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Capture part or all of an active hold (all that remains without an amount). The captured
+// amount is debited from the wallet; once nothing remains the hold is closed as captured
+router.post('/:id/capture', authenticateToken, requireRole(['admin', 'super_admin']), validateHoldCapture, idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const found = await findHold(req, { manage: true });
+
+    if (!found.hold) {
+      await session.abortTransaction();
+      return res.status(found.status).json({
+        success: false,
+        message: found.message
+      });
+    }
+
+    const { hold } = found;
+    const remaining = hold.amount - hold.capturedAmount;
+
+    if (hold.status !== 'active' || hold.expiresAt <= new Date()) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: `Only active holds can be captured (this one is ${hold.status === 'active' ? 'expired' : hold.status})`
+      });
+    }
+
+    // amount arrives in integer minor units (see validateHoldCapture)
+    const amount = req.body.amount || remaining;
+
+    if (amount > remaining) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Amount exceeds what remains on the hold'
+      });
+    }
+
+    const velocityViolation = await checkVelocity(req.user, hold.currency, [amount], session);
+
+    if (velocityViolation) {
+      await session.abortTransaction();
+      return res.status(velocityViolation.status).json({
+        success: false,
+        message: velocityViolation.message,
+        limit: velocityViolation.limit,
+        remaining: velocityViolation.remaining
+      });
+    }
+
+    const captured = await captureHold(hold, amount, {
+      performedBy: req.user._id,
+      description: req.body.description || hold.description
+    }, session);
+
+    if (!captured) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Hold changed while it was being captured; please retry'
+      });
+    }
+
+    await session.commitTransaction();
+
+    await captured.transaction.populate([
+      { path: 'userId', select: 'username email' },
+      { path: 'performedBy', select: 'username email' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: captured.hold.status === 'captured' ? 'Hold captured successfully' : 'Hold partially captured',
+      data: {
+        hold: captured.hold,
+        transaction: captured.transaction
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Capture hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to capture hold',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Release what remains of an active hold back to the available balance
+router.post('/:id/release', authenticateToken, requireRole(['admin', 'super_admin']), validateObjectId('id'), idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const found = await findHold(req, { manage: true });
+
+    if (!found.hold) {
+      await session.abortTransaction();
+      return res.status(found.status).json({
+        success: false,
+        message: found.message
+      });
+    }
+
+    const released = await releaseHold(found.hold, { status: 'released', closedBy: req.user._id }, session);
+
+    if (!released) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: `Hold is already ${found.hold.status}`
+      });
+    }
+
+    await session.commitTransaction();
+
+    res.status(200).json({
+      success: true,
+      message: 'Hold released successfully',
+      data: {
+        hold: released
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Release hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release hold',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+module.exports = router;
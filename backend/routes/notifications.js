@@ -0,0 +1,114 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const { authenticateToken } = require('../middleware/auth');
+const { validateNotificationQuery, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Get the current user's notifications, newest first
+router.get('/', authenticateToken, validateNotificationQuery, async (req, res) => {
+  try {
+    const { unread = false, page = 1, limit = 20 } = req.query;
+    const query = { userId: req.user._id };
+
+    if (unread) query.readAt = null;
+
+    const skip = (page - 1) * limit;
+
+    const [notifications, totalNotifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId: req.user._id, readAt: null })
+    ]);
+
+    const totalPages = Math.ceil(totalNotifications / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications retrieved successfully',
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalNotifications,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Mark all of the current user's notifications as read
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: {
+        updated: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Read all notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Mark one notification as read
+router.post('/:id/read', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        notification
+      }
+    });
+  } catch (error) {
+    console.error('Read notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,313 @@
+const express = require('express');
+const User = require('../models/User');
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { validateScheduledTransfer, validateScheduledTransferQuery, validateObjectId } = require('../middleware/validation');
+const { getApprovalRequirement } = require('../utils/approvals');
+const { getCurrencySettings } = require('../utils/currency');
+const { nextRunTime } = require('../utils/scheduledTransfers');
+
+// Load a schedule for the request; only the admin who created it and super admins can manage it
+const findSchedule = async (req) => {
+  const schedule = await ScheduledTransfer.findById(req.params.id);
+
+  if (!schedule) {
+    return { status: 404, message: 'Scheduled transfer not found' };
+  }
+
+  if (req.user.role !== 'super_admin' && schedule.createdBy.toString() !== req.user._id.toString()) {
+    return { status: 403, message: 'You cannot access this scheduled transfer' };
+  }
+
+  return { schedule };
+};
+
+// Move a schedule from one status to another, failing if it changed in the meantime
+const transition = (schedule, from, update) => ScheduledTransfer.findOneAndUpdate(
+  { _id: schedule._id, status: { $in: from } },
+  { $set: update },
+  { new: true }
+);
+
+const router = express.Router();
+
+// Schedule a one-off future transfer or a recurring one; each run follows the rules of /add
+router.post('/', authenticateToken, requireRole(['admin', 'super_admin']), validateScheduledTransfer, idempotent, async (req, res) => {
+  try {
+    const { userId, amount, description, frequency, endAt = null } = req.body;
+    const currency = req.body.currency || getCurrencySettings().baseCurrency;
+
+    const targetUser = await User.findOne({ _id: userId, deletedAt: null });
+
+    if (!targetUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Nobody is around to approve a scheduled run
+    if (getApprovalRequirement('add', amount)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled transfers cannot exceed the approval threshold'
+      });
+    }
+
+    const schedule = new ScheduledTransfer({
+      createdBy: req.user._id,
+      userId: targetUser._id,
+      amount,
+      currency,
+      description,
+      frequency,
+      cron: frequency === 'cron' ? req.body.cron : null,
+      startAt: req.body.startAt || new Date(),
+      endAt
+    });
+
+    schedule.nextRunAt = nextRunTime(schedule, new Date(schedule.startAt.getTime() - 1));
+
+    if (!schedule.nextRunAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule never runs before its end time'
+      });
+    }
+
+    await schedule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer scheduled successfully',
+      data: {
+        scheduledTransfer: schedule
+      }
+    });
+  } catch (error) {
+    console.error('Create scheduled transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule transfer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List scheduled transfers (super admins see everyone's, admins their own)
+router.get('/', authenticateToken, requireRole(['admin', 'super_admin']), validateScheduledTransferQuery, async (req, res) => {
+  try {
+    const { status, userId, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (req.user.role !== 'super_admin') query.createdBy = req.user._id;
+    if (status) query.status = status;
+    if (userId) query.userId = userId;
+
+    const skip = (page - 1) * limit;
+
+    const [scheduledTransfers, totalScheduledTransfers] = await Promise.all([
+      ScheduledTransfer.find(query)
+        .select('-runs')
+        .populate('userId', 'username email')
+        .populate('createdBy', 'username email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ScheduledTransfer.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalScheduledTransfers / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled transfers retrieved successfully',
+      data: {
+        scheduledTransfers,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalScheduledTransfers,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get scheduled transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve scheduled transfers',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a scheduled transfer with its run history
+router.get('/:id', authenticateToken, requireRole(['admin', 'super_admin']), validateObjectId('id'), async (req, res) => {
+  try {
+    const { schedule, status, message } = await findSchedule(req);
+
+    if (!schedule) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    await schedule.populate([
+      { path: 'userId', select: 'username email' },
+      { path: 'createdBy', select: 'username email' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled transfer retrieved successfully',
+      data: {
+        scheduledTransfer: schedule
+      }
+    });
+  } catch (error) {
+    console.error('Get scheduled transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve scheduled transfer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Pause an active schedule; it keeps its settings but doesn't run
+router.post('/:id/pause', authenticateToken, requireRole(['admin', 'super_admin']), validateObjectId('id'), async (req, res) => {
+  try {
+    const { schedule, status, message } = await findSchedule(req);
+
+    if (!schedule) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const paused = await transition(schedule, ['active'], { status: 'paused' });
+
+    if (!paused) {
+      return res.status(409).json({
+        success: false,
+        message: `Only active transfers can be paused (this one is ${schedule.status})`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled transfer paused',
+      data: {
+        scheduledTransfer: paused
+      }
+    });
+  } catch (error) {
+    console.error('Pause scheduled transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause scheduled transfer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Resume a paused schedule. Occurrences missed while paused are skipped, except that a
+// one-off transfer whose time has passed runs straight away
+router.post('/:id/resume', authenticateToken, requireRole(['admin', 'super_admin']), validateObjectId('id'), async (req, res) => {
+  try {
+    const { schedule, status, message } = await findSchedule(req);
+
+    if (!schedule) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const now = new Date();
+    const nextRunAt = schedule.frequency === 'once'
+      ? new Date(Math.max(schedule.startAt.getTime(), now.getTime()))
+      : nextRunTime(schedule, now);
+
+    if (!nextRunAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Scheduled transfer has passed its end time; cancel it instead'
+      });
+    }
+
+    const resumed = await transition(schedule, ['paused'], { status: 'active', nextRunAt });
+
+    if (!resumed) {
+      return res.status(409).json({
+        success: false,
+        message: `Only paused transfers can be resumed (this one is ${schedule.status})`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled transfer resumed',
+      data: {
+        scheduledTransfer: resumed
+      }
+    });
+  } catch (error) {
+    console.error('Resume scheduled transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume scheduled transfer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Cancel a schedule for good; its run history is kept
+router.post('/:id/cancel', authenticateToken, requireRole(['admin', 'super_admin']), validateObjectId('id'), async (req, res) => {
+  try {
+    const { schedule, status, message } = await findSchedule(req);
+
+    if (!schedule) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const cancelled = await transition(schedule, ['active', 'paused'], {
+      status: 'cancelled',
+      nextRunAt: null,
+      cancelledAt: new Date()
+    });
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: `Scheduled transfer is already ${schedule.status}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled transfer cancelled',
+      data: {
+        scheduledTransfer: cancelled
+      }
+    });
+  } catch (error) {
+    console.error('Cancel scheduled transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel scheduled transfer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
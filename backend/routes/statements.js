@@ -0,0 +1,88 @@
+const express = require('express');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { validateStatement, validateObjectId } = require('../middleware/validation');
+const { isInDownline } = require('../utils/downline');
+const { getCurrencySettings } = require('../utils/currency');
+const { getStatementPeriod, getLedgerBalance, streamStatementCsv, renderStatementPdf } = require('../utils/statements');
+
+// Send a user's statement for the requested period as a CSV stream (default) or a PDF
+const sendStatement = async (req, res, user) => {
+  const currency = req.query.currency || getCurrencySettings().baseCurrency;
+  const format = req.query.format || 'csv';
+  const period = getStatementPeriod(req.query);
+  const statement = {
+    user,
+    userId: user._id,
+    currency,
+    period,
+    openingBalance: await getLedgerBalance(user._id, currency, period.start)
+  };
+  const name = `statement-${user.username}-${currency}-${period.start.toISOString().slice(0, 10)}`;
+
+  res.attachment(`${name}.${format}`);
+
+  if (format === 'pdf') {
+    res.type('application/pdf');
+    return res.status(200).send(await renderStatementPdf(statement));
+  }
+
+  res.type('text/csv');
+  res.status(200);
+  await streamStatementCsv(res, statement);
+};
+
+// Report a failure, which for a CSV already being streamed can only cut the download short
+const statementError = (res, error) => {
+  console.error('Get statement error:', error);
+
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Failed to generate statement',
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const router = express.Router();
+
+// Get the current user's statement (MUST come before /:userId)
+router.get('/me', authenticateToken, validateStatement, async (req, res) => {
+  try {
+    await sendStatement(req, res, req.user);
+  } catch (error) {
+    statementError(res, error);
+  }
+});
+
+// Get a user's statement; same access as their transaction history
+router.get('/:userId', authenticateToken, validateObjectId('userId'), validateStatement, async (req, res) => {
+  try {
+    const targetUser = await User.findById(req.params.userId);
+
+    if (!targetUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isOwnStatement = req.user._id.toString() === targetUser._id.toString();
+
+    if (!isOwnStatement && !await isInDownline(req.user._id, targetUser._id) && !req.user.canManage(targetUser)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot access this statement'
+      });
+    }
+
+    await sendStatement(req, res, targetUser);
+  } catch (error) {
+    statementError(res, error);
+  }
+});
+
+module.exports = router;
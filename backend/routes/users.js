@@ -1,9 +1,16 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const HierarchyEvent = require('../models/HierarchyEvent');
 const { authenticateToken, requireRole, canManageUser } = require('../middleware/auth');
-const { validateUserUpdate, validateUserQuery, validateObjectId } = require('../middleware/validation');
-const { getDownline, getDownlineTree, isInDownline, getNextLevelUsers } = require('../utils/downline');
+const { validateUserUpdate, validateUserQuery, validateObjectId, validateUserMove, validateUserDeletion, validateUserRestore, validateTreeQuery, validateHierarchyExport } = require('../middleware/validation');
+const { getDownline, getDownlineTree, isInDownline, getNextLevelUsers, getUpline, getDownlineSummary } = require('../utils/downline');
+const { DELETION_STRATEGIES, buildDeletionPlan, executeDeletionPlan } = require('../utils/deletion');
+const { renderHierarchy } = require('../utils/export');
+const { checkPlacement, checkRoleChange } = require('../utils/hierarchyRules');
+const { fromMinor } = require('../utils/money');
+const { userSearchFilter } = require('../utils/search');
 
 const router = express.Router();
 
@@ -18,11 +25,15 @@ router.get('/', authenticateToken, validateUserQuery, async (req, res) => {
       isActive,
       search,
       sortBy = 'createdAt',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      deleted
     } = req.query;
     
     // Build query based on user role
-    let query = {};
+    // Soft-deleted users are hidden unless a super admin explicitly asks for them
+    let query = {
+      deletedAt: deleted === true && req.user.role === 'super_admin' ? { $ne: null } : null
+    };
     
     // Super admin can see all users
     if (req.user.role === 'super_admin') {
@@ -76,10 +87,7 @@ router.get('/', authenticateToken, validateUserQuery, async (req, res) => {
     
     // Search functionality
     if (search) {
-      query.$or = [
-        { username: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
+      query.$or = userSearchFilter(search).$or;
     }
     
     // Calculate pagination
@@ -102,7 +110,7 @@ router.get('/', authenticateToken, validateUserQuery, async (req, res) => {
     
     // Transform users to include 'id' field (convert _id to id)
     const transformedUsers = users.map(user => {
-      const userObj = user.toObject ? user.toObject() : user;
+      const userObj = User.serialize(user);
       return {
         ...userObj,
         id: userObj._id ? String(userObj._id) : String(userObj.id || '')
@@ -154,7 +162,7 @@ router.get('/:id', authenticateToken, validateObjectId('id'), canManageUser, asy
     }
     
     // Transform user to include 'id' field
-    const userObj = user.toObject ? user.toObject() : user;
+    const userObj = User.serialize(user);
     const transformedUser = {
       ...userObj,
       id: userObj._id ? String(userObj._id) : String(userObj.id || '')
@@ -219,11 +227,21 @@ router.put('/:id', authenticateToken, validateObjectId('id'), validateUserUpdate
           message: 'You cannot assign this role'
         });
       }
+      
+      const violation = targetUser && await checkRoleChange(targetUser, role);
+      
+      if (violation) {
+        return res.status(violation.status).json({
+          success: false,
+          message: violation.message,
+          rule: violation.rule
+        });
+      }
     }
     
-    // Update user
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
+    // Update user (soft-deleted users must be restored first)
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: userId, deletedAt: null },
       updateData,
       { new: true, runValidators: true }
     ).select('-password').populate('createdBy', 'username email');
@@ -236,7 +254,7 @@ router.put('/:id', authenticateToken, validateObjectId('id'), validateUserUpdate
     }
     
     // Transform user to include 'id' field
-    const userObj = updatedUser.toObject ? updatedUser.toObject() : updatedUser;
+    const userObj = User.serialize(updatedUser);
     const transformedUser = {
       ...userObj,
       id: userObj._id ? userObj._id.toString() : userObj.id
@@ -266,50 +284,137 @@ router.put('/:id', authenticateToken, validateObjectId('id'), validateUserUpdate
   }
 });
 
-// Delete user
-router.delete('/:id', authenticateToken, requireRole(['admin', 'super_admin']), validateObjectId('id'), canManageUser, async (req, res) => {
+// Delete user (soft delete; see POST /:id/restore and the retention purge)
+// Users with children require a strategy (promote, reassign, cascade_deactivate); dryRun=true reports the plan only
+router.delete('/:id', authenticateToken, requireRole(['admin', 'super_admin']), validateUserDeletion, canManageUser, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
   try {
     const userId = req.params.id;
+    const { strategy, reassignTo, reason, dryRun = false } = req.query;
     
     // Prevent self-deletion
     if (req.user._id.toString() === userId) {
+      await session.abortTransaction();
       return res.status(400).json({
         success: false,
         message: 'You cannot delete your own account'
       });
     }
     
-    const user = await User.findById(userId);
+    const user = await User.findOne({ _id: userId, deletedAt: null }).session(session);
     
     if (!user) {
+      await session.abortTransaction();
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
     
-    // Check if user has balance
-    if (user.balance > 0) {
+    // Check if user has balance in any currency
+    if (user.wallets.some(wallet => wallet.balance > 0)) {
+      await session.abortTransaction();
       return res.status(400).json({
         success: false,
         message: 'Cannot delete user with positive balance'
       });
     }
     
-    // Delete user
-    await User.findByIdAndDelete(userId);
+    const childCount = await User.countDocuments({ createdBy: user._id, deletedAt: null }).session(session);
+    
+    if (childCount > 0 && !strategy) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `User has ${childCount} direct user(s). Choose a deletion strategy: ${DELETION_STRATEGIES.join(', ')}`
+      });
+    }
+    
+    let reassignTarget = null;
+    
+    if (childCount > 0 && strategy === 'reassign') {
+      if (!reassignTo) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'reassignTo is required for the reassign strategy'
+        });
+      }
+      
+      reassignTarget = await User.findOne({ _id: reassignTo, deletedAt: null }).session(session);
+      
+      if (!reassignTarget) {
+        await session.abortTransaction();
+        return res.status(404).json({
+          success: false,
+          message: 'Reassignment target user not found'
+        });
+      }
+      
+      // Children cannot be handed to the deleted user or anyone in its subtree
+      if (reassignTo === userId || reassignTarget.ancestors.some(ancestorId => ancestorId.toString() === userId)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reassign children to the deleted user or one of its descendants'
+        });
+      }
+      
+      const canUseTarget = req.user.role === 'super_admin' ||
+                          req.user._id.toString() === reassignTo ||
+                          await isInDownline(req.user._id, reassignTo) ||
+                          req.user.canManage(reassignTarget);
+      
+      if (!canUseTarget) {
+        await session.abortTransaction();
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot reassign users to this user'
+        });
+      }
+    }
+    
+    const plan = await buildDeletionPlan(user, { strategy, reassignTarget }, session);
+    
+    if (dryRun) {
+      await session.abortTransaction();
+      return res.status(200).json({
+        success: true,
+        message: 'Deletion dry run completed',
+        data: { dryRun: true, plan }
+      });
+    }
+    
+    const { violation } = await executeDeletionPlan(user, plan, { performedBy: req.user._id, reason }, session);
+    
+    if (violation) {
+      await session.abortTransaction();
+      return res.status(violation.status).json({
+        success: false,
+        message: `Cannot move the children of ${user.username}: ${violation.message}`,
+        rule: violation.rule
+      });
+    }
+    
+    await session.commitTransaction();
     
     res.status(200).json({
       success: true,
-      message: 'User deleted successfully'
+      message: 'User deleted successfully',
+      data: { dryRun: false, plan }
     });
   } catch (error) {
+    await session.abortTransaction();
     console.error('Delete user error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to delete user',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
+  } finally {
+    session.endSession();
   }
 });
 
@@ -317,11 +422,11 @@ router.delete('/:id', authenticateToken, requireRole(['admin', 'super_admin']),
 router.get('/stats/overview', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
   try {
     const stats = await User.aggregate([
+      { $match: { deletedAt: null } },
       {
         $group: {
           _id: '$role',
           count: { $sum: 1 },
-          totalBalance: { $sum: '$balance' },
           activeUsers: {
             $sum: { $cond: [{ $eq: ['$isActive', true] }, 1, 0] }
           }
@@ -329,15 +434,28 @@ router.get('/stats/overview', authenticateToken, requireRole(['admin', 'super_ad
       }
     ]);
     
+    // Balances per role and currency
+    const balances = await User.aggregate([
+      { $match: { deletedAt: null } },
+      { $unwind: '$wallets' },
+      {
+        $group: {
+          _id: { role: '$role', currency: '$wallets.currency' },
+          totalBalance: { $sum: '$wallets.balance' }
+        }
+      }
+    ]);
+    
     // Get total users count
-    const totalUsers = await User.countDocuments();
-    const activeUsers = await User.countDocuments({ isActive: true });
+    const totalUsers = await User.countDocuments({ deletedAt: null });
+    const activeUsers = await User.countDocuments({ deletedAt: null, isActive: true });
     
     // Get recent registrations (last 30 days)
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     
     const recentRegistrations = await User.countDocuments({
+      deletedAt: null,
       createdAt: { $gte: thirtyDaysAgo }
     });
     
@@ -351,7 +469,12 @@ router.get('/stats/overview', authenticateToken, requireRole(['admin', 'super_ad
           inactiveUsers: totalUsers - activeUsers,
           recentRegistrations
         },
-        roleStats: stats
+        roleStats: stats.map(stat => ({
+          ...stat,
+          totalBalances: Object.fromEntries(balances
+            .filter(balance => balance._id.role === stat._id)
+            .map(balance => [balance._id.currency, fromMinor(balance.totalBalance)]))
+        }))
       }
     });
   } catch (error) {
@@ -387,7 +510,7 @@ router.get('/profile/me', authenticateToken, async (req, res) => {
     }
     
     // Transform user to include 'id' field
-    const userObj = user.toObject ? user.toObject() : user;
+    const userObj = User.serialize(user);
     const transformedUser = {
       ...userObj,
       id: userObj._id ? String(userObj._id) : String(userObj.id || '')
@@ -453,7 +576,7 @@ router.put('/profile/me', authenticateToken, async (req, res) => {
     ).select('-password').populate('createdBy', 'username email');
     
     // Transform user to include 'id' field
-    const userObj = updatedUser.toObject ? updatedUser.toObject() : updatedUser;
+    const userObj = User.serialize(updatedUser);
     const transformedUser = {
       ...userObj,
       id: userObj._id ? userObj._id.toString() : userObj.id
@@ -506,7 +629,7 @@ router.get('/:id/downline', authenticateToken, validateObjectId('id'), async (re
     
     // Transform users to include 'id' field
     const transformedDownline = downline.map((user) => {
-      const userObj = user.toObject ? user.toObject() : user;
+      const userObj = User.serialize(user);
       return {
         ...userObj,
         id: userObj._id ? String(userObj._id) : String(userObj.id || '')
@@ -532,9 +655,12 @@ router.get('/:id/downline', authenticateToken, validateObjectId('id'), async (re
 });
 
 // Get downline hierarchy as tree structure
-router.get('/:id/downline/tree', authenticateToken, validateObjectId('id'), async (req, res) => {
+// Returns a partial tree for lazy loading: depth levels, with each node's children paged by limit/page
+router.get('/:id/downline/tree', authenticateToken, validateTreeQuery, async (req, res) => {
   try {
     const { id } = req.params;
+    // Always paged, so one request never loads a whole subtree; /downline/export returns it all
+    const { depth = 1, limit = 50, page = 1, summary = false } = req.query;
     
     // Check if user can view this downline
     const canView = req.user._id.toString() === id || 
@@ -549,7 +675,7 @@ router.get('/:id/downline/tree', authenticateToken, validateObjectId('id'), asyn
     }
     
     // Get downline as tree
-    const tree = await getDownlineTree(id);
+    const tree = await getDownlineTree(id, { depth, limit, page, summary });
     
     if (!tree) {
       return res.status(404).json({
@@ -561,7 +687,10 @@ router.get('/:id/downline/tree', authenticateToken, validateObjectId('id'), asyn
     res.status(200).json({
       success: true,
       message: 'Downline tree retrieved successfully',
-      data: { tree }
+      data: {
+        tree,
+        pagination: { depth, limit, page }
+      }
     });
   } catch (error) {
     console.error('Get downline tree error:', error);
@@ -573,6 +702,135 @@ router.get('/:id/downline/tree', authenticateToken, validateObjectId('id'), asyn
   }
 });
 
+// Export a user's downline as a file (Graphviz DOT, Mermaid flowchart, nested JSON or flat CSV)
+router.get('/:id/downline/export', authenticateToken, validateHierarchyExport, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format } = req.query;
+    
+    // Check if user can view this downline
+    const canView = req.user._id.toString() === id || 
+                   await isInDownline(req.user._id, id) ||
+                   ['admin', 'super_admin'].includes(req.user.role);
+    
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot view this user\'s downline'
+      });
+    }
+    
+    const tree = await getDownlineTree(id);
+    
+    if (!tree) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const { body, contentType, extension } = renderHierarchy(tree, format);
+    const date = new Date().toISOString().slice(0, 10);
+    
+    res.attachment(`hierarchy-${tree.user.username}-${date}.${extension}`);
+    res.type(contentType);
+    res.status(200).send(body);
+  } catch (error) {
+    console.error('Export hierarchy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export hierarchy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get aggregate metrics for a user's downline
+router.get('/:id/downline/summary', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if user can view this downline
+    const canView = req.user._id.toString() === id || 
+                   await isInDownline(req.user._id, id) ||
+                   ['admin', 'super_admin'].includes(req.user.role);
+    
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot view this user\'s downline'
+      });
+    }
+    
+    const summary = await getDownlineSummary(id);
+    
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Downline summary retrieved successfully',
+      data: { summary }
+    });
+  } catch (error) {
+    console.error('Get downline summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve downline summary',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get upline (ancestor chain from the root down to the direct parent), clipped at the caller
+router.get('/:id/upline', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if user can view this upline
+    const canView = req.user._id.toString() === id || 
+                   await isInDownline(req.user._id, id) ||
+                   ['admin', 'super_admin'].includes(req.user.role);
+    
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot view this user\'s upline'
+      });
+    }
+    
+    const result = await getUpline(id, req.user);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Upline retrieved successfully',
+      data: {
+        upline: result.upline,
+        count: result.upline.length,
+        clipped: result.clipped
+      }
+    });
+  } catch (error) {
+    console.error('Get upline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve upline',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Get next level users (direct children only)
 router.get('/:id/next-level', authenticateToken, validateObjectId('id'), async (req, res) => {
   try {
@@ -594,7 +852,7 @@ router.get('/:id/next-level', authenticateToken, validateObjectId('id'), async (
     
     // Transform users to include 'id' field
     const transformedUsers = nextLevelUsers.map((user) => {
-      const userObj = user.toObject ? user.toObject() : user;
+      const userObj = User.serialize(user);
       return {
         ...userObj,
         id: userObj._id ? userObj._id.toString() : userObj.id
@@ -619,4 +877,301 @@ router.get('/:id/next-level', authenticateToken, validateObjectId('id'), async (
   }
 });
 
+// Move a user (and implicitly their whole subtree) under a new parent
+router.post('/:id/move', authenticateToken, requireRole(['admin', 'super_admin']), validateUserMove, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const { id } = req.params;
+    const { newParentId, reason } = req.body;
+    
+    if (req.user._id.toString() === id) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot move your own account'
+      });
+    }
+    
+    const user = await User.findOne({ _id: id, deletedAt: null }).session(session);
+    
+    if (!user) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Actor must have authority over the user being moved
+    const canMoveSource = req.user.role === 'super_admin' ||
+                         await isInDownline(req.user._id, id) ||
+                         req.user.canManage(user);
+    
+    if (!canMoveSource) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot move this user'
+      });
+    }
+    
+    let newParent = null;
+    
+    if (newParentId === null) {
+      // Only super admin can create new root users
+      if (req.user.role !== 'super_admin') {
+        await session.abortTransaction();
+        return res.status(403).json({
+          success: false,
+          message: 'Only super admin can move a user to the root of the hierarchy'
+        });
+      }
+    } else {
+      newParent = await User.findOne({ _id: newParentId, deletedAt: null }).session(session);
+      
+      if (!newParent) {
+        await session.abortTransaction();
+        return res.status(404).json({
+          success: false,
+          message: 'New parent user not found'
+        });
+      }
+      
+      // Reject cycles: a user cannot be moved under itself or its own descendant
+      if (newParentId === id || newParent.ancestors.some(ancestorId => ancestorId.toString() === id)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot move a user under itself or one of its descendants'
+        });
+      }
+      
+      // Actor must also have authority over the destination
+      const canUseDestination = req.user.role === 'super_admin' ||
+                               req.user._id.toString() === newParentId ||
+                               await isInDownline(req.user._id, newParentId) ||
+                               req.user.canManage(newParent);
+      
+      if (!canUseDestination) {
+        await session.abortTransaction();
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot move users under this parent'
+        });
+      }
+    }
+    
+    const fromParent = user.createdBy;
+    
+    if (String(fromParent || '') === String(newParentId || '')) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'User is already under this parent'
+      });
+    }
+    
+    const violation = await checkPlacement({ role: user.role, parent: newParent, user }, session);
+    
+    if (violation) {
+      await session.abortTransaction();
+      return res.status(violation.status).json({
+        success: false,
+        message: violation.message,
+        rule: violation.rule
+      });
+    }
+    
+    const subtreeSize = await User.countDocuments({ ancestors: user._id, deletedAt: null }).session(session);
+    
+    // Saving the new parent rewrites the ancestor path of the user and its subtree
+    user.createdBy = newParent ? newParent._id : null;
+    await user.save({ session });
+    
+    const event = new HierarchyEvent({
+      userId: user._id,
+      action: 'move',
+      fromParent,
+      toParent: user.createdBy,
+      subtreeSize,
+      reason,
+      performedBy: req.user._id
+    });
+    
+    await event.save({ session });
+    
+    await session.commitTransaction();
+    
+    const movedUser = await User.findById(user._id)
+      .select('-password')
+      .populate('createdBy', 'username email');
+    
+    // Transform user to include 'id' field
+    const userObj = User.serialize(movedUser);
+    const transformedUser = {
+      ...userObj,
+      id: userObj._id ? String(userObj._id) : String(userObj.id || '')
+    };
+    
+    res.status(200).json({
+      success: true,
+      message: 'User moved successfully',
+      data: {
+        user: transformedUser,
+        movedCount: subtreeSize + 1,
+        event
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Move user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to move user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Restore a soft-deleted user (super admin only)
+// Children moved away at deletion time stay with their new parent
+router.post('/:id/restore', authenticateToken, requireRole('super_admin'), validateUserRestore, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const { id } = req.params;
+    const { newParentId } = req.body;
+    
+    const user = await User.findOne({ _id: id, deletedAt: { $ne: null } }).session(session);
+    
+    if (!user) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted user not found'
+      });
+    }
+    
+    // Restore under the original parent unless another one is given; that parent must be live
+    const parentId = newParentId !== undefined ? newParentId : user.createdBy;
+    let parent = null;
+    
+    if (parentId) {
+      parent = await User.findOne({ _id: parentId, deletedAt: null }).session(session);
+      
+      if (!parent) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'The parent user no longer exists. Provide newParentId to restore this user elsewhere'
+        });
+      }
+    }
+    
+    const violation = await checkPlacement({ role: user.role, parent, user }, session);
+    
+    if (violation) {
+      await session.abortTransaction();
+      return res.status(violation.status).json({
+        success: false,
+        message: violation.message,
+        rule: violation.rule
+      });
+    }
+    
+    const fromParent = user.createdBy;
+    
+    user.createdBy = parent ? parent._id : null;
+    // Force the ancestor path to be recomputed, the parent may have moved since deletion
+    user.markModified('createdBy');
+    user.deletedAt = null;
+    user.deletedBy = null;
+    user.deletionReason = null;
+    user.isActive = true;
+    await user.save({ session });
+    
+    await new HierarchyEvent({
+      userId: user._id,
+      action: 'restore',
+      fromParent,
+      toParent: user.createdBy,
+      performedBy: req.user._id
+    }).save({ session });
+    
+    await session.commitTransaction();
+    
+    const restoredUser = await User.findById(user._id)
+      .select('-password')
+      .populate('createdBy', 'username email');
+    
+    // Transform user to include 'id' field
+    const userObj = User.serialize(restoredUser);
+    const transformedUser = {
+      ...userObj,
+      id: userObj._id ? String(userObj._id) : String(userObj.id || '')
+    };
+    
+    res.status(200).json({
+      success: true,
+      message: 'User restored successfully',
+      data: { user: transformedUser }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Restore user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Get hierarchy change history for a user
+router.get('/:id/hierarchy-history', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const canView = req.user._id.toString() === id || 
+                   await isInDownline(req.user._id, id) ||
+                   ['admin', 'super_admin'].includes(req.user.role);
+    
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot view this user\'s hierarchy history'
+      });
+    }
+    
+    const events = await HierarchyEvent.find({ userId: id })
+      .populate('fromParent', 'username email')
+      .populate('toParent', 'username email')
+      .populate('performedBy', 'username email')
+      .sort({ createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Hierarchy history retrieved successfully',
+      data: {
+        events,
+        count: events.length
+      }
+    });
+  } catch (error) {
+    console.error('Get hierarchy history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve hierarchy history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
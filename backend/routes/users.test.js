@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const HierarchyEvent = require('../models/HierarchyEvent');
+
+jest.mock('../utils/hierarchyRules', () => ({
+  ...jest.requireActual('../utils/hierarchyRules'),
+  checkPlacement: jest.fn()
+}));
+
+const { checkPlacement } = require('../utils/hierarchyRules');
+const router = require('./users');
+
+const { ObjectId } = mongoose.Types;
+
+// The route's own handler, past authentication and validation
+function handler(method, path) {
+  const layer = router.stack.find(({ route }) => route && route.path === path && route.methods[method]);
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+}
+
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status: jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(body => {
+      res.body = body;
+      return res;
+    })
+  };
+  return res;
+}
+
+async function call(method, path, req) {
+  const res = mockResponse();
+  await handler(method, path)(req, res);
+  return res;
+}
+
+// Whether a user matches the deletedAt condition of a query, if it has one
+function matchesDeletedAt(user, filter) {
+  if (!filter || !('deletedAt' in filter)) return true;
+  return filter.deletedAt === null ? !user.deletedAt : !!user.deletedAt;
+}
+
+// Answer User.findOne/findById with users from a list, whatever is chained on the query
+function findIn(users) {
+  return filter => {
+    const id = filter && filter._id !== undefined ? filter._id : filter;
+    const found = users.find(user => String(user._id) === String(id) && matchesDeletedAt(user, filter)) || null;
+    const query = {
+      select: () => query,
+      populate: () => query,
+      session: async () => found,
+      then: (resolve, reject) => Promise.resolve(found).then(resolve, reject)
+    };
+    return query;
+  };
+}
+
+describe('users routes', () => {
+  let session;
+  let users;
+
+  const makeUser = (username, role, parent = null) => User.hydrate({
+    _id: new ObjectId(),
+    username,
+    email: `${username}@example.com`,
+    password: 'hashed-password',
+    role,
+    createdBy: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : [],
+    depth: parent ? parent.depth + 1 : 0,
+    isActive: true,
+    deletedAt: null
+  });
+
+  beforeEach(() => {
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn()
+    };
+    users = [];
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(User, 'findOne').mockImplementation(findIn(users));
+    jest.spyOn(User, 'findById').mockImplementation(findIn(users));
+    jest.spyOn(User, 'countDocuments').mockReturnValue({ session: async () => 2 });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(HierarchyEvent.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    checkPlacement.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    checkPlacement.mockReset();
+  });
+
+  describe('POST /:id/move', () => {
+    let superAdmin;
+    let admin;
+    let moderator;
+    let member;
+    let otherAdmin;
+
+    beforeEach(() => {
+      superAdmin = makeUser('root', 'super_admin');
+      admin = makeUser('admin', 'admin', superAdmin);
+      moderator = makeUser('moderator', 'moderator', admin);
+      member = makeUser('member', 'user', moderator);
+      otherAdmin = makeUser('other', 'admin', superAdmin);
+      users.push(superAdmin, admin, moderator, member, otherAdmin);
+    });
+
+    const move = (actor, user, newParentId, reason = 'Team change') => call('post', '/:id/move', {
+      params: { id: String(user._id) },
+      body: { newParentId, reason },
+      user: actor
+    });
+
+    it('moves the user under the new parent and records the move', async () => {
+      const res = await move(superAdmin, moderator, String(otherAdmin._id));
+
+      expect(res.statusCode).toBe(200);
+      expect(moderator.createdBy).toEqual(otherAdmin._id);
+      expect(User.prototype.save).toHaveBeenCalledWith({ session });
+      expect(res.body.data.movedCount).toBe(3);
+      expect(res.body.data.event).toMatchObject({
+        userId: moderator._id,
+        action: 'move',
+        fromParent: admin._id,
+        toParent: otherAdmin._id,
+        subtreeSize: 2,
+        reason: 'Team change',
+        performedBy: superAdmin._id
+      });
+      expect(session.commitTransaction).toHaveBeenCalled();
+    });
+
+    it('refuses to move a user under one of its own descendants', async () => {
+      const res = await move(superAdmin, admin, String(member._id));
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Cannot move a user under itself or one of its descendants');
+      expect(User.prototype.save).not.toHaveBeenCalled();
+      expect(session.abortTransaction).toHaveBeenCalled();
+    });
+
+    it('refuses to move a user under itself', async () => {
+      const res = await move(superAdmin, admin, String(admin._id));
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('only lets super admins create new roots', async () => {
+      jest.spyOn(User, 'exists').mockResolvedValue({ _id: member._id });
+
+      const res = await move(admin, member, null);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Only super admin can move a user to the root of the hierarchy');
+      expect(User.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('needs authority over the destination too', async () => {
+      jest.spyOn(User, 'exists').mockImplementation(async ({ _id }) => String(_id) === String(member._id));
+
+      const res = await move(admin, member, String(otherAdmin._id));
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('You cannot move users under this parent');
+    });
+
+    it('rejects a move to the current parent', async () => {
+      const res = await move(superAdmin, member, String(moderator._id));
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('User is already under this parent');
+    });
+
+    it('applies the hierarchy rules at the destination', async () => {
+      checkPlacement.mockResolvedValue({ rule: 'max_children', status: 422, message: 'other already has 10 children' });
+
+      const res = await move(superAdmin, moderator, String(otherAdmin._id));
+
+      expect(checkPlacement).toHaveBeenCalledWith({ role: 'moderator', parent: otherAdmin, user: moderator }, session);
+      expect(res.statusCode).toBe(422);
+      expect(res.body).toMatchObject({ success: false, rule: 'max_children' });
+      expect(User.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /:id/restore', () => {
+    let superAdmin;
+    let admin;
+    let deleted;
+
+    beforeEach(() => {
+      superAdmin = makeUser('root', 'super_admin');
+      admin = makeUser('admin', 'admin', superAdmin);
+      deleted = makeUser('deleted', 'moderator', admin);
+      Object.assign(deleted, {
+        deletedAt: new Date('2026-10-01T00:00:00Z'),
+        deletedBy: superAdmin._id,
+        deletionReason: 'Left the company',
+        isActive: false
+      });
+      users.push(superAdmin, admin, deleted);
+    });
+
+    const restore = (user, body = {}) => call('post', '/:id/restore', {
+      params: { id: String(user._id) },
+      body,
+      user: superAdmin
+    });
+
+    it('brings the user back under its original parent', async () => {
+      const res = await restore(deleted);
+
+      expect(res.statusCode).toBe(200);
+      expect(deleted).toMatchObject({ deletedAt: null, deletedBy: null, deletionReason: null, isActive: true });
+      expect(deleted.createdBy).toEqual(admin._id);
+      // The parent may have moved since the deletion, so the path is rebuilt on save
+      expect(deleted.isModified('createdBy')).toBe(true);
+      expect(User.prototype.save).toHaveBeenCalledWith({ session });
+      expect(HierarchyEvent.prototype.save.mock.instances[0]).toMatchObject({
+        userId: deleted._id,
+        action: 'restore',
+        fromParent: admin._id,
+        toParent: admin._id
+      });
+      expect(session.commitTransaction).toHaveBeenCalled();
+    });
+
+    it('asks for another parent when the original one is gone', async () => {
+      admin.deletedAt = new Date();
+
+      const res = await restore(deleted);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('The parent user no longer exists. Provide newParentId to restore this user elsewhere');
+      expect(User.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('restores under the given parent instead', async () => {
+      admin.deletedAt = new Date();
+
+      const res = await restore(deleted, { newParentId: String(superAdmin._id) });
+
+      expect(res.statusCode).toBe(200);
+      expect(deleted.createdBy).toEqual(superAdmin._id);
+      expect(checkPlacement).toHaveBeenCalledWith({ role: 'moderator', parent: superAdmin, user: deleted }, session);
+    });
+
+    it('only restores users that are deleted', async () => {
+      const res = await restore(admin);
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe('Deleted user not found');
+    });
+
+    it('applies the hierarchy rules under the parent', async () => {
+      checkPlacement.mockResolvedValue({ rule: 'max_depth', status: 422, message: 'The hierarchy is limited to 2 levels' });
+
+      const res = await restore(deleted);
+
+      expect(res.statusCode).toBe(422);
+      expect(deleted.deletedAt).not.toBeNull();
+      expect(session.abortTransaction).toHaveBeenCalled();
+    });
+  });
+});
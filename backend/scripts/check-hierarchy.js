@@ -1,62 +1,156 @@
 /**
- * Script to check user hierarchy relationships
- * Run: node scripts/check-hierarchy.js
+ * Script to check user hierarchy and balance integrity, optionally repairing issues
+ * Run: node scripts/check-hierarchy.js [--json] [--out=report.json] [--fix] [--strategy=<type>:<strategy>]
+ *
+ *   --json                 Print the machine-readable report instead of the relationship listing
+ *   --out=<file>           Also write the JSON report to a file
+ *   --fix                  Repair detected issues in a single transaction
+ *   --strategy=type:name   Choose the fix strategy per issue type (repeatable), e.g.
+ *                          --strategy=orphaned_parent:root --strategy=balance_mismatch:sync_balance
  */
 
 require('dotenv').config();
+const fs = require('fs');
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const { FIX_STRATEGIES, checkIntegrity, fixIntegrityIssues } = require('../utils/integrity');
+
+function parseArgs(argv) {
+  const args = { json: false, fix: false, out: null, strategies: {} };
+
+  for (const arg of argv) {
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--fix') {
+      args.fix = true;
+    } else if (arg.startsWith('--out=')) {
+      args.out = arg.slice('--out='.length);
+    } else if (arg.startsWith('--strategy=')) {
+      const [type, strategy] = arg.slice('--strategy='.length).split(':');
+      if (!FIX_STRATEGIES[type] || !FIX_STRATEGIES[type].includes(strategy)) {
+        throw new Error(`Invalid strategy "${arg}". Available: ${Object.entries(FIX_STRATEGIES)
+          .map(([t, s]) => `${t}:${s.join('|')}`).join(', ')}`);
+      }
+      args.strategies[type] = strategy;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
 
 async function checkHierarchy() {
   try {
+    const args = parseArgs(process.argv.slice(2));
+
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/usermanagement');
-    console.log('Connected to MongoDB\n');
-
-    const users = await User.find({}).select('username email role createdBy').lean();
-    
-    console.log('User Hierarchy Relationships:');
-    console.log('='.repeat(60));
-    
-    for (const user of users) {
-      const createdBy = user.createdBy ? user.createdBy.toString() : 'null';
-      let parentName = 'N/A';
-      
-      if (user.createdBy) {
-        const parent = await User.findById(user.createdBy).select('username').lean();
-        parentName = parent ? parent.username : 'Not Found';
-      }
-      
-      console.log(`${user.username.padEnd(20)} (${user.role.padEnd(12)}) | Parent: ${parentName.padEnd(20)} | createdBy: ${createdBy}`);
+    if (!args.json) console.log('Connected to MongoDB\n');
+
+    let report = await checkIntegrity();
+
+    if (args.fix && report.issues.length > 0) {
+      report = await fixIntegrityIssues(report, args.strategies);
     }
-    
-    console.log('\n' + '='.repeat(60));
-    console.log('\nHierarchy Tree:');
-    
-    // Find root users (no parent)
-    const rootUsers = users.filter(u => !u.createdBy);
-    
-    for (const root of rootUsers) {
-      await printTree(root._id.toString(), users, 0);
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      await printHierarchy();
+      printReport(report, args.fix);
+    }
+
+    if (args.out) {
+      fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+      if (!args.json) console.log(`\nReport written to ${args.out}`);
     }
-    
+
     await mongoose.disconnect();
-    console.log('\nDone!');
+    if (!args.json) console.log('\nDone!');
+
+    // Non-zero exit when unresolved issues remain, so the check can gate CI/cron jobs
+    const unresolved = report.issues.filter(issue => !issue.fix || !issue.fix.applied);
+    process.exit(unresolved.length > 0 ? 2 : 0);
   } catch (error) {
-    console.error('Error:', error);
+    console.error('Error:', error.message || error);
     process.exit(1);
   }
 }
 
-async function printTree(userId, allUsers, level) {
+async function printHierarchy() {
+  const users = await User.find({}).select('username email role createdBy deletedAt').lean();
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+  console.log('User Hierarchy Relationships:');
+  console.log('='.repeat(60));
+
+  for (const user of users) {
+    const createdBy = user.createdBy ? user.createdBy.toString() : 'null';
+    let parentName = 'N/A';
+
+    if (user.createdBy) {
+      const parent = usersById.get(createdBy);
+      parentName = parent ? parent.username : 'Not Found';
+    }
+
+    const deleted = user.deletedAt ? ' [deleted]' : '';
+    console.log(`${user.username.padEnd(20)} (${user.role.padEnd(12)}) | Parent: ${parentName.padEnd(20)} | createdBy: ${createdBy}${deleted}`);
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log('\nHierarchy Tree:');
+
+  // Find root users (no parent)
+  const rootUsers = users.filter(u => !u.createdBy);
+
+  for (const root of rootUsers) {
+    printTree(root._id.toString(), users, 0, new Set());
+  }
+}
+
+function printTree(userId, allUsers, level, seen) {
   const user = allUsers.find(u => u._id.toString() === userId);
-  if (!user) return;
-  
+  if (!user || seen.has(userId)) return;
+  seen.add(userId);
+
   const indent = '  '.repeat(level);
-  console.log(`${indent}${user.username} (${user.role})`);
-  
+  console.log(`${indent}${user.username} (${user.role})${user.deletedAt ? ' [deleted]' : ''}`);
+
   const children = allUsers.filter(u => u.createdBy && u.createdBy.toString() === userId);
   for (const child of children) {
-    await printTree(child._id.toString(), allUsers, level + 1);
+    printTree(child._id.toString(), allUsers, level + 1, seen);
+  }
+}
+
+function printReport(report, fixMode) {
+  console.log('\n' + '='.repeat(60));
+  console.log('\nIntegrity Check:');
+
+  for (const [type, count] of Object.entries(report.summary)) {
+    console.log(`  ${type.padEnd(22)} ${count}`);
+  }
+
+  if (report.issues.length === 0) {
+    console.log('\nNo issues found');
+    return;
+  }
+
+  console.log('\nIssues:');
+  for (const issue of report.issues) {
+    const subject = issue.username || issue.details.reference;
+    let status = '';
+
+    if (issue.fix) {
+      status = issue.fix.applied ? ` -> fixed (${issue.fix.strategy})` : ' -> skipped';
+    }
+
+    console.log(`  [${issue.type}] ${subject}: ${JSON.stringify(issue.details)}${status}`);
+  }
+
+  if (!fixMode) {
+    console.log('\nRun with --fix to repair (see --strategy=<type>:<strategy> to choose how)');
+  } else if (report.pathsRebuilt !== undefined) {
+    console.log(`\nRebuilt ancestor paths for ${report.pathsRebuilt} users`);
   }
 }
 
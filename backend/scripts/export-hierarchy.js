@@ -0,0 +1,70 @@
+/**
+ * Script to export a user's downline as Graphviz DOT, Mermaid, JSON or CSV
+ * Run: node scripts/export-hierarchy.js --user=<id|username> --format=<dot|mermaid|json|csv> [--out=<file>]
+ *
+ * Without --out the export is printed to stdout, e.g.
+ *   node scripts/export-hierarchy.js --user=admin --format=dot | dot -Tpng > hierarchy.png
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getDownlineTree } = require('../utils/downline');
+const { EXPORT_FORMATS, renderHierarchy } = require('../utils/export');
+
+function parseArgs(argv) {
+  const args = { user: null, format: null, out: null };
+
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (!(key in args) || !value) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    args[key] = value;
+  }
+
+  if (!args.user || !args.format) {
+    throw new Error('Usage: node scripts/export-hierarchy.js --user=<id|username> --format=<dot|mermaid|json|csv> [--out=<file>]');
+  }
+
+  if (!EXPORT_FORMATS[args.format]) {
+    throw new Error(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  return args;
+}
+
+async function exportHierarchy() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/user-management');
+
+    const query = /^[a-f\d]{24}$/i.test(args.user)
+      ? { _id: args.user }
+      : { username: args.user };
+    const user = await User.findOne({ ...query, deletedAt: null }).select('_id');
+
+    if (!user) {
+      throw new Error(`User not found: ${args.user}`);
+    }
+
+    const tree = await getDownlineTree(user._id);
+    const { body } = renderHierarchy(tree, args.format);
+
+    if (args.out) {
+      fs.writeFileSync(args.out, body);
+      console.error(`Exported ${args.format} to ${args.out}`);
+    } else {
+      process.stdout.write(body);
+    }
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error:', error.message || error);
+    process.exit(1);
+  }
+}
+
+exportHierarchy();
@@ -0,0 +1,51 @@
+/**
+ * Migration to backfill the materialized ancestor path (ancestors/depth) from createdBy
+ * Run: node scripts/migrate-ancestors.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { computeAncestorPaths } = require('../utils/integrity');
+
+async function migrateAncestors() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/user-management');
+    console.log('Connected to MongoDB\n');
+
+    const users = await User.find({}).select('username createdBy').lean();
+    const paths = computeAncestorPaths(users, (user, reason) => {
+      console.warn(reason === 'cycle'
+        ? `Cycle detected at ${user.username}; treating as root`
+        : `Parent ${user.createdBy} of ${user.username} not found; treating as root`);
+    });
+
+    const operations = users.map(user => {
+      const ancestors = paths.get(user._id.toString()).map(id => new mongoose.Types.ObjectId(id));
+      return {
+        updateOne: {
+          filter: { _id: user._id },
+          update: { $set: { ancestors, depth: ancestors.length } }
+        }
+      };
+    });
+
+    if (operations.length > 0) {
+      const result = await User.bulkWrite(operations);
+      console.log(`Updated ancestor path for ${result.modifiedCount} of ${users.length} users`);
+    } else {
+      console.log('No users to migrate');
+    }
+
+    // Make sure the ancestors index exists for downline queries
+    await User.syncIndexes();
+
+    await mongoose.disconnect();
+    console.log('\nDone!');
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+migrateAncestors();
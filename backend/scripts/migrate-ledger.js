@@ -0,0 +1,91 @@
+/**
+ * Migration to open ledger accounts for balances that predate the ledger: every wallet
+ * whose balance isn't explained by journal entries gets an opening_balance entry against
+ * the issuance account, so the ledger reconciles afterwards. Run after migrate-wallets.js;
+ * completion is recorded in the migrations collection and a second run does nothing.
+ * Run: node scripts/migrate-ledger.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const { userPosting, systemPosting } = require('../utils/ledger');
+
+const MIGRATION_NAME = 'ledger-opening-balances';
+
+async function migrateLedger() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/user-management');
+    console.log('Connected to MongoDB\n');
+
+    const migrations = mongoose.connection.collection('migrations');
+
+    if (await migrations.findOne({ name: MIGRATION_NAME })) {
+      console.log('Opening balances are already in the ledger; nothing to do');
+      await mongoose.disconnect();
+      return;
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        // Balances already posted, e.g. by operations made before this migration ran
+        const posted = await JournalEntry.aggregate([
+          { $unwind: '$postings' },
+          { $match: { 'postings.userId': { $ne: null } } },
+          {
+            $group: {
+              _id: { userId: '$postings.userId', currency: '$postings.currency' },
+              balance: { $sum: '$postings.amount' }
+            }
+          }
+        ]).session(session);
+        const postedBalances = new Map(posted.map(p => [`${p._id.userId}:${p._id.currency}`, p.balance]));
+
+        const users = await User.find({ 'wallets.0': { $exists: true } })
+          .select('wallets')
+          .lean()
+          .session(session);
+
+        const entries = [];
+
+        for (const user of users) {
+          for (const wallet of user.wallets) {
+            const opening = wallet.balance - (postedBalances.get(`${user._id}:${wallet.currency}`) || 0);
+
+            if (opening !== 0) {
+              entries.push({
+                kind: 'opening_balance',
+                description: 'Opening balance',
+                postings: [
+                  userPosting(user._id, wallet.currency, opening),
+                  systemPosting('issuance', wallet.currency, -opening)
+                ]
+              });
+            }
+          }
+        }
+
+        if (entries.length > 0) {
+          await JournalEntry.insertMany(entries, { session });
+        }
+
+        await migrations.insertOne({ name: MIGRATION_NAME, completedAt: new Date() }, { session });
+
+        console.log(`Posted ${entries.length} opening balances for ${users.length} users`);
+      });
+    } finally {
+      session.endSession();
+    }
+
+    await mongoose.disconnect();
+    console.log('\nDone!');
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+migrateLedger();
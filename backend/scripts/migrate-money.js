@@ -0,0 +1,66 @@
+/**
+ * Migration to convert stored monetary values from floating point major units to integer
+ * minor units (cents), rounding half to even. Runs once: completion is recorded in the
+ * migrations collection so a second run cannot multiply amounts again.
+ * Run: node scripts/migrate-money.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { MINOR_DIGITS, TRANSACTION_MONEY_FIELDS } = require('../utils/money');
+
+const MIGRATION_NAME = 'money-minor-units';
+// Balances still live on the user document at this point; migrate-wallets.js moves them
+const LEGACY_USER_MONEY_FIELDS = ['balance', 'reservedBalance'];
+
+// Pipeline stage converting each field in place; $round rounds half to even
+const toMinorStage = (fields) => ({
+  $set: Object.fromEntries(fields.map(field => [
+    field,
+    { $round: [{ $multiply: [{ $ifNull: [`$${field}`, 0] }, 10 ** MINOR_DIGITS] }, 0] }
+  ]))
+});
+
+async function migrateMoney() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/user-management');
+    console.log('Connected to MongoDB\n');
+
+    const migrations = mongoose.connection.collection('migrations');
+
+    if (await migrations.findOne({ name: MIGRATION_NAME })) {
+      console.log('Monetary values are already stored in minor units; nothing to do');
+      await mongoose.disconnect();
+      return;
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        const users = await User.collection.updateMany(
+          { balance: { $exists: true } },
+          [toMinorStage(LEGACY_USER_MONEY_FIELDS)],
+          { session }
+        );
+        const transactions = await Transaction.collection.updateMany({}, [toMinorStage(TRANSACTION_MONEY_FIELDS)], { session });
+
+        await migrations.insertOne({ name: MIGRATION_NAME, completedAt: new Date() }, { session });
+
+        console.log(`Converted ${users.modifiedCount} users and ${transactions.modifiedCount} transactions`);
+      });
+    } finally {
+      session.endSession();
+    }
+
+    await mongoose.disconnect();
+    console.log('\nDone!');
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+migrateMoney();
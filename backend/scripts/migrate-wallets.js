@@ -0,0 +1,53 @@
+/**
+ * Migration to move single-currency balances into per-currency wallets: each user's
+ * balance/reservedBalance becomes a BASE_CURRENCY wallet and transactions without a
+ * currency are tagged with BASE_CURRENCY. Run after migrate-money.js; safe to re-run.
+ * Run: node scripts/migrate-wallets.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { getCurrencySettings } = require('../utils/currency');
+
+async function migrateWallets() {
+  try {
+    const { baseCurrency } = getCurrencySettings();
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/user-management');
+    console.log('Connected to MongoDB\n');
+
+    // The legacy fields are no longer in the schema, so go through the driver directly
+    const users = await User.collection.updateMany(
+      { balance: { $exists: true } },
+      [
+        {
+          $set: {
+            wallets: [{
+              currency: baseCurrency,
+              balance: '$balance',
+              reservedBalance: { $ifNull: ['$reservedBalance', 0] }
+            }]
+          }
+        },
+        { $unset: ['balance', 'reservedBalance'] }
+      ]
+    );
+    console.log(`Moved ${users.modifiedCount} balances into ${baseCurrency} wallets`);
+
+    const transactions = await Transaction.collection.updateMany(
+      { currency: { $exists: false } },
+      { $set: { currency: baseCurrency } }
+    );
+    console.log(`Tagged ${transactions.modifiedCount} transactions with ${baseCurrency}`);
+
+    await mongoose.disconnect();
+    console.log('\nDone!');
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+migrateWallets();
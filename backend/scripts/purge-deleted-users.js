@@ -0,0 +1,31 @@
+/**
+ * Retention job: permanently remove soft-deleted users older than USER_RETENTION_DAYS
+ * and anonymize their transactions
+ * Run: node scripts/purge-deleted-users.js [--days=<n>]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { getRetentionDays, purgeDeletedUsers } = require('../utils/retention');
+
+async function purge() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/user-management');
+    console.log('Connected to MongoDB\n');
+
+    const daysArg = process.argv.find(arg => arg.startsWith('--days='));
+    const retentionDays = daysArg ? parseInt(daysArg.split('=')[1]) : getRetentionDays();
+
+    console.log(`Purging users deleted more than ${retentionDays} day(s) ago...`);
+    const result = await purgeDeletedUsers({ retentionDays });
+    console.log(`Purged ${result.purgedUsers} user(s), anonymized ${result.anonymizedTransactions} transaction reference(s)`);
+
+    await mongoose.disconnect();
+    console.log('\nDone!');
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+purge();
@@ -0,0 +1,98 @@
+/**
+ * Script to reconcile every user's transaction chain against their wallet balances
+ * Run: node scripts/reconcile-balances.js [--json] [--out=report.json]
+ *
+ *   --json          Print the machine-readable report instead of the listing
+ *   --out=<file>    Also write the JSON report to a file
+ *
+ * Discrepancies are recorded in the same collection as the scheduled job, so they can be
+ * acknowledged and resolved through /api/balance/discrepancies
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const BalanceDiscrepancy = require('../models/BalanceDiscrepancy');
+const { reconcileBalances } = require('../utils/balanceReconciliation');
+const { fromMinor } = require('../utils/money');
+
+function parseArgs(argv) {
+  const args = { json: false, out: null };
+
+  for (const arg of argv) {
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg.startsWith('--out=')) {
+      args.out = arg.slice('--out='.length);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+async function reconcile() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/user-management');
+    if (!args.json) console.log('Connected to MongoDB\n');
+
+    const run = await reconcileBalances();
+    const unresolved = await BalanceDiscrepancy.find({ status: { $in: ['open', 'acknowledged'] } })
+      .populate('userId', 'username')
+      .sort({ lastDetectedAt: -1 });
+    const report = {
+      ...run,
+      unresolved: unresolved.map(discrepancy => discrepancy.toJSON())
+    };
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(run, unresolved);
+    }
+
+    if (args.out) {
+      fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+      if (!args.json) console.log(`\nReport written to ${args.out}`);
+    }
+
+    await mongoose.disconnect();
+    if (!args.json) console.log('\nDone!');
+
+    // Non-zero exit when unresolved discrepancies remain, so the check can gate CI/cron jobs
+    process.exit(unresolved.length > 0 ? 2 : 0);
+  } catch (error) {
+    console.error('Error:', error.message || error);
+    process.exit(1);
+  }
+}
+
+function printReport(run, unresolved) {
+  console.log(`Checked ${run.transactionsChecked} transactions of ${run.usersChecked} users`);
+
+  for (const [type, count] of Object.entries(run.detected)) {
+    console.log(`  ${type.padEnd(22)} ${count}`);
+  }
+
+  console.log(`\n${run.newDiscrepancies} new, ${run.autoResolved} no longer detected`);
+
+  if (unresolved.length === 0) {
+    console.log('\nNo unresolved discrepancies');
+    return;
+  }
+
+  console.log('\nUnresolved:');
+  for (const discrepancy of unresolved) {
+    const username = discrepancy.userId ? discrepancy.userId.username : 'unknown user';
+    const reference = discrepancy.previousReference
+      ? `${discrepancy.previousReference} -> ${discrepancy.reference}`
+      : discrepancy.reference;
+
+    console.log(`  [${discrepancy.type}] ${username} ${discrepancy.currency} ${reference}: expected ${fromMinor(discrepancy.expected)}, actual ${fromMinor(discrepancy.actual)} (${discrepancy.status})`);
+  }
+}
+
+reconcile();
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const { toMinor } = require('../utils/money');
+const { getCurrencySettings } = require('../utils/currency');
+const { userPosting, systemPosting, postJournal } = require('../utils/ledger');
 require('dotenv').config();
 
 const seedDatabase = async () => {
@@ -8,6 +11,18 @@ const seedDatabase = async () => {
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/user-management');
     console.log('Connected to MongoDB');
 
+    const { baseCurrency } = getCurrencySettings();
+
+    // Starting balances are issued through the ledger so it reconciles from the first run
+    const issueStartingBalance = (user, amount) => postJournal({
+      kind: 'issue',
+      description: 'Starting balance',
+      postings: [
+        systemPosting('issuance', baseCurrency, -toMinor(amount)),
+        userPosting(user._id, baseCurrency, toMinor(amount))
+      ]
+    });
+
     // Clear existing users (optional - comment out if you want to keep existing data)
     // await User.deleteMany({});
     // console.log('Cleared existing users');
@@ -24,11 +39,11 @@ const seedDatabase = async () => {
         email: 'admin@example.com',
         password: 'Admin123!',
         role: 'super_admin',
-        balance: 1000,
         isActive: true
       });
 
       await superAdmin.save();
+      await issueStartingBalance(superAdmin, 1000);
       console.log('Super admin created:', superAdmin.email);
     }
 
@@ -39,30 +54,31 @@ const seedDatabase = async () => {
         email: 'john@example.com',
         password: 'Admin123!',
         role: 'admin',
-        balance: 500
+        startingBalance: 500
       },
       {
         username: 'jane_moderator',
         email: 'jane@example.com',
         password: 'Moderator123!',
         role: 'moderator',
-        balance: 250
+        startingBalance: 250
       },
       {
         username: 'bob_user',
         email: 'bob@example.com',
         password: 'User123!',
         role: 'user',
-        balance: 100
+        startingBalance: 100
       }
     ];
 
-    for (const userData of sampleUsers) {
+    for (const { startingBalance, ...userData } of sampleUsers) {
       const existingUser = await User.findOne({ email: userData.email });
       
       if (!existingUser) {
         const user = new User(userData);
         await user.save();
+        await issueStartingBalance(user, startingBalance);
         console.log(`Created user: ${user.email} (${user.role})`);
       } else {
         console.log(`User already exists: ${userData.email}`);
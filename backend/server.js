@@ -10,6 +10,36 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const balanceRoutes = require('./routes/balance');
+const batchRoutes = require('./routes/batches');
+const scheduledTransferRoutes = require('./routes/scheduledTransfers');
+const notificationRoutes = require('./routes/notifications');
+const holdRoutes = require('./routes/holds');
+const statementRoutes = require('./routes/statements');
+const discrepancyRoutes = require('./routes/discrepancies');
+const { purgeDeletedUsers } = require('./utils/retention');
+const { expireStaleApprovals } = require('./utils/approvals');
+const { getHierarchyRules } = require('./utils/hierarchyRules');
+const { getCurrencySettings } = require('./utils/currency');
+const { getTransferSettings } = require('./utils/transfers');
+const { getSchedulerSettings, runDueTransfers } = require('./utils/scheduledTransfers');
+const { getCreditSettings } = require('./utils/creditLimits');
+const { getVelocitySettings } = require('./utils/velocity');
+const { getHoldSettings, expireHolds } = require('./utils/holds');
+const { getChargeSettings } = require('./utils/charges');
+const { getReconciliationSettings, reconcileBalances } = require('./utils/balanceReconciliation');
+
+// Fail fast on a malformed HIERARCHY_*, CURRENCIES, TRANSFER_PAYEES, SCHEDULED_TRANSFERS_POLL_SECONDS,
+// CREDIT_UTILIZATION_ALERT_PERCENT, VELOCITY_*, HOLD_DEFAULT_EXPIRY_HOURS, FEE_*, COMMISSION_* or
+// BALANCE_RECONCILIATION_INTERVAL_HOURS configuration instead of on the first request
+getHierarchyRules();
+getCurrencySettings();
+getTransferSettings();
+getCreditSettings();
+getVelocitySettings();
+getHoldSettings();
+getChargeSettings();
+const { pollSeconds: scheduledTransferPollSeconds } = getSchedulerSettings();
+const { intervalHours: reconciliationIntervalHours } = getReconciliationSettings();
 
 const app = express();
 
@@ -32,7 +62,8 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'https://multi-level-user-management.vercel.app',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Body parsing middleware
@@ -45,13 +76,76 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/user-mana
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  
+  // Retention job: purge soft-deleted users past USER_RETENTION_DAYS once a day
+  setInterval(() => {
+    purgeDeletedUsers()
+      .then(result => {
+        if (result.purgedUsers > 0) {
+          console.log(`Retention purge removed ${result.purgedUsers} deleted user(s)`);
+        }
+      })
+      .catch(err => console.error('Retention purge error:', err));
+  }, 24 * 60 * 60 * 1000);
+  
+  // Approval expiry: cancel pending balance operations past APPROVAL_EXPIRY_HOURS and release their funds
+  setInterval(() => {
+    expireStaleApprovals()
+      .then(expired => {
+        if (expired > 0) {
+          console.log(`Expired ${expired} pending balance operation(s)`);
+        }
+      })
+      .catch(err => console.error('Approval expiry error:', err));
+  }, 60 * 60 * 1000);
+  
+  // Scheduler: run scheduled and recurring transfers that are due
+  setInterval(() => {
+    runDueTransfers()
+      .then(({ succeeded, failed }) => {
+        if (succeeded + failed > 0) {
+          console.log(`Ran ${succeeded + failed} scheduled transfer(s): ${succeeded} succeeded, ${failed} failed`);
+        }
+      })
+      .catch(err => console.error('Scheduled transfer error:', err));
+  }, scheduledTransferPollSeconds * 1000);
+  
+  // Hold expiry: release active holds past their expiry back to the available balance
+  setInterval(() => {
+    expireHolds()
+      .then(expired => {
+        if (expired > 0) {
+          console.log(`Expired ${expired} hold(s)`);
+        }
+      })
+      .catch(err => console.error('Hold expiry error:', err));
+  }, 60 * 1000);
+  
+  // Balance reconciliation: check every transaction chain against the wallet balances
+  setInterval(() => {
+    reconcileBalances()
+      .then(({ usersChecked, newDiscrepancies, autoResolved }) => {
+        if (newDiscrepancies + autoResolved > 0) {
+          console.log(`Reconciled balances of ${usersChecked} user(s): ${newDiscrepancies} new discrepancy(ies), ${autoResolved} resolved`);
+        }
+      })
+      .catch(err => console.error('Balance reconciliation error:', err));
+  }, reconciliationIntervalHours * 60 * 60 * 1000);
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/balance/batches', batchRoutes);
+app.use('/api/balance/scheduled', scheduledTransferRoutes);
+app.use('/api/balance/holds', holdRoutes);
+app.use('/api/balance/statement', statementRoutes);
+app.use('/api/balance/discrepancies', discrepancyRoutes);
 app.use('/api/balance', balanceRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { toMinor } = require('./money');
+
+const DEFAULT_EXPIRY_HOURS = 24;
+
+// Thresholds are configured in major units and compared in minor units
+function parseThreshold(value) {
+  return value ? toMinor(value) : null;
+}
+
+/**
+ * Get the configured maker-checker settings
+ *   APPROVAL_THRESHOLD          amount above which /add and /deduct need a second admin
+ *   APPROVAL_THRESHOLD_ADD      override for /add
+ *   APPROVAL_THRESHOLD_DEDUCT   override for /deduct
+ *   APPROVAL_EXPIRY_HOURS       how long a request stays pending (default 24)
+ * @returns {Object} { thresholds: { add, deduct }, expiryHours }; thresholds are in minor units and
+ *   a null threshold disables approvals
+ */
+function getApprovalSettings() {
+  const fallback = parseThreshold(process.env.APPROVAL_THRESHOLD);
+  const expiryHours = parseFloat(process.env.APPROVAL_EXPIRY_HOURS);
+
+  return {
+    thresholds: {
+      add: process.env.APPROVAL_THRESHOLD_ADD ? parseThreshold(process.env.APPROVAL_THRESHOLD_ADD) : fallback,
+      deduct: process.env.APPROVAL_THRESHOLD_DEDUCT ? parseThreshold(process.env.APPROVAL_THRESHOLD_DEDUCT) : fallback
+    },
+    expiryHours: Number.isFinite(expiryHours) && expiryHours > 0 ? expiryHours : DEFAULT_EXPIRY_HOURS
+  };
+}
+
+/**
+ * Check whether a balance operation must go through approval
+ * @param {String} operation - 'add' or 'deduct'
+ * @param {Number} amount - Operation amount in minor units
+ * @returns {Object|null} { expiresAt } if approval is required, otherwise null
+ */
+function getApprovalRequirement(operation, amount) {
+  const { thresholds, expiryHours } = getApprovalSettings();
+  const threshold = thresholds[operation];
+
+  if (threshold === null || amount <= threshold) {
+    return null;
+  }
+
+  return { expiresAt: new Date(Date.now() + expiryHours * 60 * 60 * 1000) };
+}
+
+/**
+ * Close a pending operation without moving money: release the funds reserved by its
+ * debit legs and cancel every leg
+ * @param {Array} legs - Pending transaction documents of one operation
+ * @param {Object} decision - How the operation was closed
+ * @param {String} decision.status - 'rejected' or 'expired'
+ * @param {ObjectId} decision.decidedBy - Checker who rejected it (none for expiry)
+ * @param {String} decision.reason - Optional reason
+ * @param {ClientSession} session - Mongo session the cancellation runs in
+ */
+async function cancelPendingOperation(legs, { status, decidedBy = null, reason = null }, session) {
+  const now = new Date();
+
+  for (const leg of legs) {
+    if (leg.type === 'debit' && leg.userId) {
+      await User.updateWallet(leg.userId, leg.currency, { reservedBalance: -leg.amount }, session);
+    }
+
+    await Transaction.updateOne(
+      { _id: leg._id, status: 'pending' },
+      {
+        $set: {
+          status: 'cancelled',
+          'approval.status': status,
+          'approval.decidedBy': decidedBy,
+          'approval.decidedAt': now,
+          'approval.reason': reason
+        }
+      },
+      { session }
+    );
+  }
+}
+
+/**
+ * Cancel pending operations whose approval window has passed
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<Number>} Number of expired operations
+ */
+async function expireStaleApprovals(now = new Date()) {
+  const operationIds = await Transaction.distinct('operationId', {
+    status: 'pending',
+    'approval.expiresAt': { $lte: now }
+  });
+
+  let expired = 0;
+
+  for (const operationId of operationIds) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const legs = await Transaction.find({ operationId, status: 'pending' }).session(session);
+      await cancelPendingOperation(legs, { status: 'expired' }, session);
+      await session.commitTransaction();
+      expired += 1;
+    } catch (error) {
+      await session.abortTransaction();
+      console.error(`Error expiring approval ${operationId}:`, error);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return expired;
+}
+
+module.exports = {
+  getApprovalSettings,
+  getApprovalRequirement,
+  cancelPendingOperation,
+  expireStaleApprovals
+};
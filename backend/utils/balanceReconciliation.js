@@ -0,0 +1,244 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const BalanceDiscrepancy = require('../models/BalanceDiscrepancy');
+const { fromMinor } = require('./money');
+const { notifyUsers } = require('./notifications');
+
+const DEFAULT_INTERVAL_HOURS = 24;
+
+const DISCREPANCY_TYPES = ['chain_gap', 'amount_mismatch', 'balance_mismatch'];
+
+// The run in progress in this process, shared by the scheduler and POST /run
+let currentRun = null;
+
+/**
+ * Get the configured reconciliation settings
+ *   BALANCE_RECONCILIATION_INTERVAL_HOURS  how often the server reconciles balances (default 24)
+ * @returns {Object} { intervalHours }
+ */
+function getReconciliationSettings() {
+  if (!process.env.BALANCE_RECONCILIATION_INTERVAL_HOURS) {
+    return { intervalHours: DEFAULT_INTERVAL_HOURS };
+  }
+
+  const intervalHours = Number(process.env.BALANCE_RECONCILIATION_INTERVAL_HOURS);
+
+  if (!Number.isFinite(intervalHours) || intervalHours <= 0) {
+    throw new Error('BALANCE_RECONCILIATION_INTERVAL_HOURS must be a positive number of hours');
+  }
+
+  return { intervalHours };
+}
+
+// Approved legs move the balance when they are approved, not when they were requested
+const effectiveAt = transaction =>
+  (transaction.approval && transaction.approval.decidedAt) || transaction.createdAt;
+
+/**
+ * Walk one wallet's completed transactions in the order they moved the balance
+ * @param {Array<Object>} transactions - Lean completed transactions of one user in one currency
+ * @returns {Array<Object>} Discrepancies found (without the wallet balance check)
+ */
+function checkChain(transactions) {
+  const found = [];
+  let previous = null;
+
+  for (const transaction of transactions) {
+    const delta = transaction.type === 'credit' ? transaction.amount : -transaction.amount;
+
+    if (transaction.newBalance - transaction.previousBalance !== delta) {
+      found.push({
+        type: 'amount_mismatch',
+        transaction,
+        expected: transaction.previousBalance + delta,
+        actual: transaction.newBalance
+      });
+    }
+
+    if (previous && transaction.previousBalance !== previous.newBalance) {
+      found.push({
+        type: 'chain_gap',
+        transaction,
+        previousReference: previous.reference,
+        expected: previous.newBalance,
+        actual: transaction.previousBalance
+      });
+    }
+
+    previous = transaction;
+  }
+
+  return found;
+}
+
+// Read a user's completed transactions grouped by currency, each in balance order
+async function getChains(userId) {
+  const transactions = await Transaction.find({ userId, status: 'completed' })
+    .select('reference type currency amount previousBalance newBalance createdAt approval.decidedAt')
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+  const chains = new Map();
+
+  // Stable, so legs written together keep their order
+  transactions.sort((a, b) => effectiveAt(a) - effectiveAt(b));
+
+  for (const transaction of transactions) {
+    if (!chains.has(transaction.currency)) {
+      chains.set(transaction.currency, []);
+    }
+    chains.get(transaction.currency).push(transaction);
+  }
+
+  return chains;
+}
+
+// Re-read the wallet and its latest transaction, so an operation that committed while the
+// wallet was being checked isn't reported as a mismatch
+async function confirmBalanceMismatch(userId, currency) {
+  const [user, latest] = await Promise.all([
+    User.findById(userId).select('wallets').lean(),
+    Transaction.find({ userId, currency, status: 'completed' })
+      .select('reference newBalance createdAt approval.decidedAt')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(20)
+      .lean()
+  ]);
+  const last = latest.sort((a, b) => effectiveAt(b) - effectiveAt(a))[0] || null;
+  const wallet = user && (user.wallets || []).find(w => w.currency === currency);
+  const balance = wallet ? wallet.balance : 0;
+  const expected = last ? last.newBalance : 0;
+
+  return balance !== expected ? { transaction: last, expected, balance } : null;
+}
+
+async function runReconciliation(now) {
+  const users = await User.find({}).select('username wallets deletedAt').lean();
+  const detected = Object.fromEntries(DISCREPANCY_TYPES.map(type => [type, 0]));
+  const created = [];
+  let transactionsChecked = 0;
+
+  const record = async (user, currency, found) => {
+    const { type, transaction, expected, actual, previousReference = null } = found;
+    const fingerprint = [type, user._id, currency, transaction ? transaction.reference : '', expected, actual].join(':');
+
+    const result = await BalanceDiscrepancy.findOneAndUpdate(
+      { fingerprint },
+      {
+        $setOnInsert: {
+          type,
+          userId: user._id,
+          currency,
+          transactionId: transaction ? transaction._id : null,
+          reference: transaction ? transaction.reference : null,
+          previousReference,
+          expected,
+          actual,
+          difference: actual - expected,
+          firstDetectedAt: now
+        },
+        $set: { lastDetectedAt: now }
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+
+    detected[type] += 1;
+
+    if (!result.lastErrorObject.updatedExisting) {
+      created.push({ user, discrepancy: result.value });
+    }
+  };
+
+  for (const user of users) {
+    const chains = await getChains(user._id);
+
+    for (const [currency, transactions] of chains) {
+      transactionsChecked += transactions.length;
+
+      for (const found of checkChain(transactions)) {
+        await record(user, currency, found);
+      }
+    }
+
+    // Purged users keep no wallets worth comparing
+    if (user.deletedAt) continue;
+
+    const currencies = new Set([...chains.keys(), ...(user.wallets || []).map(wallet => wallet.currency)]);
+
+    for (const currency of currencies) {
+      const wallet = (user.wallets || []).find(w => w.currency === currency);
+      const transactions = chains.get(currency);
+      // Without transactions nothing accounts for a balance, e.g. a seeded, migrated or edited one
+      const expected = transactions ? transactions[transactions.length - 1].newBalance : 0;
+
+      if ((wallet ? wallet.balance : 0) !== expected) {
+        const mismatch = await confirmBalanceMismatch(user._id, currency);
+
+        if (mismatch) {
+          await record(user, currency, {
+            type: 'balance_mismatch',
+            transaction: mismatch.transaction,
+            expected: mismatch.expected,
+            actual: mismatch.balance
+          });
+        }
+      }
+    }
+  }
+
+  // Whatever this complete run didn't find again has been fixed
+  const autoResolved = await BalanceDiscrepancy.updateMany(
+    { status: { $in: ['open', 'acknowledged'] }, lastDetectedAt: { $lt: now } },
+    { $set: { status: 'resolved', resolvedAt: new Date(), resolvedBy: null, note: 'No longer detected by reconciliation' } }
+  );
+
+  if (created.length > 0) {
+    const superAdmins = await User.find({ role: 'super_admin', deletedAt: null }).select('_id').lean();
+    const examples = created.slice(0, 3)
+      .map(({ user, discrepancy }) => `${discrepancy.type} for ${user.username} (${discrepancy.currency} ${fromMinor(discrepancy.difference)})`)
+      .join(', ');
+
+    await notifyUsers(superAdmins.map(admin => admin._id), {
+      type: 'balance_discrepancy',
+      message: `Balance reconciliation found ${created.length} new discrepanc${created.length === 1 ? 'y' : 'ies'}: ${examples}${created.length > 3 ? ', ...' : ''}`,
+      data: {
+        discrepancyIds: created.map(({ discrepancy }) => discrepancy._id)
+      }
+    });
+  }
+
+  return {
+    startedAt: now,
+    finishedAt: new Date(),
+    usersChecked: users.length,
+    transactionsChecked,
+    detected,
+    newDiscrepancies: created.length,
+    autoResolved: autoResolved.modifiedCount
+  };
+}
+
+/**
+ * Check every user's transaction chains and record what is wrong as BalanceDiscrepancy documents.
+ * A problem found again keeps its record; open and acknowledged records that are no longer found
+ * are resolved, and super admins are notified about new ones. A call made while a run is in
+ * progress gets that run's report
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<Object>} { startedAt, finishedAt, usersChecked, transactionsChecked, detected,
+ *   newDiscrepancies, autoResolved }
+ */
+function reconcileBalances(now = new Date()) {
+  if (!currentRun) {
+    currentRun = runReconciliation(now).finally(() => {
+      currentRun = null;
+    });
+  }
+
+  return currentRun;
+}
+
+module.exports = {
+  DISCREPANCY_TYPES,
+  getReconciliationSettings,
+  checkChain,
+  reconcileBalances
+};
@@ -0,0 +1,52 @@
+const { checkChain } = require('./balanceReconciliation');
+
+const leg = (reference, type, amount, previousBalance, newBalance) =>
+  ({ reference, type, amount, previousBalance, newBalance });
+
+describe('checkChain', () => {
+  it('accepts a chain where every leg starts where the last one ended', () => {
+    expect(checkChain([
+      leg('A', 'credit', 1000, 0, 1000),
+      leg('B', 'debit', 250, 1000, 750),
+      leg('C', 'debit', 1000, 750, -250),
+      leg('D', 'credit', 250, -250, 0)
+    ])).toEqual([]);
+  });
+
+  it('does not check where the first leg starts', () => {
+    // Balances seeded or migrated before transactions were recorded
+    expect(checkChain([leg('A', 'credit', 100, 5000, 5100)])).toEqual([]);
+  });
+
+  it('flags a leg whose balances do not differ by its amount', () => {
+    const chain = [leg('A', 'credit', 1000, 0, 1000), leg('B', 'debit', 100, 1000, 950)];
+
+    expect(checkChain(chain)).toEqual([
+      { type: 'amount_mismatch', transaction: chain[1], expected: 900, actual: 950 }
+    ]);
+  });
+
+  it('flags a gap between consecutive legs', () => {
+    const chain = [leg('A', 'credit', 1000, 0, 1000), leg('B', 'credit', 50, 1200, 1250)];
+
+    expect(checkChain(chain)).toEqual([
+      { type: 'chain_gap', transaction: chain[1], previousReference: 'A', expected: 1000, actual: 1200 }
+    ]);
+  });
+
+  it('reports both problems on the same leg', () => {
+    const chain = [leg('A', 'credit', 1000, 0, 1000), leg('B', 'debit', 100, 900, 900)];
+
+    expect(checkChain(chain).map(found => found.type)).toEqual(['amount_mismatch', 'chain_gap']);
+  });
+
+  it('compares each leg with the one before it, not the first', () => {
+    const chain = [
+      leg('A', 'credit', 100, 0, 100),
+      leg('B', 'credit', 100, 150, 250),
+      leg('C', 'credit', 100, 250, 350)
+    ];
+
+    expect(checkChain(chain).map(found => found.transaction.reference)).toEqual(['B']);
+  });
+});
@@ -0,0 +1,379 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { MINOR_DIGITS, toMinor, fromMinor } = require('./money');
+const { getApprovalRequirement } = require('./approvals');
+const { planCredit, applyCredit } = require('./credits');
+const { EXPORT_FORMATS, escapeCsv } = require('./export');
+const { availableBalance } = require('./creditLimits');
+const { checkVelocity } = require('./velocity');
+
+const MAX_BATCH_ROWS = 1000;
+
+// Accepted CSV header names for each row field
+const CSV_HEADERS = {
+  userid: 'userId',
+  user_id: 'userId',
+  username: 'username',
+  amount: 'amount',
+  description: 'description'
+};
+
+const RESULT_COLUMNS = ['line', 'user', 'userId', 'username', 'amount', 'currency', 'description', 'status', 'error', 'reference'];
+
+/**
+ * Split CSV text into records. Quoted fields may contain commas, doubled quotes and line breaks;
+ * blank lines are dropped
+ * @param {String} text - CSV text
+ * @returns {Array<Array<String>>} Records
+ */
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+
+  record.push(field);
+  records.push(record);
+
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse a batch CSV with a header row naming userId or username, amount and description
+ * @param {String} text - CSV text
+ * @returns {Object} { rows } of { userId, username, amount, description }, or { error } if the file can't be read
+ */
+function parseBatchCsv(text) {
+  let records;
+
+  try {
+    records = parseCsvRecords(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const [header = [], ...data] = records;
+  const fields = header.map(name => CSV_HEADERS[name.trim().toLowerCase()] || null);
+
+  if (!fields.includes('amount') || !(fields.includes('userId') || fields.includes('username'))) {
+    return { error: 'CSV header must name an amount column and a userId or username column' };
+  }
+
+  const rows = data.map(values => {
+    const row = {};
+    fields.forEach((field, index) => {
+      if (field && values[index] !== undefined) {
+        row[field] = values[index].trim();
+      }
+    });
+    return row;
+  });
+
+  return { rows };
+}
+
+/**
+ * Check one credit against the approval threshold and the rules of /add
+ * @returns {Promise<Object>} { plan } or { error } with a message
+ */
+async function planRowCredit(sender, targetUser, { amount, currency, description }, session) {
+  if (getApprovalRequirement('add', amount)) {
+    return { error: 'Amount requires maker-checker approval; submit it with /api/balance/add instead' };
+  }
+
+  const plan = await planCredit(sender, targetUser, { amount, currency, description }, session);
+
+  return plan.error ? { error: plan.error.message } : { plan };
+}
+
+/**
+ * Validate submitted rows for a preview without moving any money. Rows paid by the same user
+ * are checked against that user's available balance together
+ * @param {Object} sender - Acting user document
+ * @param {Array<Object>} rawRows - Rows of { userId, username, amount, description } as submitted
+ * @param {String} currency - Batch currency
+ * @returns {Promise<Array<Object>>} Batch rows with status 'valid' or 'invalid'
+ */
+async function validateBatchRows(sender, rawRows, currency) {
+  const committed = new Map();
+  const rows = [];
+
+  for (const [index, raw] of rawRows.entries()) {
+    const input = raw && typeof raw === 'object' ? raw : {};
+    const userId = input.userId ? String(input.userId).trim() : '';
+    const username = input.username ? String(input.username).trim() : '';
+    const description = typeof input.description === 'string' ? input.description.trim() : '';
+    const amount = toMinor(input.amount);
+
+    const row = {
+      line: index + 1,
+      userRef: userId || username || null,
+      userId: null,
+      username: null,
+      amount,
+      description: description || null,
+      status: 'invalid',
+      error: null
+    };
+    rows.push(row);
+
+    if (!row.userRef) {
+      row.error = 'userId or username is required';
+      continue;
+    }
+    if (!(amount > 0)) {
+      row.error = `Amount must be a positive number with at most ${MINOR_DIGITS} decimals`;
+      continue;
+    }
+    if (!description) {
+      row.error = 'Description is required';
+      continue;
+    }
+    if (description.length > 500) {
+      row.error = 'Description cannot exceed 500 characters';
+      continue;
+    }
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      row.error = 'Invalid user ID';
+      continue;
+    }
+
+    const targetUser = await User.findOne(userId ? { _id: userId, deletedAt: null } : { username, deletedAt: null });
+
+    if (!targetUser) {
+      row.error = 'User not found';
+      continue;
+    }
+
+    row.userId = targetUser._id;
+    row.username = targetUser.username;
+
+    const { plan, error } = await planRowCredit(sender, targetUser, { amount, currency, description }, null);
+
+    if (error) {
+      row.error = error;
+      continue;
+    }
+
+    if (plan.hasPayerLeg) {
+      const payerKey = plan.payer._id.toString();
+      const spent = (committed.get(payerKey) || 0) + amount;
+
+      if (availableBalance(plan.payerWallet) < spent) {
+        row.error = `${plan.paidBySender ? 'Insufficient balance' : `${plan.payer.username} has insufficient balance`} for this and earlier rows`;
+        continue;
+      }
+      committed.set(payerKey, spent);
+    }
+
+    row.status = 'valid';
+  }
+
+  return rows;
+}
+
+/**
+ * Credit one previewed row, re-checking it against current balances
+ * @returns {Promise<Object>} { reference } of the credit leg, or { error }
+ */
+async function executeRow(batch, row, sender, session) {
+  const targetUser = await User.findOne({ _id: row.userId, deletedAt: null }).session(session);
+
+  if (!targetUser) {
+    return { error: 'User not found' };
+  }
+
+  const { plan, error } = await planRowCredit(sender, targetUser, {
+    amount: row.amount,
+    currency: batch.currency,
+    description: row.description
+  }, session);
+
+  if (error) {
+    return { error };
+  }
+
+  // Rows credited earlier in the same transaction count too
+  const velocityViolation = await checkVelocity(sender, batch.currency, [row.amount], session);
+
+  if (velocityViolation) {
+    return { error: velocityViolation.message };
+  }
+
+  const result = await applyCredit(plan, session, { batchId: batch._id });
+
+  if (!result) {
+    return { error: plan.paidBySender ? 'Insufficient balance' : 'Parent user has insufficient balance' };
+  }
+
+  return { reference: result.creditTransaction.reference };
+}
+
+/**
+ * Execute a previewed batch and record the outcome on its rows (the caller saves the batch).
+ * all_or_nothing credits every row in one transaction and rolls everything back when a row fails;
+ * best_effort credits each valid row in its own transaction and leaves invalid rows untouched
+ * @param {Object} batch - BalanceBatch document
+ * @param {Object} sender - Acting user document
+ * @param {String} mode - 'all_or_nothing' or 'best_effort'
+ */
+async function executeBatch(batch, sender, mode) {
+  if (mode === 'all_or_nothing') {
+    const session = await mongoose.startSession();
+    const references = new Map();
+    let failure = null;
+
+    session.startTransaction();
+
+    try {
+      for (const row of batch.rows) {
+        const result = await executeRow(batch, row, sender, session);
+
+        if (result.error) {
+          failure = { line: row.line, error: result.error };
+          break;
+        }
+        references.set(row.line, result.reference);
+      }
+
+      if (failure) {
+        await session.abortTransaction();
+      } else {
+        await session.commitTransaction();
+      }
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    for (const row of batch.rows) {
+      if (!failure) {
+        row.status = 'completed';
+        row.transactionReference = references.get(row.line);
+      } else if (row.line === failure.line) {
+        row.status = 'failed';
+        row.error = failure.error;
+      } else {
+        row.status = 'skipped';
+        row.error = `Rolled back because row ${failure.line} failed`;
+      }
+    }
+  } else {
+    for (const row of batch.rows.filter(row => row.status === 'valid')) {
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      try {
+        const result = await executeRow(batch, row, sender, session);
+
+        if (result.error) {
+          await session.abortTransaction();
+          row.status = 'failed';
+          row.error = result.error;
+        } else {
+          await session.commitTransaction();
+          row.status = 'completed';
+          row.transactionReference = result.reference;
+        }
+      } catch (error) {
+        await session.abortTransaction();
+        console.error(`Error executing batch ${batch._id} row ${row.line}:`, error);
+        row.status = 'failed';
+        row.error = 'Internal server error';
+      } finally {
+        session.endSession();
+      }
+    }
+  }
+
+  const completed = batch.rows.filter(row => row.status === 'completed').length;
+
+  batch.mode = mode;
+  batch.executedAt = new Date();
+  batch.status = completed === batch.rows.length ? 'completed' : completed > 0 ? 'partial' : 'failed';
+}
+
+/**
+ * Render a batch's per-row outcome as a downloadable file
+ * @param {Object} batch - BalanceBatch document
+ * @param {String} format - 'csv' or 'json'
+ * @returns {Object} { body, contentType, extension }
+ */
+function renderBatchResult(batch, format) {
+  let body;
+
+  if (format === 'json') {
+    body = JSON.stringify({
+      batchId: batch._id,
+      status: batch.status,
+      mode: batch.mode,
+      currency: batch.currency,
+      executedAt: batch.executedAt,
+      summary: batch.getSummary(),
+      rows: batch.toJSON().rows
+    }, null, 2);
+  } else {
+    const lines = [RESULT_COLUMNS.join(',')];
+
+    for (const row of batch.rows) {
+      lines.push([
+        row.line,
+        row.userRef,
+        row.userId,
+        row.username,
+        row.amount === null ? null : fromMinor(row.amount),
+        batch.currency,
+        row.description,
+        row.status,
+        row.error,
+        row.transactionReference
+      ].map(escapeCsv).join(','));
+    }
+
+    body = `${lines.join('\n')}\n`;
+  }
+
+  return { body, ...EXPORT_FORMATS[format] };
+}
+
+module.exports = {
+  MAX_BATCH_ROWS,
+  parseBatchCsv,
+  validateBatchRows,
+  executeBatch,
+  renderBatchResult
+};
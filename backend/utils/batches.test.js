@@ -0,0 +1,42 @@
+const { parseBatchCsv } = require('./batches');
+
+describe('parseBatchCsv', () => {
+  it('reads rows by header name, whatever the column order', () => {
+    const { rows } = parseBatchCsv('Amount,Username,Description\n10.50,alice,Bonus\n');
+
+    expect(rows).toEqual([{ amount: '10.50', username: 'alice', description: 'Bonus' }]);
+  });
+
+  it('keeps commas, doubled quotes and line breaks inside quoted fields', () => {
+    const csv = [
+      'user_id,amount,description',
+      '64b000000000000000000001,5,"Refund, order 12"',
+      '64b000000000000000000002,7,"The ""gold"" plan"',
+      '64b000000000000000000003,9,"First line',
+      'second line"'
+    ].join('\r\n');
+
+    expect(parseBatchCsv(csv).rows).toEqual([
+      { userId: '64b000000000000000000001', amount: '5', description: 'Refund, order 12' },
+      { userId: '64b000000000000000000002', amount: '7', description: 'The "gold" plan' },
+      { userId: '64b000000000000000000003', amount: '9', description: 'First line\r\nsecond line' }
+    ]);
+  });
+
+  it('ignores a byte order mark, blank lines and unknown columns', () => {
+    const { rows } = parseBatchCsv('\uFEFFusername,amount,note\n\nalice,1,ignored\n\n');
+
+    expect(rows).toEqual([{ username: 'alice', amount: '1' }]);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    expect(parseBatchCsv('username,amount,description\nalice,1,"open')).toEqual({
+      error: 'CSV has an unterminated quoted field'
+    });
+  });
+
+  it('requires an amount and a user column', () => {
+    expect(parseBatchCsv('username,description\nalice,x').error)
+      .toBe('CSV header must name an amount column and a userId or username column');
+  });
+});
@@ -0,0 +1,193 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { toMinor, roundMinor } = require('./money');
+const { parseRoleSetting } = require('./hierarchyRules');
+const { userPosting, systemPosting, postJournal } = require('./ledger');
+
+const parseAmount = value => {
+  const amount = toMinor(value);
+  return amount === null ? undefined : amount;
+};
+
+const parsePercent = value => {
+  const percent = Number(value);
+  return value !== '' && Number.isFinite(percent) && percent >= 0 && percent <= 100 ? percent : undefined;
+};
+
+// Parse a "level:percent,level:percent" setting, where level 1 is the direct parent
+function parseLevelSetting(name) {
+  const raw = process.env[name];
+  const result = {};
+
+  if (!raw) return result;
+
+  for (const entry of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [level, value] = entry.split(':').map(part => part.trim());
+    const parsed = value !== undefined ? parsePercent(value) : undefined;
+
+    if (!/^[1-9][0-9]*$/.test(level) || parsed === undefined) {
+      throw new Error(`Invalid ${name} entry "${entry}"`);
+    }
+    result[level] = parsed;
+  }
+
+  return result;
+}
+
+/**
+ * Get the configured fee and commission rules for admin credits (/add, batches and scheduled runs)
+ *   FEE_FLAT                     flat fee per credit by role of the credited user, e.g. "user:1.50"
+ *   FEE_PERCENT                  percentage fee by role of the credited user, e.g. "user:2"
+ *   COMMISSION_PERCENT           percent of the credit each ancestor earns by their role, e.g. "admin:1"
+ *   COMMISSION_PERCENT_BY_LEVEL  percent by how far up the chain the ancestor is, e.g. "1:2,2:1"
+ *                                (1 is the direct parent); takes precedence over the role rate
+ * Flat fees are in major units of whichever currency is credited. Rules that are not configured
+ * charge nothing.
+ * @returns {Object} { feeFlat, feePercent, commissionPercent, commissionPercentByLevel }; flat fees
+ *   in minor units
+ */
+function getChargeSettings() {
+  return {
+    feeFlat: parseRoleSetting('FEE_FLAT', parseAmount),
+    feePercent: parseRoleSetting('FEE_PERCENT', parsePercent),
+    commissionPercent: parseRoleSetting('COMMISSION_PERCENT', parsePercent),
+    commissionPercentByLevel: parseLevelSetting('COMMISSION_PERCENT_BY_LEVEL')
+  };
+}
+
+const percentOf = (amount, percent) => roundMinor(amount * percent / 100);
+
+/**
+ * Work out the fee and commissions a credit carries. The fee comes out of the credited amount and
+ * never exceeds it; commissions are paid to live ancestors of the credited user
+ * @param {Object} targetUser - Credited user document
+ * @param {Number} amount - Credited minor units
+ * @param {ClientSession} session - Optional Mongo session to read within
+ * @returns {Promise<Object>} { fee, commissions: [{ user, level, percent, amount }] }; minor units
+ */
+async function planCharges(targetUser, amount, session = null) {
+  const { feeFlat, feePercent, commissionPercent, commissionPercentByLevel } = getChargeSettings();
+  const fee = Math.min(amount,
+    (feeFlat[targetUser.role] || 0) + percentOf(amount, feePercent[targetUser.role] || 0));
+
+  const commissions = [];
+
+  if (Object.keys(commissionPercent).length > 0 || Object.keys(commissionPercentByLevel).length > 0) {
+    // ancestors runs from the root down to the direct parent
+    const ancestorIds = [...(targetUser.ancestors || [])].reverse();
+    const ancestors = await User.find({ _id: { $in: ancestorIds }, deletedAt: null })
+      .select('username role')
+      .session(session);
+    const ancestorsById = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+
+    for (const [index, ancestorId] of ancestorIds.entries()) {
+      const ancestor = ancestorsById.get(ancestorId.toString());
+      const level = index + 1;
+      const percent = commissionPercentByLevel[level] !== undefined
+        ? commissionPercentByLevel[level]
+        : ancestor && commissionPercent[ancestor.role];
+      const commission = ancestor && percent ? percentOf(amount, percent) : 0;
+
+      if (commission > 0) {
+        commissions.push({ user: ancestor, level, percent, amount: commission });
+      }
+    }
+  }
+
+  return { fee, commissions };
+}
+
+/**
+ * Charge the fee and pay the commissions of a completed credit in one journal entry against the
+ * fees account, recording a 'fee' or 'commission' transaction per leg that points back at the
+ * credit through chargeOf. The legs carry no operationId because their amounts differ from the
+ * credit's: reversing the credit reverses them in proportion (see the reverse route), and each
+ * can still be reversed on its own.
+ * Commissions are paid by the house, not out of the fee on the same credit, so system:fees goes
+ * negative when commissions paid exceed fees collected, the way system:issuance does for money
+ * issued
+ * @param {Object} credit - Completed credit Transaction
+ * @param {Object} targetUser - Credited user document
+ * @param {ClientSession} session - Mongo session the credit runs in
+ * @returns {Promise<Object|null>} { fee, commissions } with the transactions written (fee null
+ *   without one), or null if a wallet could not be updated (the caller must abort the transaction)
+ */
+async function applyCharges(credit, targetUser, session) {
+  const { fee, commissions } = await planCharges(targetUser, credit.amount, session);
+  const legs = [];
+
+  if (fee > 0) {
+    legs.push({
+      posting: userPosting(targetUser._id, credit.currency, -fee),
+      counter: systemPosting('fees', credit.currency, fee),
+      fields: {
+        userId: targetUser._id,
+        type: 'debit',
+        category: 'fee',
+        amount: fee,
+        description: `Fee on ${credit.reference}`
+      }
+    });
+  }
+
+  for (const commission of commissions) {
+    legs.push({
+      posting: userPosting(commission.user._id, credit.currency, commission.amount),
+      counter: systemPosting('fees', credit.currency, -commission.amount),
+      fields: {
+        userId: commission.user._id,
+        type: 'credit',
+        category: 'commission',
+        amount: commission.amount,
+        description: `Level ${commission.level} commission on ${credit.reference}`,
+        metadata: { level: commission.level, percent: commission.percent }
+      }
+    });
+  }
+
+  if (legs.length === 0) {
+    return { fee: null, commissions: [] };
+  }
+
+  const posted = await postJournal({
+    kind: 'charge',
+    postings: legs.flatMap(leg => [leg.posting, leg.counter]),
+    description: `Fees and commissions on ${credit.reference}`,
+    operationId: credit.operationId,
+    createdBy: credit.performedBy
+  }, session);
+
+  if (!posted) {
+    return null;
+  }
+
+  const transactions = [];
+
+  for (const [index, leg] of legs.entries()) {
+    const wallet = posted.wallets[index * 2];
+    const transaction = new Transaction({
+      ...leg.fields,
+      currency: credit.currency,
+      previousBalance: wallet.balance - leg.posting.amount,
+      newBalance: wallet.balance,
+      performedBy: credit.performedBy,
+      journalId: posted.entry._id,
+      batchId: credit.batchId,
+      chargeOf: credit.reference
+    });
+
+    await transaction.save({ session });
+    transactions.push(transaction);
+  }
+
+  return {
+    fee: fee > 0 ? transactions[0] : null,
+    commissions: fee > 0 ? transactions.slice(1) : transactions
+  };
+}
+
+module.exports = {
+  getChargeSettings,
+  planCharges,
+  applyCharges
+};
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { planCharges } = require('./charges');
+
+const SETTINGS = ['FEE_FLAT', 'FEE_PERCENT', 'COMMISSION_PERCENT', 'COMMISSION_PERCENT_BY_LEVEL'];
+
+describe('planCharges', () => {
+  const root = { _id: new mongoose.Types.ObjectId(), username: 'root', role: 'super_admin' };
+  const admin = { _id: new mongoose.Types.ObjectId(), username: 'admin', role: 'admin' };
+  const moderator = { _id: new mongoose.Types.ObjectId(), username: 'moderator', role: 'moderator' };
+  // ancestors run from the root down to the direct parent
+  const target = { _id: new mongoose.Types.ObjectId(), role: 'user', ancestors: [root._id, admin._id, moderator._id] };
+  let ancestors;
+
+  beforeEach(() => {
+    ancestors = [root, admin, moderator];
+    jest.spyOn(User, 'find').mockImplementation(() => ({
+      select: () => ({ session: async () => ancestors })
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    SETTINGS.forEach(name => delete process.env[name]);
+  });
+
+  it('charges nothing without rules', async () => {
+    expect(await planCharges(target, 10000)).toEqual({ fee: 0, commissions: [] });
+    expect(User.find).not.toHaveBeenCalled();
+  });
+
+  it('adds the flat and percentage fee of the credited user\'s role', async () => {
+    process.env.FEE_FLAT = 'user:1.50';
+    process.env.FEE_PERCENT = 'user:2,moderator:5';
+
+    expect((await planCharges(target, 10000)).fee).toBe(350);
+  });
+
+  it('never charges more than the credit', async () => {
+    process.env.FEE_FLAT = 'user:1.50';
+
+    expect((await planCharges(target, 100)).fee).toBe(100);
+  });
+
+  it('pays commissions by level, falling back to the ancestor\'s role', async () => {
+    process.env.COMMISSION_PERCENT = 'admin:1,moderator:0.5';
+    process.env.COMMISSION_PERCENT_BY_LEVEL = '1:2';
+
+    const { commissions } = await planCharges(target, 10000);
+
+    expect(commissions.map(({ user, level, percent, amount }) => ({ username: user.username, level, percent, amount })))
+      .toEqual([
+        { username: 'moderator', level: 1, percent: 2, amount: 200 },
+        { username: 'admin', level: 2, percent: 1, amount: 100 }
+      ]);
+  });
+
+  it('skips deleted ancestors and rounds to whole minor units', async () => {
+    process.env.COMMISSION_PERCENT_BY_LEVEL = '1:1.5,2:1.5';
+    // The moderator was deleted, so only live ancestors come back from the query
+    ancestors = [root, admin];
+
+    const { commissions } = await planCharges(target, 1001);
+
+    expect(commissions).toEqual([{ user: admin, level: 2, percent: 1.5, amount: 15 }]);
+  });
+
+  it('rounds exact half minor units to even', async () => {
+    process.env.FEE_PERCENT = 'user:0.1';
+    process.env.COMMISSION_PERCENT_BY_LEVEL = '1:0.1';
+
+    // 0.5 rounds down to nothing, so no commission is paid either
+    expect(await planCharges(target, 500)).toEqual({ fee: 0, commissions: [] });
+    expect(await planCharges(target, 1500)).toEqual({
+      fee: 2,
+      commissions: [{ user: moderator, level: 1, percent: 0.1, amount: 2 }]
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const User = require('../models/User');
+const { fromMinor } = require('./money');
+const { notifyUsers } = require('./notifications');
+
+const DEFAULT_ALERT_PERCENT = 80;
+
+/**
+ * Get the configured credit settings
+ *   CREDIT_UTILIZATION_ALERT_PERCENT  share of a credit limit (1-100) whose crossing notifies the
+ *                                     user and their parent (default 80)
+ * @returns {Object} { alertPercent }
+ */
+function getCreditSettings() {
+  if (!process.env.CREDIT_UTILIZATION_ALERT_PERCENT) {
+    return { alertPercent: DEFAULT_ALERT_PERCENT };
+  }
+
+  const alertPercent = Number(process.env.CREDIT_UTILIZATION_ALERT_PERCENT);
+
+  if (!Number.isFinite(alertPercent) || alertPercent <= 0 || alertPercent > 100) {
+    throw new Error('CREDIT_UTILIZATION_ALERT_PERCENT must be a number between 1 and 100');
+  }
+
+  return { alertPercent };
+}
+
+/**
+ * What a wallet can still spend: its balance less reserved funds, plus its credit limit
+ * @param {Object} wallet - Wallet from User#getWallet
+ * @returns {Number} Minor units
+ */
+function availableBalance(wallet) {
+  return wallet.balance - wallet.reservedBalance + (wallet.creditLimit || 0);
+}
+
+// Share of the credit limit in use, in percent (0 without a limit)
+function utilizationPercent(balance, creditLimit) {
+  return creditLimit > 0 && balance < 0 ? (-balance / creditLimit) * 100 : 0;
+}
+
+/**
+ * Describe how much of a wallet's credit is in use, in major units
+ * @param {Object} wallet - Wallet from User#getWallet
+ * @returns {Object} { currency, creditLimit, creditUsed, availableCredit, availableBalance, utilization }
+ */
+function describeCredit(wallet) {
+  const creditLimit = wallet.creditLimit || 0;
+  const creditUsed = Math.max(0, -wallet.balance);
+
+  return {
+    currency: wallet.currency,
+    creditLimit: fromMinor(creditLimit),
+    creditUsed: fromMinor(creditUsed),
+    // A limit lowered below the credit in use leaves nothing available, not a negative amount
+    availableCredit: fromMinor(Math.max(0, creditLimit - creditUsed)),
+    availableBalance: fromMinor(Math.max(0, availableBalance(wallet))),
+    utilization: Math.round(utilizationPercent(wallet.balance, creditLimit) * 100) / 100
+  };
+}
+
+/**
+ * Notify a user and their parent when a debit takes the wallet across the utilization alert
+ * threshold. The notification is written in the debit's session, so it is dropped if the debit is
+ * @param {ObjectId} userId - Wallet owner
+ * @param {Object} wallet - Wallet after the debit
+ * @param {Number} amount - Debited minor units (positive)
+ * @param {ClientSession} session - Mongo session the debit runs in
+ */
+async function alertCreditUtilization(userId, wallet, amount, session = null) {
+  const { alertPercent } = getCreditSettings();
+  const before = utilizationPercent(wallet.balance + amount, wallet.creditLimit);
+  const after = utilizationPercent(wallet.balance, wallet.creditLimit);
+
+  if (before >= alertPercent || after < alertPercent) {
+    return;
+  }
+
+  const user = await User.findById(userId).select('username createdBy').session(session);
+  const credit = describeCredit(wallet);
+
+  await notifyUsers([userId, user && user.createdBy], {
+    type: 'credit_utilization',
+    message: `${user ? user.username : 'A user'} has used ${credit.utilization}% of their ${credit.creditLimit} ${wallet.currency} credit limit`,
+    data: {
+      userId,
+      ...credit
+    }
+  }, session);
+}
+
+module.exports = {
+  getCreditSettings,
+  availableBalance,
+  describeCredit,
+  alertCreditUtilization
+};
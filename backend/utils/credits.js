@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { isInDownline, getParent } = require('./downline');
+const { userPosting, systemPosting, postJournal } = require('./ledger');
+const { availableBalance } = require('./creditLimits');
+const { applyCharges } = require('./charges');
+
+/**
+ * Apply the rules of an admin credit (/add and bulk batches) without moving any money.
+ * The target's immediate parent pays for the credit; root users are paid for by the sender,
+ * and a self-recharge (or a payer who is the target) issues new money instead.
+ * @param {Object} sender - Acting user document
+ * @param {Object} targetUser - Live user document to credit
+ * @param {Object} credit - { amount, currency, description }; amount in minor units
+ * @param {ClientSession} session - Optional Mongo session to read within
+ * @returns {Promise<Object>} { error: { status, message } } if the credit is not allowed (with the
+ *   payer too when the payer can't cover it), otherwise the
+ *   plan { sender, targetUser, payer, payerWallet, targetWallet, hasPayerLeg, paidBySender, amount,
+ *   currency, payerDescription, creditDescription }
+ */
+async function planCredit(sender, targetUser, { amount, currency, description = '' }, session = null) {
+  const senderId = sender._id;
+  const isSelfRecharge = senderId.toString() === targetUser._id.toString();
+
+  // Admins may credit anyone; other roles only themselves and their downline
+  if (!isSelfRecharge && !['admin', 'super_admin'].includes(sender.role) &&
+      !await isInDownline(senderId, targetUser._id)) {
+    return { error: { status: 403, message: 'You can only credit balance to users in your downline' } };
+  }
+
+  let payer = await User.findById(senderId).session(session);
+
+  if (!isSelfRecharge) {
+    const parent = await getParent(targetUser._id);
+    if (parent) {
+      payer = await User.findById(parent._id).session(session);
+    }
+  }
+
+  const paidBySender = !payer || payer._id.toString() === senderId.toString();
+  const payerWallet = payer ? payer.getWallet(currency) : null;
+
+  // Funds reserved by holds and operations awaiting approval cannot be spent; a credit limit can
+  if (!isSelfRecharge && payer && availableBalance(payerWallet) < amount) {
+    return {
+      error: {
+        status: 400,
+        message: paidBySender ? 'Insufficient balance' : 'Parent user has insufficient balance',
+        payer
+      }
+    };
+  }
+
+  return {
+    sender,
+    targetUser,
+    payer,
+    payerWallet,
+    targetWallet: targetUser.getWallet(currency),
+    hasPayerLeg: !isSelfRecharge && !!payer && payer._id.toString() !== targetUser._id.toString(),
+    paidBySender,
+    amount,
+    currency,
+    payerDescription: description || `Transfer to ${targetUser.username}`,
+    creditDescription: description || (paidBySender ? `Transfer from ${payer.username}` : 'Credit from admin')
+  };
+}
+
+/**
+ * Move the money for a planned credit: post the journal entry, then record the credit leg and
+ * the payer's debit leg under one operation. A paid credit also carries its fee and commissions
+ * (see utils/charges.js); a self-recharge doesn't
+ * @param {Object} plan - Plan returned by planCredit
+ * @param {ClientSession} session - Mongo session the credit runs in
+ * @param {Object} options - { batchId } of the bulk batch the credit belongs to
+ * @returns {Promise<Object|null>} { creditTransaction, payerTransaction, charges, targetNewBalance,
+ *   payerNewBalance }, or null if the payer can no longer cover it (the caller must abort the
+ *   transaction). targetNewBalance is after the fee; payerNewBalance after the debit only
+ */
+async function applyCredit(plan, session, { batchId = null } = {}) {
+  const { sender, targetUser, payer, hasPayerLeg, amount, currency } = plan;
+  // Links the credit and the payer debit so they can be reversed together
+  const operationId = new mongoose.Types.ObjectId();
+
+  // The payer funds the credit; without one (self-recharge) the money is issued
+  const posted = await postJournal({
+    kind: hasPayerLeg ? 'transfer' : 'issue',
+    postings: [
+      hasPayerLeg
+        ? userPosting(payer._id, currency, -amount)
+        : systemPosting('issuance', currency, -amount),
+      userPosting(targetUser._id, currency, amount)
+    ],
+    description: plan.creditDescription,
+    operationId,
+    createdBy: sender._id
+  }, session);
+
+  if (!posted) {
+    return null;
+  }
+
+  const [updatedPayerWallet, updatedTargetWallet] = posted.wallets;
+  const legFields = {
+    currency,
+    amount,
+    performedBy: sender._id,
+    operationId,
+    journalId: posted.entry._id,
+    batchId
+  };
+  let payerTransaction = null;
+
+  if (hasPayerLeg) {
+    payerTransaction = new Transaction({
+      ...legFields,
+      userId: payer._id,
+      type: 'debit',
+      previousBalance: updatedPayerWallet.balance + amount,
+      newBalance: updatedPayerWallet.balance,
+      description: plan.payerDescription
+    });
+
+    await payerTransaction.save({ session });
+  }
+
+  const creditTransaction = new Transaction({
+    ...legFields,
+    userId: targetUser._id,
+    type: 'credit',
+    previousBalance: updatedTargetWallet.balance - amount,
+    newBalance: updatedTargetWallet.balance,
+    description: plan.creditDescription
+  });
+
+  await creditTransaction.save({ session });
+
+  const charges = hasPayerLeg
+    ? await applyCharges(creditTransaction, targetUser, session)
+    : { fee: null, commissions: [] };
+
+  if (!charges) {
+    return null;
+  }
+
+  return {
+    creditTransaction,
+    payerTransaction,
+    charges,
+    targetNewBalance: charges.fee ? charges.fee.newBalance : updatedTargetWallet.balance,
+    payerNewBalance: hasPayerLeg ? updatedPayerWallet.balance : null
+  };
+}
+
+module.exports = {
+  planCredit,
+  applyCredit
+};
@@ -0,0 +1,124 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 0 and 7 are both Sunday
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// How far ahead nextCronTime looks before deciding an expression never fires (e.g. "0 0 30 2 *")
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+// Parse one field: "*", "5", "1-5", "*/15", "1-31/2" or a comma-separated list of those
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+
+    if (!match) {
+      throw new Error(`Invalid cron ${name} "${part}"`);
+    }
+
+    const step = match[3] ? parseInt(match[3]) : 1;
+    let start = min;
+    let end = max;
+
+    if (match[1] !== undefined) {
+      start = parseInt(match[1]);
+      // "5/10" means every 10th value from 5
+      end = match[2] !== undefined ? parseInt(match[2]) : match[3] ? max : start;
+    }
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} "${part}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {String} expression - Five space-separated fields
+ * @returns {Object} Allowed values per field
+ * @throws {Error} If the expression is malformed
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, CRON_FIELDS[index]));
+
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+// As in standard cron, a restricted day of month and day of week match when either does
+function dayMatches(cron, date) {
+  const dayMatch = cron.days.has(date.getUTCDate());
+  const weekdayMatch = cron.weekdays.has(date.getUTCDay());
+
+  if (cron.anyDay || cron.anyWeekday) {
+    return dayMatch && weekdayMatch;
+  }
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * Find the first minute strictly after a time that matches a cron expression
+ * @param {String|Object} expression - Cron expression or the result of parseCron
+ * @param {Date} after - Reference time
+ * @returns {Date|null} Next matching time, or null if it doesn't fire within five years
+ */
+function nextCronTime(expression, after) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  const limit = after.getTime() + SEARCH_LIMIT_MS;
+
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime
+};
@@ -0,0 +1,47 @@
+const { parseCron, nextCronTime } = require('./cron');
+
+const utc = text => new Date(`${text}Z`);
+
+describe('parseCron', () => {
+  it('rejects expressions without five fields', () => {
+    expect(() => parseCron('0 0 * *')).toThrow('5 fields');
+  });
+
+  it('rejects values out of range', () => {
+    expect(() => parseCron('0 24 * * *')).toThrow('Invalid cron hour "24"');
+    expect(() => parseCron('0 0 0 * *')).toThrow('Invalid cron day of month "0"');
+  });
+
+  it('treats 7 as Sunday', () => {
+    expect(parseCron('0 0 * * 7').weekdays.has(0)).toBe(true);
+  });
+});
+
+describe('nextCronTime', () => {
+  it('returns a time strictly after the reference', () => {
+    expect(nextCronTime('*/15 * * * *', utc('2026-10-19T10:15:00'))).toEqual(utc('2026-10-19T10:30:00'));
+    expect(nextCronTime('*/15 * * * *', utc('2026-10-19T10:14:59.999'))).toEqual(utc('2026-10-19T10:15:00'));
+  });
+
+  it('skips months without the 31st', () => {
+    expect(nextCronTime('0 0 31 * *', utc('2026-04-01T00:00:00'))).toEqual(utc('2026-05-31T00:00:00'));
+    expect(nextCronTime('0 0 31 * *', utc('2026-05-31T00:00:00'))).toEqual(utc('2026-07-31T00:00:00'));
+  });
+
+  it('finds the next 29th of February', () => {
+    expect(nextCronTime('0 0 29 2 *', utc('2026-03-01T00:00:00'))).toEqual(utc('2028-02-29T00:00:00'));
+  });
+
+  it('returns null for a date that never exists', () => {
+    expect(nextCronTime('0 0 30 2 *', utc('2026-10-19T00:00:00'))).toBeNull();
+  });
+
+  it('matches either a restricted day of month or day of week', () => {
+    // 2026-10-20 is a Tuesday; the next Monday comes before the 1st
+    expect(nextCronTime('0 9 1 * 1', utc('2026-10-20T12:00:00'))).toEqual(utc('2026-10-26T09:00:00'));
+  });
+
+  it('rolls over to the next year', () => {
+    expect(nextCronTime('30 6 1 1 *', utc('2026-10-19T00:00:00'))).toEqual(utc('2027-01-01T06:30:00'));
+  });
+});
@@ -0,0 +1,62 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { roundMinor } = require('./money');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Get the configured currencies
+ *   CURRENCIES      comma-separated ISO codes users may hold wallets in (default USD)
+ *   BASE_CURRENCY   currency used when a request doesn't name one (default: first of CURRENCIES)
+ * Every currency uses two minor digits (see utils/money.js).
+ * @returns {Object} { currencies, baseCurrency }
+ */
+function getCurrencySettings() {
+  const currencies = (process.env.CURRENCIES || DEFAULT_CURRENCY)
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean);
+
+  const invalid = currencies.find(code => !CURRENCY_PATTERN.test(code));
+  if (invalid || currencies.length === 0) {
+    throw new Error(`Invalid CURRENCIES entry "${invalid || ''}"`);
+  }
+
+  const baseCurrency = (process.env.BASE_CURRENCY || currencies[0]).trim().toUpperCase();
+  if (!currencies.includes(baseCurrency)) {
+    throw new Error(`BASE_CURRENCY ${baseCurrency} must be one of CURRENCIES`);
+  }
+
+  return { currencies, baseCurrency };
+}
+
+function isSupportedCurrency(code) {
+  return typeof code === 'string' && getCurrencySettings().currencies.includes(code);
+}
+
+/**
+ * Convert an amount with the admin-managed rate for a currency pair
+ * @param {Number} amount - Amount in minor units of `from`
+ * @param {String} from - Source currency
+ * @param {String} to - Target currency
+ * @param {ClientSession} session - Optional Mongo session to read within
+ * @returns {Promise<Object|null>} { rate, convertedAmount } in minor units of `to`, or null if no rate is set
+ */
+async function convertAmount(amount, from, to, session = null) {
+  const exchangeRate = await ExchangeRate.findOne({ from, to }).session(session);
+
+  if (!exchangeRate) {
+    return null;
+  }
+
+  return {
+    rate: exchangeRate.rate,
+    convertedAmount: roundMinor(amount * exchangeRate.rate)
+  };
+}
+
+module.exports = {
+  getCurrencySettings,
+  isSupportedCurrency,
+  convertAmount
+};
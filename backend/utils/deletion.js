@@ -0,0 +1,145 @@
+const User = require('../models/User');
+const HierarchyEvent = require('../models/HierarchyEvent');
+const { checkPlacement } = require('./hierarchyRules');
+
+const DELETION_STRATEGIES = ['promote', 'reassign', 'cascade_deactivate'];
+
+/**
+ * Work out what deleting a user would change, without writing anything
+ * @param {Object} user - The user document being deleted
+ * @param {Object} options - Deletion options
+ * @param {String} options.strategy - One of DELETION_STRATEGIES (only needed if the user has children)
+ * @param {Object} options.reassignTarget - User document that receives the children for 'reassign'
+ * @param {ClientSession} session - Mongo session to read within
+ * @returns {Promise<Object>} Deletion plan
+ */
+async function buildDeletionPlan(user, { strategy, reassignTarget } = {}, session = null) {
+  // Sequential reads: operations inside one transaction must not run concurrently
+  const children = await User.find({ createdBy: user._id, deletedAt: null })
+    .select('username email role')
+    .sort({ username: 1 })
+    .session(session);
+  const descendantCount = await User.countDocuments({ ancestors: user._id, deletedAt: null }).session(session);
+  const activeDescendantCount = await User.countDocuments({ ancestors: user._id, deletedAt: null, isActive: true }).session(session);
+
+  const plan = {
+    user: { id: String(user._id), username: user.username },
+    strategy: children.length > 0 ? strategy : 'none',
+    childCount: children.length,
+    descendantCount,
+    newParent: null,
+    reassignedChildren: children.map(child => ({
+      id: String(child._id),
+      username: child.username,
+      role: child.role
+    })),
+    deactivatedCount: 0
+  };
+
+  if (children.length === 0) {
+    return plan;
+  }
+
+  if (strategy === 'reassign') {
+    plan.newParent = { id: String(reassignTarget._id), username: reassignTarget.username };
+  } else if (user.createdBy) {
+    // 'promote' and 'cascade_deactivate' both hand children to the deleted user's parent
+    const parent = await User.findOne({ _id: user.createdBy, deletedAt: null }).select('username').session(session);
+    if (parent) {
+      plan.newParent = { id: String(parent._id), username: parent.username };
+    }
+  }
+
+  if (strategy === 'cascade_deactivate') {
+    plan.deactivatedCount = activeDescendantCount;
+  }
+
+  return plan;
+}
+
+/**
+ * Apply a deletion plan built by buildDeletionPlan. The user is soft-deleted (tombstoned),
+ * not removed; physical removal is left to the retention purge. Each re-attached child must
+ * satisfy the hierarchy rules under its new parent; on a violation the caller must abort the
+ * transaction.
+ * @param {Object} user - The user document being deleted
+ * @param {Object} plan - Plan returned by buildDeletionPlan
+ * @param {Object} actor - Who is deleting and why
+ * @param {ObjectId} actor.performedBy - The acting user ID
+ * @param {String} actor.reason - Optional deletion reason
+ * @param {ClientSession} session - Mongo session the whole deletion runs in
+ * @returns {Promise<Object>} { plan } when applied, or { violation } with the broken rule
+ *   { rule, status, message }
+ */
+async function executeDeletionPlan(user, plan, { performedBy, reason = null }, session) {
+  const newParentId = plan.newParent ? plan.newParent.id : null;
+  const newParent = newParentId ? await User.findById(newParentId).session(session) : null;
+
+  if (plan.strategy === 'cascade_deactivate') {
+    await User.updateMany(
+      { ancestors: user._id, deletedAt: null },
+      { isActive: false },
+      { session }
+    );
+  }
+
+  // Tombstone first so the deleted user no longer counts towards its parent's children
+  await User.updateOne(
+    { _id: user._id },
+    {
+      deletedAt: new Date(),
+      deletedBy: performedBy,
+      deletionReason: reason,
+      isActive: false
+    },
+    { session }
+  );
+
+  // Re-attach each direct child; saving rewrites the ancestor path of its subtree. Children are
+  // checked one at a time so the ones already moved count towards the new parent's limit
+  for (const { id } of plan.reassignedChildren) {
+    const child = await User.findById(id).session(session);
+    const violation = await checkPlacement({ role: child.role, parent: newParent, user: child }, session);
+
+    if (violation) {
+      return { violation };
+    }
+
+    child.createdBy = newParentId;
+    await child.save({ session });
+
+    await new HierarchyEvent({
+      userId: child._id,
+      action: 'move',
+      fromParent: user._id,
+      toParent: newParentId,
+      subtreeSize: await User.countDocuments({ ancestors: child._id, deletedAt: null }).session(session),
+      reason: `Parent ${user.username} deleted (${plan.strategy})`,
+      performedBy
+    }).save({ session });
+  }
+
+  await new HierarchyEvent({
+    userId: user._id,
+    action: 'delete',
+    fromParent: user.createdBy,
+    toParent: newParentId,
+    subtreeSize: plan.descendantCount,
+    reason,
+    performedBy,
+    metadata: {
+      username: user.username,
+      strategy: plan.strategy,
+      childCount: plan.childCount,
+      deactivatedCount: plan.deactivatedCount
+    }
+  }).save({ session });
+
+  return { plan };
+}
+
+module.exports = {
+  DELETION_STRATEGIES,
+  buildDeletionPlan,
+  executeDeletionPlan
+};
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const HierarchyEvent = require('../models/HierarchyEvent');
+
+jest.mock('./hierarchyRules', () => ({
+  ...jest.requireActual('./hierarchyRules'),
+  checkPlacement: jest.fn()
+}));
+
+const { checkPlacement } = require('./hierarchyRules');
+const { buildDeletionPlan, executeDeletionPlan } = require('./deletion');
+
+const { ObjectId } = mongoose.Types;
+
+describe('deletion', () => {
+  const session = { id: 'session' };
+  let users;
+
+  const makeUser = (username, role, parent = null, fields = {}) => {
+    const user = {
+      _id: new ObjectId(),
+      username,
+      role,
+      createdBy: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      isActive: true,
+      deletedAt: null,
+      save: jest.fn(async () => user),
+      ...fields
+    };
+    users.push(user);
+    return user;
+  };
+
+  const isLive = user => user.deletedAt === null;
+  const inSubtree = (user, rootId) => user.ancestors.some(id => String(id) === String(rootId));
+  const byId = id => users.find(user => String(user._id) === String(id)) || null;
+
+  let root;
+  let admin;
+  let target;
+
+  beforeEach(() => {
+    users = [];
+    root = makeUser('root', 'super_admin');
+    admin = makeUser('admin', 'admin', root);
+    const moderator = makeUser('moderator', 'moderator', admin);
+    const bob = makeUser('bob', 'user', moderator);
+    makeUser('amy', 'user', moderator);
+    makeUser('carl', 'user', bob, { isActive: false });
+    makeUser('gone', 'user', moderator, { deletedAt: new Date() });
+    target = makeUser('target', 'admin', root);
+
+    jest.spyOn(User, 'find').mockImplementation(({ createdBy }) => {
+      const children = users
+        .filter(user => String(user.createdBy) === String(createdBy) && isLive(user))
+        .sort((a, b) => a.username.localeCompare(b.username));
+      const query = { select: () => query, sort: () => query, session: async () => children };
+      return query;
+    });
+    jest.spyOn(User, 'countDocuments').mockImplementation(filter => ({
+      session: async () => users.filter(user => inSubtree(user, filter.ancestors) && isLive(user) &&
+        (filter.isActive === undefined || user.isActive === filter.isActive)).length
+    }));
+    jest.spyOn(User, 'findOne').mockImplementation(({ _id }) => {
+      const query = { select: () => query, session: async () => byId(_id) };
+      return query;
+    });
+    jest.spyOn(User, 'findById').mockImplementation(id => ({ session: async () => byId(id) }));
+    jest.spyOn(User, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(HierarchyEvent.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    checkPlacement.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    checkPlacement.mockReset();
+  });
+
+  const moderatorOf = () => users.find(user => user.username === 'moderator');
+  const savedEvents = () => HierarchyEvent.prototype.save.mock.instances;
+
+  describe('buildDeletionPlan', () => {
+    it('needs no strategy for a user without children', async () => {
+      const leaf = users.find(user => user.username === 'amy');
+
+      expect(await buildDeletionPlan(leaf, { strategy: 'promote' }, session)).toMatchObject({
+        strategy: 'none',
+        childCount: 0,
+        descendantCount: 0,
+        newParent: null,
+        reassignedChildren: []
+      });
+    });
+
+    it('promotes live children to the deleted user\'s parent', async () => {
+      const plan = await buildDeletionPlan(moderatorOf(), { strategy: 'promote' }, session);
+
+      expect(plan).toMatchObject({
+        strategy: 'promote',
+        childCount: 2,
+        descendantCount: 3,
+        newParent: { id: String(admin._id), username: 'admin' },
+        deactivatedCount: 0
+      });
+      expect(plan.reassignedChildren.map(child => child.username)).toEqual(['amy', 'bob']);
+    });
+
+    it('hands the children to the chosen user when reassigning', async () => {
+      const plan = await buildDeletionPlan(moderatorOf(), { strategy: 'reassign', reassignTarget: target }, session);
+
+      expect(plan.newParent).toEqual({ id: String(target._id), username: 'target' });
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it('counts the active descendants a cascade will deactivate', async () => {
+      const plan = await buildDeletionPlan(moderatorOf(), { strategy: 'cascade_deactivate' }, session);
+
+      expect(plan.newParent).toEqual({ id: String(admin._id), username: 'admin' });
+      expect(plan.deactivatedCount).toBe(2);
+    });
+
+    it('turns the children of a root user into roots', async () => {
+      const plan = await buildDeletionPlan(root, { strategy: 'promote' }, session);
+
+      expect(plan.newParent).toBeNull();
+      expect(plan.childCount).toBe(2);
+    });
+  });
+
+  describe('executeDeletionPlan', () => {
+    const actor = () => ({ performedBy: root._id, reason: 'Left the company' });
+
+    it('re-attaches each child to the new parent and records the moves', async () => {
+      const moderator = moderatorOf();
+      const plan = await buildDeletionPlan(moderator, { strategy: 'reassign', reassignTarget: target }, session);
+
+      expect(await executeDeletionPlan(moderator, plan, actor(), session)).toEqual({ plan });
+
+      const [amy, bob] = plan.reassignedChildren.map(child => byId(child.id));
+      expect(amy.createdBy).toBe(plan.newParent.id);
+      expect(bob.createdBy).toBe(plan.newParent.id);
+      expect(bob.save).toHaveBeenCalledWith({ session });
+      expect(User.updateMany).not.toHaveBeenCalled();
+
+      expect(savedEvents().map(event => [event.action, String(event.userId)])).toEqual([
+        ['move', String(amy._id)],
+        ['move', String(bob._id)],
+        ['delete', String(moderator._id)]
+      ]);
+      expect(savedEvents()[1]).toMatchObject({
+        fromParent: moderator._id,
+        subtreeSize: 1,
+        reason: 'Parent moderator deleted (reassign)'
+      });
+      expect(savedEvents()[2].metadata).toEqual({
+        username: 'moderator',
+        strategy: 'reassign',
+        childCount: 2,
+        deactivatedCount: 0
+      });
+    });
+
+    it('tombstones the user instead of removing it, before moving the children', async () => {
+      const moderator = moderatorOf();
+      const plan = await buildDeletionPlan(moderator, { strategy: 'promote' }, session);
+
+      await executeDeletionPlan(moderator, plan, actor(), session);
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: moderator._id },
+        { deletedAt: expect.any(Date), deletedBy: root._id, deletionReason: 'Left the company', isActive: false },
+        { session }
+      );
+      expect(User.updateOne.mock.invocationCallOrder[0])
+        .toBeLessThan(checkPlacement.mock.invocationCallOrder[0]);
+    });
+
+    it('deactivates the live subtree for a cascade', async () => {
+      const moderator = moderatorOf();
+      const plan = await buildDeletionPlan(moderator, { strategy: 'cascade_deactivate' }, session);
+
+      await executeDeletionPlan(moderator, plan, actor(), session);
+
+      expect(User.updateMany).toHaveBeenCalledWith(
+        { ancestors: moderator._id, deletedAt: null },
+        { isActive: false },
+        { session }
+      );
+      expect(byId(plan.reassignedChildren[0].id).createdBy).toBe(String(admin._id));
+    });
+
+    it('stops at the first child the hierarchy rules reject', async () => {
+      const moderator = moderatorOf();
+      const plan = await buildDeletionPlan(moderator, { strategy: 'promote' }, session);
+      const violation = { rule: 'max_children', status: 422, message: 'admin already has 1 children' };
+      checkPlacement.mockResolvedValueOnce(null).mockResolvedValueOnce(violation);
+
+      expect(await executeDeletionPlan(moderator, plan, actor(), session)).toEqual({ violation });
+
+      const [amy, bob] = plan.reassignedChildren.map(child => byId(child.id));
+      expect(checkPlacement).toHaveBeenLastCalledWith({ role: 'user', parent: admin, user: bob }, session);
+      expect(amy.save).toHaveBeenCalled();
+      expect(bob.save).not.toHaveBeenCalled();
+      expect(savedEvents().map(event => event.action)).toEqual(['move']);
+    });
+  });
+});
@@ -1,33 +1,33 @@
 const User = require('../models/User');
 const mongoose = require('mongoose');
+const { fromMinor } = require('./money');
 
 /**
- * Get all users in the downline of a given user (recursive)
+ * Get all users in the downline of a given user (single indexed query on the ancestor path)
  * @param {String|ObjectId} userId - The user ID to get downline for
  * @param {Boolean} includeSelf - Whether to include the user itself in results
- * @returns {Promise<Array>} Array of user documents
+ * @param {Object} options - Query options
+ * @param {Boolean} options.includeDeleted - Whether to include soft-deleted users
+ * @returns {Promise<Array>} Array of user documents, ordered by depth
  */
-async function getDownline(userId, includeSelf = false) {
+async function getDownline(userId, includeSelf = false, { includeDeleted = false } = {}) {
   try {
     const userObjectId = userId instanceof mongoose.Types.ObjectId 
       ? userId 
       : new mongoose.Types.ObjectId(userId.toString());
     
-    // Get direct children
-    const directChildren = await User.find({ createdBy: userObjectId })
-      .select('-password')
-      .lean();
-    
-    let allDownline = includeSelf ? [await User.findById(userObjectId).select('-password').lean()] : [];
-    allDownline = allDownline.concat(directChildren);
+    const query = includeSelf
+      ? { $or: [{ _id: userObjectId }, { ancestors: userObjectId }] }
+      : { ancestors: userObjectId };
     
-    // Recursively get all descendants
-    for (const child of directChildren) {
-      const grandchildren = await getDownline(child._id, false);
-      allDownline = allDownline.concat(grandchildren);
+    if (!includeDeleted) {
+      query.deletedAt = null;
     }
     
-    return allDownline;
+    return await User.find(query)
+      .select('-password')
+      .sort({ depth: 1, username: 1 })
+      .lean();
   } catch (error) {
     console.error('Error getting downline:', error);
     throw error;
@@ -35,44 +35,126 @@ async function getDownline(userId, includeSelf = false) {
 }
 
 /**
- * Get downline as a hierarchical tree structure
+ * Convert a user document to the node shape used by the hierarchy tree
+ * @param {Object} user - Lean user document
+ * @returns {Object} Tree node without children
+ */
+function toTreeNode(user) {
+  const { balance, wallets } = User.serialize(user);
+  
+  return {
+    user: {
+      id: user._id ? String(user._id) : String(user.id || ''),
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      balance,
+      wallets,
+      isActive: user.isActive,
+      createdAt: user.createdAt
+    },
+    children: [],
+    childCount: 0,
+    hasMoreChildren: false
+  };
+}
+
+/**
+ * Fetch one page of children for each of the given parents, with their total child counts
+ * @param {Array<ObjectId>} parentIds - Parents whose children to fetch
+ * @param {Number} skip - Children to skip per parent
+ * @param {Number} limit - Maximum children to return per parent (0 returns counts only)
+ * @returns {Promise<Map>} Map of parent ID to { count, users }
+ */
+async function getChildPages(parentIds, skip, limit) {
+  const counts = await User.aggregate([
+    { $match: { createdBy: { $in: parentIds }, deletedAt: null } },
+    { $group: { _id: '$createdBy', count: { $sum: 1 } } }
+  ]);
+  
+  const pages = new Map(counts.map(group => [String(group._id), { count: group.count, users: [] }]));
+  const pagedParentIds = counts.filter(group => group.count > skip).map(group => group._id);
+  
+  if (limit === 0 || pagedParentIds.length === 0) {
+    return pages;
+  }
+  
+  // Sort, skip and limit each parent's children in the database, so a parent with thousands
+  // of children never has them all loaded for one page
+  const parents = await User.aggregate([
+    { $match: { _id: { $in: pagedParentIds } } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        let: { parentId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$createdBy', '$$parentId'] }, deletedAt: null } },
+          { $sort: { username: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { username: 1, email: 1, role: 1, wallets: 1, isActive: 1, createdAt: 1 } }
+        ],
+        as: 'users'
+      }
+    },
+    { $project: { users: 1 } }
+  ]);
+  
+  for (const parent of parents) {
+    pages.get(String(parent._id)).users = parent.users;
+  }
+  
+  return pages;
+}
+
+/**
+ * Get downline as a hierarchical tree structure.
+ * With a depth and/or limit the tree is built level by level and each node's children are
+ * paged, so large subtrees can be loaded lazily; the tree endpoint always passes both. Without
+ * them the whole subtree is returned, which only the hierarchy exports ask for.
  * @param {String|ObjectId} userId - The user ID to get tree for
- * @returns {Promise<Object>} Tree structure with user and children
+ * @param {Object} options - Paging options
+ * @param {Number} options.depth - Number of child levels to include below the user
+ * @param {Number} options.limit - Maximum children returned per node
+ * @param {Number} options.page - Page of the user's direct children (nested levels always start at page 1)
+ * @param {Boolean} options.summary - Attach downline metrics to every returned node (paged trees only)
+ * @returns {Promise<Object>} Tree structure with user, children and child counts
  */
-async function getDownlineTree(userId) {
+async function getDownlineTree(userId, options = {}) {
   try {
     const userObjectId = userId instanceof mongoose.Types.ObjectId 
       ? userId 
       : new mongoose.Types.ObjectId(userId.toString());
     
-    const user = await User.findById(userObjectId).select('-password');
+    if (options.depth !== undefined || options.limit !== undefined) {
+      return await getPagedDownlineTree(userObjectId, options);
+    }
+    
+    const [user, descendants] = await Promise.all([
+      User.findById(userObjectId).select('-password').lean(),
+      User.find({ ancestors: userObjectId, deletedAt: null })
+        .select('-password')
+        .sort({ username: 1 })
+        .lean()
+    ]);
+    
     if (!user) {
       return null;
     }
     
-    const children = await User.find({ createdBy: userObjectId })
-      .select('-password')
-      .sort({ username: 1 });
+    // Index nodes by ID, then attach each descendant to its parent
+    const tree = toTreeNode(user);
+    const nodes = new Map([[tree.user.id, tree]]);
     
-    const userObj = user.toObject ? user.toObject() : user;
-    const tree = {
-      user: {
-        id: userObj._id ? String(userObj._id) : String(userObj.id || ''),
-        username: userObj.username,
-        email: userObj.email,
-        role: userObj.role,
-        balance: userObj.balance,
-        isActive: userObj.isActive,
-        createdAt: userObj.createdAt
-      },
-      children: []
-    };
+    for (const descendant of descendants) {
+      nodes.set(String(descendant._id), toTreeNode(descendant));
+    }
     
-    // Recursively build tree for each child
-    for (const child of children) {
-      const childTree = await getDownlineTree(child._id);
-      if (childTree) {
-        tree.children.push(childTree);
+    for (const descendant of descendants) {
+      const parentNode = nodes.get(String(descendant.createdBy));
+      if (parentNode) {
+        parentNode.children.push(nodes.get(String(descendant._id)));
+        parentNode.childCount += 1;
       }
     }
     
@@ -83,13 +165,164 @@ async function getDownlineTree(userId) {
   }
 }
 
+/**
+ * Build a depth-limited tree with per-node child pagination
+ * @param {ObjectId} userObjectId - The root user ID
+ * @param {Object} options - Paging options (see getDownlineTree)
+ * @returns {Promise<Object|null>} Tree structure or null if the user doesn't exist
+ */
+async function getPagedDownlineTree(userObjectId, { depth = 1, limit = 50, page = 1, summary = false }) {
+  const user = await User.findOne({ _id: userObjectId, deletedAt: null }).select('-password').lean();
+  if (!user) {
+    return null;
+  }
+  
+  const tree = toTreeNode(user);
+  const allNodes = [tree];
+  let level = [tree];
+  
+  for (let currentDepth = 0; currentDepth < depth && level.length > 0; currentDepth++) {
+    const skip = currentDepth === 0 ? (page - 1) * limit : 0;
+    const pages = await getChildPages(level.map(node => new mongoose.Types.ObjectId(node.user.id)), skip, limit);
+    const nextLevel = [];
+    
+    for (const node of level) {
+      const childPage = pages.get(node.user.id);
+      if (!childPage) continue;
+      
+      node.children = childPage.users.map(toTreeNode);
+      node.childCount = childPage.count;
+      node.hasMoreChildren = skip + node.children.length < childPage.count;
+      nextLevel.push(...node.children);
+      allNodes.push(...node.children);
+    }
+    
+    level = nextLevel;
+  }
+  
+  // Nodes on the last level are not expanded, but still report how many children they have
+  if (level.length > 0) {
+    const counts = await getChildPages(level.map(node => new mongoose.Types.ObjectId(node.user.id)), 0, 0);
+    
+    for (const node of level) {
+      const childPage = counts.get(node.user.id);
+      node.childCount = childPage ? childPage.count : 0;
+      node.hasMoreChildren = node.childCount > 0;
+    }
+  }
+  
+  if (summary) {
+    const summaries = await getDownlineSummaries(allNodes.map(node => node.user.id));
+    for (const node of allNodes) {
+      node.summary = summaries.get(node.user.id) || null;
+    }
+  }
+  
+  return tree;
+}
+
+/**
+ * Compute aggregate metrics for the downline of several users in a single aggregation
+ * @param {Array<String|ObjectId>} userIds - Users whose downlines to summarize
+ * @returns {Promise<Map>} Map of user ID to summary
+ *   { totalUsers, totalBalances, activeUsers, inactiveUsers, roleCounts, depth }; totalBalances maps
+ *   currency to the downline's combined balance in it
+ */
+async function getDownlineSummaries(userIds) {
+  try {
+    const objectIds = userIds.map(id => id instanceof mongoose.Types.ObjectId 
+      ? id 
+      : new mongoose.Types.ObjectId(id.toString()));
+    
+    const [roots, groups, balances] = await Promise.all([
+      User.find({ _id: { $in: objectIds } }).select('depth').lean(),
+      User.aggregate([
+        { $match: { ancestors: { $in: objectIds }, deletedAt: null } },
+        // One row per (requested ancestor, descendant) pair
+        { $unwind: '$ancestors' },
+        { $match: { ancestors: { $in: objectIds } } },
+        {
+          $group: {
+            _id: { root: '$ancestors', role: '$role' },
+            count: { $sum: 1 },
+            activeUsers: { $sum: { $cond: [{ $eq: ['$isActive', true] }, 1, 0] } },
+            maxDepth: { $max: '$depth' }
+          }
+        }
+      ]),
+      User.aggregate([
+        { $match: { ancestors: { $in: objectIds }, deletedAt: null } },
+        { $unwind: '$ancestors' },
+        { $match: { ancestors: { $in: objectIds } } },
+        { $unwind: '$wallets' },
+        {
+          $group: {
+            _id: { root: '$ancestors', currency: '$wallets.currency' },
+            totalBalance: { $sum: '$wallets.balance' }
+          }
+        },
+        { $sort: { '_id.currency': 1 } }
+      ])
+    ]);
+    
+    const summaries = new Map(roots.map(root => [String(root._id), {
+      totalUsers: 0,
+      totalBalances: {},
+      activeUsers: 0,
+      inactiveUsers: 0,
+      roleCounts: { user: 0, moderator: 0, admin: 0, super_admin: 0 },
+      depth: 0,
+      rootDepth: root.depth || 0
+    }]));
+    
+    for (const group of groups) {
+      const summary = summaries.get(String(group._id.root));
+      if (!summary) continue;
+      
+      summary.totalUsers += group.count;
+      summary.activeUsers += group.activeUsers;
+      summary.inactiveUsers += group.count - group.activeUsers;
+      summary.roleCounts[group._id.role] = (summary.roleCounts[group._id.role] || 0) + group.count;
+      summary.depth = Math.max(summary.depth, group.maxDepth - summary.rootDepth);
+    }
+    
+    for (const balance of balances) {
+      const summary = summaries.get(String(balance._id.root));
+      if (!summary) continue;
+      
+      summary.totalBalances[balance._id.currency] = fromMinor(balance.totalBalance);
+    }
+    
+    for (const summary of summaries.values()) {
+      delete summary.rootDepth;
+    }
+    
+    return summaries;
+  } catch (error) {
+    console.error('Error getting downline summaries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compute aggregate metrics for a single user's downline
+ * @param {String|ObjectId} userId - The user ID
+ * @returns {Promise<Object|null>} Summary (see getDownlineSummaries) or null if the user doesn't exist
+ */
+async function getDownlineSummary(userId) {
+  const summaries = await getDownlineSummaries([userId]);
+  return summaries.get(userId.toString()) || null;
+}
+
 /**
  * Check if a child user is in the downline of a parent user
  * @param {String|ObjectId} parentId - The parent user ID
  * @param {String|ObjectId} childId - The child user ID to check
+ * @param {Object} options - Query options
+ * @param {Boolean} options.includeDeleted - Whether a soft-deleted child still counts
  * @returns {Promise<Boolean>} True if child is in parent's downline
  */
-async function isInDownline(parentId, childId) {
+async function isInDownline(parentId, childId, { includeDeleted = false } = {}) {
   try {
     const parentObjectId = parentId instanceof mongoose.Types.ObjectId 
       ? parentId 
@@ -104,19 +337,14 @@ async function isInDownline(parentId, childId) {
       return false;
     }
     
-    // Get the child user
-    const childUser = await User.findById(childObjectId);
-    if (!childUser || !childUser.createdBy) {
-      return false;
-    }
+    const query = { _id: childObjectId, ancestors: parentObjectId };
     
-    // Check if child's creator is the parent or in parent's downline
-    if (childUser.createdBy.toString() === parentObjectId.toString()) {
-      return true;
+    if (!includeDeleted) {
+      query.deletedAt = null;
     }
     
-    // Recursively check if child's creator is in parent's downline
-    return await isInDownline(parentObjectId, childUser.createdBy);
+    const match = await User.exists(query);
+    return !!match;
   } catch (error) {
     console.error('Error checking downline:', error);
     return false;
@@ -134,7 +362,7 @@ async function getNextLevelUsers(userId) {
       ? userId 
       : new mongoose.Types.ObjectId(userId.toString());
     
-    const children = await User.find({ createdBy: userObjectId })
+    const children = await User.find({ createdBy: userObjectId, deletedAt: null })
       .select('-password')
       .sort({ username: 1 });
     
@@ -169,10 +397,71 @@ async function getParent(userId) {
   }
 }
 
+/**
+ * Get the ancestor chain of a user, ordered from the root down to the direct parent.
+ * The chain is clipped so the viewer never sees anyone above their own node.
+ * @param {String|ObjectId} userId - The user ID to get upline for
+ * @param {Object} viewer - The user requesting the chain (needs _id, role and depth)
+ * @returns {Promise<Object|null>} { upline, clipped } or null if the user doesn't exist
+ */
+async function getUpline(userId, viewer) {
+  try {
+    const userObjectId = userId instanceof mongoose.Types.ObjectId 
+      ? userId 
+      : new mongoose.Types.ObjectId(userId.toString());
+    
+    const user = await User.findOne({ _id: userObjectId, deletedAt: null }).select('ancestors').lean();
+    if (!user) {
+      return null;
+    }
+    
+    let ancestorIds = user.ancestors.map(id => id.toString());
+    const viewerId = viewer._id.toString();
+    const viewerIndex = ancestorIds.indexOf(viewerId);
+    
+    // Start the chain at the viewer when they are on it; otherwise drop every level above them
+    if (viewerIndex !== -1) {
+      ancestorIds = ancestorIds.slice(viewerIndex);
+    } else if (viewer.role !== 'super_admin') {
+      ancestorIds = ancestorIds.slice((viewer.depth || 0) + 1);
+    }
+    
+    const ancestors = await User.find({ _id: { $in: ancestorIds } })
+      .select('username email role isActive depth')
+      .lean();
+    const ancestorsById = new Map(ancestors.map(a => [a._id.toString(), a]));
+    
+    const upline = ancestorIds
+      .filter(id => ancestorsById.has(id))
+      .map(id => {
+        const ancestor = ancestorsById.get(id);
+        return {
+          id,
+          username: ancestor.username,
+          email: ancestor.email,
+          role: ancestor.role,
+          isActive: ancestor.isActive,
+          depth: ancestor.depth
+        };
+      });
+    
+    return {
+      upline,
+      clipped: upline.length < user.ancestors.length
+    };
+  } catch (error) {
+    console.error('Error getting upline:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   getDownline,
   getDownlineTree,
   isInDownline,
   getNextLevelUsers,
-  getParent
+  getParent,
+  getUpline,
+  getDownlineSummaries,
+  getDownlineSummary
 };
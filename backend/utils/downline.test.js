@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getDownlineTree, isInDownline } = require('./downline');
+
+// Stand-in for the users collection that answers the two aggregations getChildPages runs
+function childAggregation(users) {
+  const childrenOf = parentId => users
+    .filter(user => String(user.createdBy) === String(parentId))
+    .sort((a, b) => a.username.localeCompare(b.username));
+
+  return async pipeline => {
+    const [{ $match }, stage] = pipeline;
+
+    if (stage.$group) {
+      return $match.createdBy.$in
+        .map(parentId => ({ _id: parentId, count: childrenOf(parentId).length }))
+        .filter(group => group.count > 0);
+    }
+
+    const lookup = stage.$lookup.pipeline;
+    const { $skip } = lookup.find(step => '$skip' in step);
+    const { $limit } = lookup.find(step => '$limit' in step);
+
+    return $match._id.$in.map(parentId => ({
+      _id: parentId,
+      users: childrenOf(parentId).slice($skip, $skip + $limit)
+    }));
+  };
+}
+
+describe('getDownlineTree', () => {
+  const makeUser = (username, parent = null) => ({
+    _id: new mongoose.Types.ObjectId(),
+    username,
+    email: `${username}@example.com`,
+    role: 'user',
+    wallets: [],
+    isActive: true,
+    createdBy: parent ? parent._id : null
+  });
+
+  const root = makeUser('root');
+  const carol = makeUser('carol', root);
+  const alice = makeUser('alice', root);
+  const bob = makeUser('bob', root);
+  const dave = makeUser('dave', alice);
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: () => ({ lean: async () => root }) });
+    jest.spyOn(User, 'aggregate').mockImplementation(childAggregation([carol, alice, bob, dave]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pages the direct children in the database and reports the total', async () => {
+    const tree = await getDownlineTree(root._id, { depth: 1, limit: 2, page: 2 });
+
+    expect(tree.children.map(node => node.user.username)).toEqual(['carol']);
+    expect(tree.childCount).toBe(3);
+    expect(tree.hasMoreChildren).toBe(false);
+
+    const lookup = User.aggregate.mock.calls[1][0][1].$lookup.pipeline;
+    expect(lookup).toEqual(expect.arrayContaining([{ $skip: 2 }, { $limit: 2 }]));
+    // Counts are grouped on their own, without collecting the children
+    expect(User.aggregate.mock.calls[0][0][1]).toEqual({ $group: { _id: '$createdBy', count: { $sum: 1 } } });
+  });
+
+  it('only counts the children of nodes on the last level', async () => {
+    const tree = await getDownlineTree(root._id, { depth: 1, limit: 2 });
+    const [first, second] = tree.children;
+
+    expect([first.user.username, second.user.username]).toEqual(['alice', 'bob']);
+    expect(tree.hasMoreChildren).toBe(true);
+    expect(first).toMatchObject({ childCount: 1, hasMoreChildren: true, children: [] });
+    expect(second).toMatchObject({ childCount: 0, hasMoreChildren: false });
+    expect(User.aggregate).toHaveBeenCalledTimes(3);
+  });
+
+  it('expands nested levels from their first page', async () => {
+    const tree = await getDownlineTree(root._id, { depth: 2, limit: 1, page: 1 });
+
+    expect(tree.children.map(node => node.user.username)).toEqual(['alice']);
+    expect(tree.children[0].children.map(node => node.user.username)).toEqual(['dave']);
+    expect(tree.children[0].hasMoreChildren).toBe(false);
+  });
+});
+
+describe('isInDownline', () => {
+  const parentId = new mongoose.Types.ObjectId();
+  const childId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: childId });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves soft-deleted users out by default', async () => {
+    expect(await isInDownline(parentId, childId)).toBe(true);
+    expect(User.exists).toHaveBeenCalledWith({ _id: childId, ancestors: parentId, deletedAt: null });
+  });
+
+  it('matches soft-deleted users when asked to', async () => {
+    await isInDownline(String(parentId), String(childId), { includeDeleted: true });
+
+    expect(User.exists).toHaveBeenCalledWith({ _id: childId, ancestors: parentId });
+  });
+
+  it('never counts a user as its own downline', async () => {
+    expect(await isInDownline(parentId, String(parentId))).toBe(false);
+    expect(User.exists).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,147 @@
+const EXPORT_FORMATS = {
+  dot: { contentType: 'text/vnd.graphviz', extension: 'dot' },
+  mermaid: { contentType: 'text/plain', extension: 'mmd' },
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+// balance is the base-currency wallet; wallets lists every currency as CUR:amount separated by |
+const CSV_COLUMNS = ['id', 'username', 'role', 'parent', 'depth', 'balance', 'wallets'];
+
+/**
+ * Flatten a tree into rows in depth-first order
+ * @param {Object} tree - Tree returned by getDownlineTree
+ * @returns {Array<Object>} Rows of { node, parentId, depth }, depth relative to the exported root
+ */
+function flattenTree(tree) {
+  const rows = [];
+  const stack = [{ node: tree, parentId: null, depth: 0 }];
+
+  while (stack.length > 0) {
+    const entry = stack.pop();
+    rows.push(entry);
+
+    // Push in reverse so children come out in their original order
+    for (let i = entry.node.children.length - 1; i >= 0; i--) {
+      stack.push({ node: entry.node.children[i], parentId: entry.node.user.id, depth: entry.depth + 1 });
+    }
+  }
+
+  return rows;
+}
+
+function escapeDot(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function escapeMermaid(value) {
+  return String(value).replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating user-controlled text as a formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderDot(tree) {
+  const rows = flattenTree(tree);
+  const lines = ['digraph hierarchy {', '  rankdir=TB;', '  node [shape=box, style=rounded];'];
+
+  for (const { node } of rows) {
+    const { id, username, role } = node.user;
+    const style = node.user.isActive === false ? ', style="rounded,dashed"' : '';
+    lines.push(`  "${id}" [label="${escapeDot(username)}\\n${escapeDot(role)}"${style}];`);
+  }
+
+  for (const { node, parentId } of rows) {
+    if (parentId) {
+      lines.push(`  "${parentId}" -> "${node.user.id}";`);
+    }
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function renderMermaid(tree) {
+  const rows = flattenTree(tree);
+  const lines = ['flowchart TD'];
+
+  for (const { node } of rows) {
+    const { id, username, role } = node.user;
+    lines.push(`  u${id}["${escapeMermaid(username)}<br/>${escapeMermaid(role)}"]`);
+  }
+
+  for (const { node, parentId } of rows) {
+    if (parentId) {
+      lines.push(`  u${parentId} --> u${node.user.id}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function renderCsv(tree) {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  for (const { node, parentId, depth } of flattenTree(tree)) {
+    const { id, username, role, balance, wallets = [] } = node.user;
+    const walletList = wallets.map(wallet => `${wallet.currency}:${wallet.balance}`).join('|');
+    lines.push([id, username, role, parentId, depth, balance, walletList].map(escapeCsv).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+function renderJson(tree) {
+  const strip = (node) => ({
+    id: node.user.id,
+    username: node.user.username,
+    email: node.user.email,
+    role: node.user.role,
+    balance: node.user.balance,
+    wallets: node.user.wallets,
+    isActive: node.user.isActive,
+    createdAt: node.user.createdAt,
+    children: node.children.map(strip)
+  });
+
+  return JSON.stringify(strip(tree), null, 2) + '\n';
+}
+
+/**
+ * Render a downline tree in one of the export formats
+ * @param {Object} tree - Tree returned by getDownlineTree
+ * @param {String} format - One of the EXPORT_FORMATS keys
+ * @returns {Object} { body, contentType, extension }
+ */
+function renderHierarchy(tree, format) {
+  const renderers = {
+    dot: renderDot,
+    mermaid: renderMermaid,
+    json: renderJson,
+    csv: renderCsv
+  };
+
+  if (!renderers[format]) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  return {
+    body: renderers[format](tree),
+    ...EXPORT_FORMATS[format]
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  escapeCsv,
+  renderHierarchy
+};
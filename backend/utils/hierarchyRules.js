@@ -0,0 +1,174 @@
+const User = require('../models/User');
+
+const ROLES = ['user', 'moderator', 'admin', 'super_admin'];
+
+// Which roles each role may create directly below itself, unless overridden by HIERARCHY_CREATABLE_ROLES
+const DEFAULT_CREATABLE_ROLES = {
+  'super_admin': ['user', 'moderator', 'admin', 'super_admin'],
+  'admin': ['user', 'moderator', 'admin'],
+  'moderator': ['user'],
+  'user': ['user']
+};
+
+/**
+ * Parse a "role:value,role:value" environment setting
+ * @param {String} name - Environment variable name (used in error messages)
+ * @param {Function} parseValue - Converts the value part, returning undefined when invalid
+ * @returns {Object} Map of role to parsed value
+ */
+function parseRoleSetting(name, parseValue) {
+  const raw = process.env[name];
+  const result = {};
+
+  if (!raw) return result;
+
+  for (const entry of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [role, value] = entry.split(':').map(part => part.trim());
+    const parsed = value !== undefined ? parseValue(value) : undefined;
+
+    if (!ROLES.includes(role) || parsed === undefined) {
+      throw new Error(`Invalid ${name} entry "${entry}"`);
+    }
+    result[role] = parsed;
+  }
+
+  return result;
+}
+
+/**
+ * Get the configured hierarchy rules
+ *   HIERARCHY_MAX_DEPTH        deepest level a user may sit at (root users are level 0)
+ *   HIERARCHY_MAX_CHILDREN     direct children allowed per parent role, e.g. "user:10,moderator:50"
+ *   HIERARCHY_CREATABLE_ROLES  roles each role may have as children, e.g. "moderator:user,admin:user|moderator"
+ * Limits that are not configured are unlimited.
+ * @returns {Object} { maxDepth, maxChildren, creatableRoles }
+ */
+function getHierarchyRules() {
+  const maxDepth = process.env.HIERARCHY_MAX_DEPTH ? parseInt(process.env.HIERARCHY_MAX_DEPTH) : null;
+
+  if (maxDepth !== null && !(Number.isInteger(maxDepth) && maxDepth >= 0)) {
+    throw new Error('HIERARCHY_MAX_DEPTH must be a non-negative integer');
+  }
+
+  const maxChildren = parseRoleSetting('HIERARCHY_MAX_CHILDREN', value => {
+    const limit = parseInt(value);
+    return Number.isInteger(limit) && limit >= 0 ? limit : undefined;
+  });
+
+  const creatableRoles = {
+    ...DEFAULT_CREATABLE_ROLES,
+    ...parseRoleSetting('HIERARCHY_CREATABLE_ROLES', value => {
+      const roles = value.split('|').map(role => role.trim());
+      return roles.every(role => ROLES.includes(role)) ? roles : undefined;
+    })
+  };
+
+  return { maxDepth, maxChildren, creatableRoles };
+}
+
+function violation(rule, status, message) {
+  return { rule, status, message };
+}
+
+/**
+ * Check whether a user (new or existing) may be placed under a parent
+ * @param {Object} placement - What is being placed where
+ * @param {String} placement.role - Role of the user being placed
+ * @param {Object} placement.parent - Parent user document, or null for a root user
+ * @param {Object} placement.user - Existing user being re-parented (omit for new users)
+ * @param {ClientSession} session - Optional Mongo session to read within
+ * @returns {Promise<Object|null>} The violated rule { rule, status, message } or null
+ */
+async function checkPlacement({ role, parent, user = null }, session = null) {
+  const rules = getHierarchyRules();
+
+  if (parent) {
+    const allowed = rules.creatableRoles[parent.role] || [];
+    if (!allowed.includes(role)) {
+      return violation('creatable_roles', 403,
+        `A ${parent.role} can only have children with role: ${allowed.join(', ') || 'none'}`);
+    }
+
+    const limit = rules.maxChildren[parent.role];
+    if (limit !== undefined) {
+      const query = { createdBy: parent._id, deletedAt: null };
+      if (user) query._id = { $ne: user._id };
+
+      const childCount = await User.countDocuments(query).session(session);
+      if (childCount >= limit) {
+        return violation('max_children', 409,
+          `${parent.username} already has ${childCount} direct children; a ${parent.role} may have at most ${limit}`);
+      }
+    }
+  }
+
+  if (rules.maxDepth !== null) {
+    // A re-parented user brings its whole subtree along, so check the deepest descendant
+    let subtreeHeight = 0;
+
+    if (user) {
+      const deepest = await User.findOne({ ancestors: user._id, deletedAt: null })
+        .sort({ depth: -1 })
+        .select('depth')
+        .session(session);
+      subtreeHeight = deepest ? deepest.depth - user.depth : 0;
+    }
+
+    const depth = (parent ? parent.depth + 1 : 0) + subtreeHeight;
+    if (depth > rules.maxDepth) {
+      return violation('max_depth', 409,
+        `This would place users at level ${depth}; the hierarchy may be at most ${rules.maxDepth} levels deep`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a user's role may change, given its parent and existing children
+ * @param {Object} user - User document whose role changes
+ * @param {String} newRole - The requested role
+ * @returns {Promise<Object|null>} The violated rule { rule, status, message } or null
+ */
+async function checkRoleChange(user, newRole) {
+  if (user.role === newRole) return null;
+
+  const rules = getHierarchyRules();
+
+  if (user.createdBy) {
+    const parent = await User.findOne({ _id: user.createdBy, deletedAt: null }).select('username role');
+    const allowed = parent ? rules.creatableRoles[parent.role] || [] : ROLES;
+
+    if (!allowed.includes(newRole)) {
+      return violation('creatable_roles', 403,
+        `${user.username}'s parent is a ${parent.role}, which can only have children with role: ${allowed.join(', ') || 'none'}`);
+    }
+  }
+
+  const childRoles = await User.distinct('role', { createdBy: user._id, deletedAt: null });
+  const allowedChildren = rules.creatableRoles[newRole] || [];
+  const disallowed = childRoles.filter(role => !allowedChildren.includes(role));
+
+  if (disallowed.length > 0) {
+    return violation('creatable_roles', 409,
+      `A ${newRole} cannot have children with role: ${disallowed.join(', ')}; move those children first`);
+  }
+
+  const limit = rules.maxChildren[newRole];
+  if (limit !== undefined) {
+    const childCount = await User.countDocuments({ createdBy: user._id, deletedAt: null });
+    if (childCount > limit) {
+      return violation('max_children', 409,
+        `${user.username} has ${childCount} direct children; a ${newRole} may have at most ${limit}`);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseRoleSetting,
+  getHierarchyRules,
+  checkPlacement,
+  checkRoleChange
+};
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Hold = require('../models/Hold');
+const Transaction = require('../models/Transaction');
+const { userPosting, systemPosting, postJournal } = require('./ledger');
+
+const DEFAULT_EXPIRY_HOURS = 24;
+
+/**
+ * Get the configured hold settings
+ *   HOLD_DEFAULT_EXPIRY_HOURS  how long a hold created without an expiry lasts (default 24)
+ * @returns {Object} { defaultExpiryHours }
+ */
+function getHoldSettings() {
+  if (!process.env.HOLD_DEFAULT_EXPIRY_HOURS) {
+    return { defaultExpiryHours: DEFAULT_EXPIRY_HOURS };
+  }
+
+  const defaultExpiryHours = Number(process.env.HOLD_DEFAULT_EXPIRY_HOURS);
+
+  if (!Number.isFinite(defaultExpiryHours) || defaultExpiryHours <= 0) {
+    throw new Error('HOLD_DEFAULT_EXPIRY_HOURS must be a positive number of hours');
+  }
+
+  return { defaultExpiryHours };
+}
+
+/**
+ * Reserve funds on a user's wallet for a new hold
+ * @param {Object} hold - Unsaved Hold document
+ * @param {ClientSession} session - Mongo session the hold is created in
+ * @returns {Promise<Object|null>} The wallet after the reservation, or null if the user is
+ *   missing, deleted or doesn't have the amount available
+ */
+async function placeHold(hold, session) {
+  const wallet = await User.updateWallet(hold.userId, hold.currency, { reservedBalance: hold.amount }, session);
+
+  if (!wallet) {
+    return null;
+  }
+
+  await hold.save({ session });
+  return wallet;
+}
+
+/**
+ * Capture part or all of an active hold: the captured amount stops being reserved and is
+ * debited from the wallet back to the issuance account, like /deduct
+ * @param {Object} hold - Active Hold document
+ * @param {Number} amount - Minor units to capture, at most what remains on the hold
+ * @param {Object} options - { performedBy, description }
+ * @param {ClientSession} session - Mongo session the capture runs in
+ * @returns {Promise<Object|null>} { hold, transaction } or null if the hold stopped being active
+ *   or no longer has the amount left
+ */
+async function captureHold(hold, amount, { performedBy, description }, session) {
+  const now = new Date();
+  const reference = Transaction.generateReference();
+
+  const captured = await Hold.findOneAndUpdate(
+    {
+      _id: hold._id,
+      status: 'active',
+      expiresAt: { $gt: now },
+      $expr: { $gte: [{ $subtract: ['$amount', '$capturedAmount'] }, amount] }
+    },
+    {
+      $inc: { capturedAmount: amount },
+      $push: { captures: { amount, transactionReference: reference, capturedBy: performedBy, capturedAt: now } }
+    },
+    { new: true, session }
+  );
+
+  if (!captured) {
+    return null;
+  }
+
+  if (captured.capturedAmount === captured.amount) {
+    captured.status = 'captured';
+    captured.closedAt = now;
+    captured.closedBy = performedBy;
+    await captured.save({ session });
+  }
+
+  const released = await User.updateWallet(captured.userId, captured.currency, { reservedBalance: -amount }, session);
+
+  if (!released) {
+    return null;
+  }
+
+  const operationId = new mongoose.Types.ObjectId();
+  const posted = await postJournal({
+    kind: 'redeem',
+    postings: [
+      userPosting(captured.userId, captured.currency, -amount),
+      systemPosting('issuance', captured.currency, amount)
+    ],
+    description,
+    operationId,
+    createdBy: performedBy
+  }, session);
+
+  if (!posted) {
+    return null;
+  }
+
+  const newBalance = posted.wallets[0].balance;
+  const transaction = new Transaction({
+    userId: captured.userId,
+    type: 'debit',
+    category: 'capture',
+    currency: captured.currency,
+    amount,
+    previousBalance: newBalance + amount,
+    newBalance,
+    description,
+    performedBy,
+    reference,
+    operationId,
+    journalId: posted.entry._id,
+    holdId: captured._id
+  });
+
+  await transaction.save({ session });
+
+  return { hold: captured, transaction };
+}
+
+/**
+ * Close an active hold without capturing the rest of it, giving the remaining funds back
+ * @param {Object} hold - Hold document
+ * @param {Object} options - { status: 'released'|'expired', closedBy }
+ * @param {ClientSession} session - Mongo session the release runs in
+ * @returns {Promise<Object|null>} The closed hold, or null if it was no longer active
+ * @throws {Error} If the remaining funds cannot be unreserved; the caller must abort the transaction
+ */
+async function releaseHold(hold, { status, closedBy = null }, session) {
+  const closed = await Hold.findOneAndUpdate(
+    { _id: hold._id, status: 'active' },
+    { $set: { status, closedAt: new Date(), closedBy } },
+    { new: true, session }
+  );
+
+  if (!closed) {
+    return null;
+  }
+
+  const remaining = closed.amount - closed.capturedAmount;
+
+  if (remaining > 0) {
+    const wallet = await User.updateWallet(closed.userId, closed.currency, { reservedBalance: -remaining }, session);
+
+    // Closing the hold while the funds stay reserved would lock them for good
+    if (!wallet) {
+      throw new Error(`Could not release the funds reserved by hold ${closed._id}`);
+    }
+  }
+
+  return closed;
+}
+
+/**
+ * Release active holds whose expiry has passed
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<Number>} Number of expired holds
+ */
+async function expireHolds(now = new Date()) {
+  const holds = await Hold.find({ status: 'active', expiresAt: { $lte: now } }).select('_id');
+
+  let expired = 0;
+
+  for (const hold of holds) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      if (await releaseHold(hold, { status: 'expired' }, session)) {
+        expired += 1;
+      }
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      console.error(`Error expiring hold ${hold._id}:`, error);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return expired;
+}
+
+module.exports = {
+  getHoldSettings,
+  placeHold,
+  captureHold,
+  releaseHold,
+  expireHolds
+};
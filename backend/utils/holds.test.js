@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Hold = require('../models/Hold');
+const Transaction = require('../models/Transaction');
+const JournalEntry = require('../models/JournalEntry');
+const { captureHold, releaseHold } = require('./holds');
+
+describe('holds', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const adminId = new mongoose.Types.ObjectId();
+  const session = null;
+  let balance;
+
+  const makeHold = (fields = {}) => new Hold({
+    userId,
+    currency: 'USD',
+    amount: 1000,
+    capturedAmount: 0,
+    status: 'active',
+    description: 'Order 42',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    createdBy: adminId,
+    ...fields
+  });
+
+  beforeEach(() => {
+    balance = 5000;
+    jest.spyOn(Hold, 'findOneAndUpdate');
+    jest.spyOn(Hold.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(JournalEntry.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'updateWallet').mockImplementation(async (id, currency, change) => {
+      balance += change.balance || 0;
+      return { currency, balance, reservedBalance: 0, creditLimit: 0 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('captureHold', () => {
+    it('debits part of a hold and leaves the rest reserved', async () => {
+      const hold = makeHold();
+      Hold.findOneAndUpdate.mockResolvedValue(makeHold({ _id: hold._id, capturedAmount: 400 }));
+
+      const result = await captureHold(hold, 400, { performedBy: adminId, description: 'Part one' }, session);
+
+      const [filter, update] = Hold.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ _id: hold._id, status: 'active' });
+      expect(filter.$expr).toEqual({ $gte: [{ $subtract: ['$amount', '$capturedAmount'] }, 400] });
+      expect(update.$inc).toEqual({ capturedAmount: 400 });
+
+      expect(User.updateWallet.mock.calls.map(call => call[2])).toEqual([
+        { reservedBalance: -400 },
+        { balance: -400 }
+      ]);
+
+      expect(result.hold.status).toBe('active');
+      expect(Hold.prototype.save).not.toHaveBeenCalled();
+      expect(result.transaction).toMatchObject({
+        type: 'debit',
+        category: 'capture',
+        amount: 400,
+        previousBalance: 5000,
+        newBalance: 4600,
+        holdId: hold._id
+      });
+      expect(result.transaction.reference).toBe(update.$push.captures.transactionReference);
+    });
+
+    it('closes the hold when the last of it is captured', async () => {
+      const hold = makeHold({ capturedAmount: 400 });
+      Hold.findOneAndUpdate.mockResolvedValue(makeHold({ _id: hold._id, capturedAmount: 1000 }));
+
+      const result = await captureHold(hold, 600, { performedBy: adminId, description: 'Rest' }, session);
+
+      expect(result.hold.status).toBe('captured');
+      expect(result.hold.closedBy).toEqual(adminId);
+      expect(result.hold.closedAt).toBeInstanceOf(Date);
+      expect(Hold.prototype.save).toHaveBeenCalledTimes(1);
+      expect(result.transaction.amount).toBe(600);
+    });
+
+    it('moves no money when the hold no longer has the amount', async () => {
+      Hold.findOneAndUpdate.mockResolvedValue(null);
+
+      expect(await captureHold(makeHold(), 400, { performedBy: adminId }, session)).toBeNull();
+      expect(User.updateWallet).not.toHaveBeenCalled();
+      expect(Transaction.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseHold', () => {
+    it('gives back what was not captured', async () => {
+      const hold = makeHold({ capturedAmount: 400 });
+      Hold.findOneAndUpdate.mockResolvedValue(makeHold({ _id: hold._id, capturedAmount: 400, status: 'released' }));
+
+      const released = await releaseHold(hold, { status: 'released', closedBy: adminId }, session);
+
+      expect(Hold.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ status: 'released', closedBy: adminId });
+      expect(User.updateWallet).toHaveBeenCalledWith(userId, 'USD', { reservedBalance: -600 }, session);
+      expect(released.status).toBe('released');
+      expect(balance).toBe(5000);
+    });
+
+    it('fails when the reserved funds cannot be given back', async () => {
+      const hold = makeHold();
+      Hold.findOneAndUpdate.mockResolvedValue(makeHold({ _id: hold._id, status: 'expired' }));
+      User.updateWallet.mockResolvedValue(null);
+
+      await expect(releaseHold(hold, { status: 'expired' }, session))
+        .rejects.toThrow(`Could not release the funds reserved by hold ${hold._id}`);
+    });
+
+    it('does nothing for a hold that is no longer active', async () => {
+      Hold.findOneAndUpdate.mockResolvedValue(null);
+
+      expect(await releaseHold(makeHold(), { status: 'expired' }, session)).toBeNull();
+      expect(User.updateWallet).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,394 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { fromMinor, toMinor } = require('./money');
+
+const ROLE_LEVELS = {
+  'super_admin': 4,
+  'admin': 3,
+  'moderator': 2,
+  'user': 1
+};
+
+// Issue types and the fix strategies each one supports. The first strategy is used by
+// --fix unless another is chosen; types whose default is 'skip' are only fixed on request.
+const FIX_STRATEGIES = {
+  orphaned_parent: ['nearest_ancestor', 'root', 'skip'],
+  cycle: ['root', 'skip'],
+  path_mismatch: ['rebuild', 'skip'],
+  role_inversion: ['skip', 'demote_child'],
+  balance_mismatch: ['skip', 'sync_balance'],
+  duplicate_reference: ['regenerate', 'skip']
+};
+
+/**
+ * Resolve root-to-parent ancestor paths for a set of users from createdBy.
+ * Missing parents and cycles end the path, so a broken hierarchy cannot loop forever.
+ * @param {Array<Object>} users - Lean users with _id and createdBy
+ * @param {Function} onBrokenLink - Optional callback(user, reason) for missing parents or cycles
+ * @returns {Map} Map of user ID to array of ancestor ID strings
+ */
+function computeAncestorPaths(users, onBrokenLink = () => {}) {
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+  const paths = new Map();
+  const visiting = new Set();
+
+  const resolve = (userId) => {
+    if (paths.has(userId)) return paths.get(userId);
+
+    const user = usersById.get(userId);
+    const parentId = user && user.createdBy ? user.createdBy.toString() : null;
+    let path = [];
+
+    visiting.add(userId);
+
+    if (parentId && usersById.has(parentId)) {
+      if (visiting.has(parentId)) {
+        onBrokenLink(user, 'cycle');
+      } else {
+        path = [...resolve(parentId), parentId];
+      }
+    } else if (parentId) {
+      onBrokenLink(user, 'missing_parent');
+    }
+
+    visiting.delete(userId);
+    paths.set(userId, path);
+    return path;
+  };
+
+  for (const user of users) {
+    resolve(user._id.toString());
+  }
+
+  return paths;
+}
+
+/**
+ * Find createdBy cycles
+ * @param {Map} usersById - Map of user ID to lean user
+ * @returns {Array<Array<String>>} Each cycle as a list of member IDs
+ */
+function findCycles(usersById) {
+  const state = new Map(); // undefined = unvisited, 1 = on current walk, 2 = done
+  const cycles = [];
+
+  for (const startId of usersById.keys()) {
+    const walk = [];
+    let currentId = startId;
+
+    while (currentId && usersById.has(currentId) && !state.get(currentId)) {
+      state.set(currentId, 1);
+      walk.push(currentId);
+      const parent = usersById.get(currentId).createdBy;
+      currentId = parent ? parent.toString() : null;
+    }
+
+    if (currentId && state.get(currentId) === 1) {
+      cycles.push(walk.slice(walk.indexOf(currentId)));
+    }
+
+    walk.forEach(id => state.set(id, 2));
+  }
+
+  return cycles;
+}
+
+/**
+ * Scan users and transactions for hierarchy and ledger inconsistencies
+ * @returns {Promise<Object>} Machine-readable report { generatedAt, totals, summary, issues }
+ */
+async function checkIntegrity() {
+  const users = await User.find({})
+    .select('username role createdBy ancestors wallets deletedAt createdAt')
+    .lean();
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+  const liveUsers = users.filter(u => !u.deletedAt);
+  const issues = [];
+
+  // Cycles in createdBy
+  const cycles = findCycles(usersById);
+  const usersInCycles = new Set(cycles.flat());
+
+  for (const members of cycles) {
+    issues.push({
+      type: 'cycle',
+      userId: members[0],
+      username: usersById.get(members[0]).username,
+      details: {
+        members: members.map(id => ({ id, username: usersById.get(id).username }))
+      }
+    });
+  }
+
+  // Orphaned createdBy references (missing or soft-deleted parent)
+  const orphans = new Set();
+
+  for (const user of liveUsers) {
+    if (!user.createdBy) continue;
+
+    const parentId = user.createdBy.toString();
+    const parent = usersById.get(parentId);
+
+    if (!parent || parent.deletedAt) {
+      orphans.add(user._id.toString());
+      issues.push({
+        type: 'orphaned_parent',
+        userId: user._id.toString(),
+        username: user.username,
+        details: {
+          createdBy: parentId,
+          reason: parent ? 'parent_deleted' : 'parent_missing'
+        }
+      });
+    }
+  }
+
+  // Stale materialized ancestor paths
+  const expectedPaths = computeAncestorPaths(users);
+
+  for (const user of liveUsers) {
+    const userId = user._id.toString();
+    if (orphans.has(userId) || usersInCycles.has(userId)) continue;
+
+    const stored = (user.ancestors || []).map(id => id.toString());
+    const expected = expectedPaths.get(userId);
+
+    if (stored.join(',') !== expected.join(',')) {
+      issues.push({
+        type: 'path_mismatch',
+        userId,
+        username: user.username,
+        details: { stored, expected }
+      });
+    }
+  }
+
+  // Role inversions: a child holding a higher role than its parent
+  for (const user of liveUsers) {
+    const parent = user.createdBy ? usersById.get(user.createdBy.toString()) : null;
+    if (!parent || parent.deletedAt) continue;
+
+    if ((ROLE_LEVELS[user.role] || 0) > (ROLE_LEVELS[parent.role] || 0)) {
+      issues.push({
+        type: 'role_inversion',
+        userId: user._id.toString(),
+        username: user.username,
+        details: {
+          role: user.role,
+          parentId: parent._id.toString(),
+          parentUsername: parent.username,
+          parentRole: parent.role
+        }
+      });
+    }
+  }
+
+  // Each wallet's balance vs. the newBalance of the user's last completed transaction in that currency
+  const lastTransactions = await Transaction.aggregate([
+    { $match: { status: 'completed', userId: { $ne: null } } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $group: {
+        _id: { userId: '$userId', currency: '$currency' },
+        reference: { $first: '$reference' },
+        newBalance: { $first: '$newBalance' }
+      }
+    }
+  ]);
+
+  for (const last of lastTransactions) {
+    const user = usersById.get(last._id.userId.toString());
+    if (!user || user.deletedAt) continue;
+
+    const { currency } = last._id;
+    const wallet = (user.wallets || []).find(w => w.currency === currency);
+    const balance = wallet ? wallet.balance : 0;
+
+    // Integer minor units, so the comparison is exact
+    if (balance !== last.newBalance) {
+      issues.push({
+        type: 'balance_mismatch',
+        userId: user._id.toString(),
+        username: user.username,
+        details: {
+          currency,
+          balance: fromMinor(balance),
+          expected: fromMinor(last.newBalance),
+          lastReference: last.reference
+        }
+      });
+    }
+  }
+
+  // Duplicate transaction references
+  const duplicates = await Transaction.aggregate([
+    { $match: { reference: { $ne: null } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: '$reference', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+
+  for (const duplicate of duplicates) {
+    issues.push({
+      type: 'duplicate_reference',
+      userId: null,
+      username: null,
+      details: {
+        reference: duplicate._id,
+        transactionIds: duplicate.ids.map(id => id.toString())
+      }
+    });
+  }
+
+  const summary = Object.keys(FIX_STRATEGIES).reduce((counts, type) => {
+    counts[type] = issues.filter(issue => issue.type === type).length;
+    return counts;
+  }, {});
+
+  return {
+    generatedAt: new Date().toISOString(),
+    totals: {
+      users: users.length,
+      liveUsers: liveUsers.length,
+      transactionsChecked: lastTransactions.length,
+      issues: issues.length
+    },
+    summary,
+    issues
+  };
+}
+
+/**
+ * Resolve which strategy applies to each issue type
+ * @param {Object} overrides - Map of issue type to strategy
+ * @returns {Object} Map of issue type to strategy
+ */
+function resolveStrategies(overrides = {}) {
+  const strategies = {};
+
+  for (const [type, allowed] of Object.entries(FIX_STRATEGIES)) {
+    const chosen = overrides[type] || allowed[0];
+    if (!allowed.includes(chosen)) {
+      throw new Error(`Unknown strategy "${chosen}" for ${type}. Allowed: ${allowed.join(', ')}`);
+    }
+    strategies[type] = chosen;
+  }
+
+  return strategies;
+}
+
+/**
+ * Apply fixes for the issues in a report, all inside one Mongo transaction
+ * @param {Object} report - Report returned by checkIntegrity
+ * @param {Object} overrides - Map of issue type to strategy (see FIX_STRATEGIES)
+ * @returns {Promise<Object>} The report with a `fix` entry on every issue
+ */
+async function fixIntegrityIssues(report, overrides = {}) {
+  const strategies = resolveStrategies(overrides);
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    let hierarchyChanged = false;
+
+    for (const issue of report.issues) {
+      const strategy = strategies[issue.type];
+      issue.fix = { strategy, applied: false };
+
+      if (strategy === 'skip') continue;
+
+      if (issue.type === 'orphaned_parent') {
+        let newParentId = null;
+
+        if (strategy === 'nearest_ancestor') {
+          // Walk the stored path upwards to the closest ancestor that still exists
+          const user = await User.findById(issue.userId).select('ancestors').session(session);
+          const candidates = user.ancestors.map(id => id.toString()).reverse();
+          const live = await User.find({ _id: { $in: candidates }, deletedAt: null }).select('_id').session(session);
+          const liveIds = new Set(live.map(u => u._id.toString()));
+          newParentId = candidates.find(id => id !== issue.details.createdBy && liveIds.has(id)) || null;
+        }
+
+        await User.updateOne({ _id: issue.userId }, { createdBy: newParentId }, { session });
+        issue.fix.newParentId = newParentId;
+        hierarchyChanged = true;
+      } else if (issue.type === 'cycle') {
+        // Break the cycle at its oldest member, which becomes a root
+        const members = await User.find({ _id: { $in: issue.details.members.map(m => m.id) } })
+          .select('createdAt')
+          .sort({ createdAt: 1 })
+          .session(session);
+        await User.updateOne({ _id: members[0]._id }, { createdBy: null }, { session });
+        issue.fix.detachedUserId = members[0]._id.toString();
+        hierarchyChanged = true;
+      } else if (issue.type === 'path_mismatch') {
+        hierarchyChanged = true;
+      } else if (issue.type === 'role_inversion') {
+        await User.updateOne({ _id: issue.userId }, { role: issue.details.parentRole }, { session });
+      } else if (issue.type === 'balance_mismatch') {
+        const { currency, expected } = issue.details;
+        await User.updateOne(
+          { _id: issue.userId, 'wallets.currency': { $ne: currency } },
+          { $push: { wallets: { currency, balance: 0, reservedBalance: 0, creditLimit: 0 } } },
+          { session }
+        );
+        await User.updateOne(
+          { _id: issue.userId, 'wallets.currency': currency },
+          { $set: { 'wallets.$.balance': toMinor(expected) } },
+          { session }
+        );
+      } else if (issue.type === 'duplicate_reference') {
+        // Keep the earliest transaction's reference, give the others new ones
+        const [, ...others] = issue.details.transactionIds;
+        issue.fix.newReferences = {};
+
+        for (const id of others) {
+          const reference = Transaction.generateReference();
+          await Transaction.updateOne({ _id: id }, { reference }, { session });
+          issue.fix.newReferences[id] = reference;
+        }
+      }
+
+      issue.fix.applied = true;
+    }
+
+    // Re-derive every materialized path from the (possibly repaired) createdBy links
+    if (hierarchyChanged) {
+      const users = await User.find({}).select('createdBy ancestors').lean().session(session);
+      const paths = computeAncestorPaths(users);
+      const operations = users
+        .filter(u => (u.ancestors || []).map(String).join(',') !== paths.get(u._id.toString()).join(','))
+        .map(u => {
+          const ancestors = paths.get(u._id.toString()).map(id => new mongoose.Types.ObjectId(id));
+          return {
+            updateOne: {
+              filter: { _id: u._id },
+              update: { $set: { ancestors, depth: ancestors.length } }
+            }
+          };
+        });
+
+      if (operations.length > 0) {
+        await User.bulkWrite(operations, { session });
+      }
+      report.pathsRebuilt = operations.length;
+    }
+
+    await session.commitTransaction();
+    report.fixedAt = new Date().toISOString();
+    return report;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+module.exports = {
+  FIX_STRATEGIES,
+  computeAncestorPaths,
+  checkIntegrity,
+  fixIntegrityIssues
+};
@@ -0,0 +1,191 @@
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+const { fromMinor } = require('./money');
+const { alertCreditUtilization } = require('./creditLimits');
+
+// Counter-accounts for money that doesn't come from (or go to) another wallet. Issuance
+// is debited when admins mint funds and credited when they burn them; exchange takes one
+// currency in and pays the other out on conversions. Both normally carry negative balances.
+// Fees collects the fees charged on credits and pays out commissions (see utils/charges.js)
+const SYSTEM_ACCOUNTS = {
+  issuance: 'system:issuance',
+  exchange: 'system:exchange',
+  fees: 'system:fees'
+};
+
+/**
+ * Build a posting on a user's wallet
+ * @param {ObjectId} userId - Wallet owner
+ * @param {String} currency - Wallet currency
+ * @param {Number} amount - Signed minor units; positive credits the wallet
+ * @returns {Object} Posting
+ */
+function userPosting(userId, currency, amount) {
+  return { account: `user:${userId}`, userId, currency, amount };
+}
+
+/**
+ * Build a posting on a system account
+ * @param {String} name - Key of SYSTEM_ACCOUNTS
+ * @param {String} currency - Currency
+ * @param {Number} amount - Signed minor units
+ * @returns {Object} Posting
+ */
+function systemPosting(name, currency, amount) {
+  return { account: SYSTEM_ACCOUNTS[name], userId: null, currency, amount };
+}
+
+/**
+ * Record a balanced journal entry and apply its user postings to the wallet balances,
+ * which are a cache of the ledger. This is the only way wallet balances should change.
+ * When it returns null some postings may already have been applied, so the caller must
+ * abort the surrounding transaction. Debits that take a wallet past the credit utilization
+ * alert threshold notify its owner (see utils/creditLimits.js).
+ * @param {Object} entry - { kind, postings, description, operationId, createdBy }
+ * @param {ClientSession} session - Mongo session the entry is written in
+ * @returns {Promise<Object|null>} { entry, wallets } with the wallet after each posting
+ *   (null for system postings), or null if a user is missing, deleted or has insufficient funds
+ */
+async function postJournal({ kind, postings, description = null, operationId = null, createdBy = null }, session = null) {
+  const entry = new JournalEntry({ kind, postings, description, operationId, createdBy });
+
+  // Throws on an unbalanced entry before any wallet is touched
+  await entry.validate();
+
+  const wallets = [];
+
+  for (const posting of entry.postings) {
+    if (!posting.userId) {
+      wallets.push(null);
+      continue;
+    }
+
+    const wallet = await User.updateWallet(posting.userId, posting.currency, { balance: posting.amount }, session);
+
+    if (!wallet) {
+      return null;
+    }
+    wallets.push(wallet);
+  }
+
+  await entry.save({ session });
+
+  for (const [index, posting] of entry.postings.entries()) {
+    if (posting.userId && posting.amount < 0) {
+      await alertCreditUtilization(posting.userId, wallets[index], -posting.amount, session);
+    }
+  }
+
+  return { entry, wallets };
+}
+
+/**
+ * Prove the ledger balances: every currency's postings must sum to zero, every entry
+ * must balance on its own, and every cached wallet balance must equal its account's
+ * balance in the ledger. Amounts in the report are in major units.
+ * @returns {Promise<Object>} Reconciliation report
+ */
+async function reconcileLedger() {
+  const [accounts, unbalancedEntries, entryCount, users] = await Promise.all([
+    JournalEntry.aggregate([
+      { $unwind: '$postings' },
+      {
+        $group: {
+          _id: { account: '$postings.account', currency: '$postings.currency' },
+          userId: { $first: '$postings.userId' },
+          balance: { $sum: '$postings.amount' }
+        }
+      },
+      { $sort: { '_id.currency': 1, '_id.account': 1 } }
+    ]),
+    // Only possible for entries written around postJournal
+    JournalEntry.aggregate([
+      { $unwind: '$postings' },
+      {
+        $group: {
+          _id: { entryId: '$_id', currency: '$postings.currency' },
+          total: { $sum: '$postings.amount' }
+        }
+      },
+      { $match: { total: { $ne: 0 } } }
+    ]),
+    JournalEntry.countDocuments(),
+    User.find({}).select('username wallets deletedAt').lean()
+  ]);
+
+  const currencies = new Map();
+  const ledgerBalances = new Map();
+
+  for (const account of accounts) {
+    const { currency } = account._id;
+
+    if (!currencies.has(currency)) {
+      currencies.set(currency, { currency, total: 0, userAccounts: 0, systemAccounts: {} });
+    }
+    const totals = currencies.get(currency);
+    totals.total += account.balance;
+
+    if (account.userId) {
+      totals.userAccounts += account.balance;
+      ledgerBalances.set(`${account.userId}:${currency}`, account.balance);
+    } else {
+      totals.systemAccounts[account._id.account.replace('system:', '')] = fromMinor(account.balance);
+    }
+  }
+
+  const walletMismatches = [];
+
+  for (const user of users) {
+    const cached = new Map((user.wallets || []).map(wallet => [wallet.currency, wallet.balance]));
+    const ledgerCurrencies = [...currencies.keys()].filter(currency => ledgerBalances.has(`${user._id}:${currency}`));
+
+    for (const currency of new Set([...cached.keys(), ...ledgerCurrencies])) {
+      const balance = cached.get(currency) || 0;
+      const expected = ledgerBalances.get(`${user._id}:${currency}`) || 0;
+
+      if (balance !== expected) {
+        walletMismatches.push({
+          userId: user._id.toString(),
+          username: user.username,
+          deleted: !!user.deletedAt,
+          currency,
+          balance: fromMinor(balance),
+          ledgerBalance: fromMinor(expected)
+        });
+      }
+    }
+  }
+
+  const currencyTotals = [...currencies.values()].map(totals => ({
+    ...totals,
+    total: fromMinor(totals.total),
+    userAccounts: fromMinor(totals.userAccounts)
+  }));
+  const balanced = unbalancedEntries.length === 0 && currencyTotals.every(totals => totals.total === 0);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    balanced,
+    walletsMatchLedger: walletMismatches.length === 0,
+    totals: {
+      entries: entryCount,
+      accounts: accounts.length,
+      users: users.length
+    },
+    currencies: currencyTotals,
+    unbalancedEntries: unbalancedEntries.map(entry => ({
+      entryId: entry._id.entryId.toString(),
+      currency: entry._id.currency,
+      total: fromMinor(entry.total)
+    })),
+    walletMismatches
+  };
+}
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  userPosting,
+  systemPosting,
+  postJournal,
+  reconcileLedger
+};
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+const { userPosting, systemPosting, postJournal } = require('./ledger');
+
+describe('postJournal', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const wallet = balance => ({ currency: 'USD', balance, reservedBalance: 0, creditLimit: 0 });
+
+  beforeEach(() => {
+    jest.spyOn(JournalEntry.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'updateWallet');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies the user postings and saves a balanced entry', async () => {
+    User.updateWallet.mockResolvedValue(wallet(1500));
+
+    const result = await postJournal({
+      kind: 'issue',
+      postings: [userPosting(userId, 'USD', 500), systemPosting('issuance', 'USD', -500)]
+    });
+
+    expect(User.updateWallet).toHaveBeenCalledTimes(1);
+    expect(User.updateWallet).toHaveBeenCalledWith(userId, 'USD', { balance: 500 }, null);
+    expect(result.wallets).toEqual([wallet(1500), null]);
+    expect(result.entry.postings.map(posting => posting.account)).toEqual([`user:${userId}`, 'system:issuance']);
+    expect(JournalEntry.prototype.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects postings that do not sum to zero before touching a wallet', async () => {
+    await expect(postJournal({
+      kind: 'issue',
+      postings: [userPosting(userId, 'USD', 500), systemPosting('issuance', 'USD', -400)]
+    })).rejects.toThrow('Postings in USD do not sum to zero');
+
+    expect(User.updateWallet).not.toHaveBeenCalled();
+    expect(JournalEntry.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('balances every currency on its own', async () => {
+    await expect(postJournal({
+      kind: 'conversion',
+      postings: [userPosting(userId, 'USD', 500), systemPosting('exchange', 'EUR', -500)]
+    })).rejects.toThrow('do not sum to zero');
+
+    expect(User.updateWallet).not.toHaveBeenCalled();
+  });
+
+  it('returns null without saving the entry when a wallet lacks the funds', async () => {
+    User.updateWallet.mockResolvedValue(null);
+
+    const result = await postJournal({
+      kind: 'redeem',
+      postings: [userPosting(userId, 'USD', -500), systemPosting('issuance', 'USD', 500)]
+    });
+
+    expect(result).toBeNull();
+    expect(JournalEntry.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('stops at the first wallet that cannot be updated', async () => {
+    const otherId = new mongoose.Types.ObjectId();
+    User.updateWallet.mockResolvedValueOnce(null);
+
+    const result = await postJournal({
+      kind: 'transfer',
+      postings: [userPosting(userId, 'USD', -500), userPosting(otherId, 'USD', 500)]
+    });
+
+    expect(result).toBeNull();
+    expect(User.updateWallet).toHaveBeenCalledTimes(1);
+  });
+});
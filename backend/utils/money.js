@@ -0,0 +1,109 @@
+// Money is stored as integer minor units (cents) and exposed by the API in major units.
+// Input is parsed exactly from its decimal text, never through float arithmetic, and may
+// have at most MINOR_DIGITS decimals. Amounts that have to be computed (conversions of legacy
+// float data, proportional splits) are rounded half to even, like MongoDB's $round.
+const MINOR_DIGITS = 2;
+const MINOR_FACTOR = 10 ** MINOR_DIGITS;
+
+const AMOUNT_PATTERN = new RegExp(`^(\\d+)(?:\\.(\\d{1,${MINOR_DIGITS}}))?$`);
+
+const WALLET_MONEY_FIELDS = ['balance', 'reservedBalance', 'creditLimit'];
+const TRANSACTION_MONEY_FIELDS = ['amount', 'previousBalance', 'newBalance', 'reversedAmount'];
+const VELOCITY_MONEY_FIELDS = ['maxPerTransaction', 'maxPerDay', 'maxPerMonth'];
+
+/**
+ * Parse a non-negative major-unit amount ("12.34", 12.34, 12) into minor units
+ * @param {String|Number} value - Amount in major units
+ * @returns {Number|null} Integer minor units, or null if the value is not a valid amount
+ */
+function toMinor(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+  // String(1e-7) is "1e-7", so tiny or huge floats fail the pattern instead of slipping through
+  const match = AMOUNT_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, whole, fraction = ''] = match;
+  const minor = parseInt(whole, 10) * MINOR_FACTOR + parseInt(fraction.padEnd(MINOR_DIGITS, '0'), 10);
+
+  return Number.isSafeInteger(minor) ? minor : null;
+}
+
+/**
+ * Convert minor units to major units for API output
+ * @param {Number} minor - Integer minor units
+ * @returns {Number} Amount in major units
+ */
+function fromMinor(minor) {
+  return minor / MINOR_FACTOR;
+}
+
+/**
+ * Round a fractional minor-unit value to an integer, half to even
+ * @param {Number} value - Minor units, possibly fractional
+ * @returns {Number} Integer minor units
+ */
+function roundMinor(value) {
+  const floor = Math.floor(value);
+  const diff = value - floor;
+
+  // Treat float noise around .5 as an exact tie
+  if (Math.abs(diff - 0.5) < 1e-9) {
+    return floor % 2 === 0 ? floor : floor + 1;
+  }
+
+  return Math.round(value);
+}
+
+/**
+ * Copy a document or plain object with its money fields converted to major units
+ * @param {Object} value - Mongoose document or lean object
+ * @param {Array<String>} fields - Money fields to convert
+ * @returns {Object} Plain object
+ */
+function withMajorUnits(value, fields) {
+  const obj = value && typeof value.toObject === 'function' ? value.toObject() : { ...value };
+
+  for (const field of fields) {
+    if (typeof obj[field] === 'number') {
+      obj[field] = fromMinor(obj[field]);
+    }
+  }
+
+  return obj;
+}
+
+/**
+ * Schema toJSON transform that serializes money fields in major units
+ * @param {Array<String>} fields - Money fields to convert
+ * @returns {Function} Mongoose transform
+ */
+function majorUnitsTransform(fields) {
+  return (doc, ret) => {
+    for (const field of fields) {
+      if (typeof ret[field] === 'number') {
+        ret[field] = fromMinor(ret[field]);
+      }
+    }
+    return ret;
+  };
+}
+
+// Mongoose validator for money fields
+const minorUnitsValidator = {
+  validator: Number.isInteger,
+  message: '{PATH} must be an integer number of minor units'
+};
+
+module.exports = {
+  MINOR_DIGITS,
+  WALLET_MONEY_FIELDS,
+  TRANSACTION_MONEY_FIELDS,
+  VELOCITY_MONEY_FIELDS,
+  toMinor,
+  fromMinor,
+  roundMinor,
+  withMajorUnits,
+  majorUnitsTransform,
+  minorUnitsValidator
+};
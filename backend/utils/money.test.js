@@ -0,0 +1,59 @@
+const { toMinor, fromMinor, roundMinor, withMajorUnits, WALLET_MONEY_FIELDS } = require('./money');
+
+describe('toMinor', () => {
+  it('parses major-unit text and numbers exactly', () => {
+    expect(toMinor('12.34')).toBe(1234);
+    expect(toMinor('0.1')).toBe(10);
+    expect(toMinor(' 7 ')).toBe(700);
+    expect(toMinor(19.99)).toBe(1999);
+    expect(toMinor(0.29)).toBe(29);
+  });
+
+  it('rejects amounts with too many decimals or that are not plain amounts', () => {
+    expect(toMinor('1.234')).toBeNull();
+    expect(toMinor('-5')).toBeNull();
+    expect(toMinor('1e3')).toBeNull();
+    expect(toMinor(1e-7)).toBeNull();
+    expect(toMinor('.5')).toBeNull();
+    expect(toMinor('')).toBeNull();
+    expect(toMinor(null)).toBeNull();
+    expect(toMinor({ amount: 5 })).toBeNull();
+  });
+
+  it('rejects amounts too large to count in minor units exactly', () => {
+    expect(toMinor('90071992547409.91')).toBe(9007199254740991);
+    expect(toMinor('90071992547409.92')).toBeNull();
+  });
+});
+
+describe('roundMinor', () => {
+  it('rounds exact halves to the even neighbour', () => {
+    expect(roundMinor(0.5)).toBe(0);
+    expect(roundMinor(1.5)).toBe(2);
+    expect(roundMinor(2.5)).toBe(2);
+    expect(roundMinor(-2.5)).toBe(-2);
+  });
+
+  it('treats float noise around a half as an exact tie', () => {
+    // 1.15 * 100 is 114.99999999999999 in floating point
+    expect(roundMinor(1.15 * 100 + 0.5)).toBe(116);
+    expect(roundMinor(0.1 * 3 * 10 - 2.5)).toBe(0);
+  });
+
+  it('rounds everything else to the nearest integer', () => {
+    expect(roundMinor(2.49)).toBe(2);
+    expect(roundMinor(2.51)).toBe(3);
+    expect(roundMinor(7)).toBe(7);
+  });
+});
+
+describe('withMajorUnits', () => {
+  it('converts only the listed money fields', () => {
+    const wallet = { currency: 'USD', balance: 1234, reservedBalance: 5, creditLimit: 0, count: 3 };
+
+    expect(withMajorUnits(wallet, WALLET_MONEY_FIELDS))
+      .toEqual({ currency: 'USD', balance: 12.34, reservedBalance: 0.05, creditLimit: 0, count: 3 });
+    expect(wallet.balance).toBe(1234);
+    expect(fromMinor(1999)).toBe(19.99);
+  });
+});
@@ -0,0 +1,22 @@
+const Notification = require('../models/Notification');
+
+/**
+ * Send the same notification to several users, once each
+ * @param {Array<ObjectId>} userIds - Recipients; empty entries and duplicates are ignored
+ * @param {Object} notification - { type, message, data }
+ * @param {ClientSession} session - Optional Mongo session, so the notification is only kept if it commits
+ * @returns {Promise<Array>} Created notifications
+ */
+async function notifyUsers(userIds, { type, message, data = {} }, session = null) {
+  const recipients = [...new Set(userIds.filter(Boolean).map(String))];
+
+  if (recipients.length === 0) {
+    return [];
+  }
+
+  return Notification.insertMany(recipients.map(userId => ({ userId, type, message, data })), { session });
+}
+
+module.exports = {
+  notifyUsers
+};
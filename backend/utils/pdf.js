@@ -0,0 +1,120 @@
+// Minimal PDF writer for text documents such as account statements. It only uses the standard
+// Helvetica fonts, which every viewer ships, so nothing is embedded and no external service or
+// package is needed. Text outside Latin-1 is replaced with '?'
+
+const PAGE_SIZES = {
+  A4: { width: 595, height: 842 }
+};
+
+const FONTS = {
+  regular: { resource: 'F1', name: 'Helvetica' },
+  bold: { resource: 'F2', name: 'Helvetica-Bold' }
+};
+
+// Helvetica advance widths (per 1000 units of font size) for the characters that matter when
+// right-aligning amounts; everything else is approximated
+const CHAR_WIDTHS = {
+  ' ': 278, ',': 278, '.': 278, '-': 333, '+': 584, '(': 333, ')': 333
+};
+const DIGIT_WIDTH = 556;
+const DEFAULT_WIDTH = 556;
+
+/**
+ * Approximate the width of a line of Helvetica text
+ * @param {String} text - Text
+ * @param {Number} size - Font size in points
+ * @returns {Number} Width in points
+ */
+function textWidth(text, size) {
+  let units = 0;
+
+  for (const char of String(text)) {
+    if (char >= '0' && char <= '9') {
+      units += DIGIT_WIDTH;
+    } else {
+      units += CHAR_WIDTHS[char] !== undefined ? CHAR_WIDTHS[char] : DEFAULT_WIDTH;
+    }
+  }
+
+  return (units * size) / 1000;
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+/**
+ * Render pages of positioned text as a PDF file
+ * @param {Array<Array<Object>>} pages - Per page, the text items { x, y, text, size, font, align }.
+ *   Coordinates are points from the bottom-left corner; font is 'regular' (default) or 'bold';
+ *   align 'right' makes x the right edge of the text
+ * @param {Object} options - { size: key of PAGE_SIZES (default 'A4'), title }
+ * @returns {Buffer} PDF file
+ */
+function renderPdf(pages, { size = 'A4', title = null } = {}) {
+  const { width, height } = PAGE_SIZES[size];
+  const objects = [];
+  // Objects are numbered from 1 in the order they are added
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontIds = {};
+
+  for (const [key, font] of Object.entries(FONTS)) {
+    fontIds[key] = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`);
+  }
+
+  const fontResources = Object.entries(FONTS)
+    .map(([key, font]) => `/${font.resource} ${fontIds[key]} 0 R`)
+    .join(' ');
+  const pageIds = [];
+
+  for (const items of pages) {
+    const content = items.map(item => {
+      const fontSize = item.size || 9;
+      const font = FONTS[item.font || 'regular'];
+      const x = item.align === 'right' ? item.x - textWidth(item.text, fontSize) : item.x;
+      return `BT /${font.resource} ${fontSize} Tf ${x.toFixed(2)} ${item.y.toFixed(2)} Td (${escapeText(item.text)}) Tj ET`;
+    }).join('\n');
+
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    pageIds.push(addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+    ));
+  }
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = title ? addObject(`<< /Title (${escapeText(title)}) /Producer (user-management) >>`) : null;
+
+  let body = '%PDF-1.4\n';
+  const offsets = [];
+
+  for (const [index, object] of objects.entries()) {
+    offsets.push(Buffer.byteLength(body, 'latin1'));
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R${infoId ? ` /Info ${infoId} 0 R` : ''} >>\n`;
+  body += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+}
+
+module.exports = {
+  PAGE_SIZES,
+  textWidth,
+  renderPdf
+};
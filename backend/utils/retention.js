@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const HierarchyEvent = require('../models/HierarchyEvent');
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+/**
+ * Get the configured retention period for soft-deleted users
+ * @returns {Number} Days a tombstoned user is kept before being purged
+ */
+function getRetentionDays() {
+  const days = parseInt(process.env.USER_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Stable pseudonymous reference for a purged user, so anonymized rows can still be grouped
+ * @param {ObjectId} userId - The purged user ID
+ * @returns {String} Hashed reference
+ */
+function anonymousRef(userId) {
+  return crypto.createHash('sha256').update(String(userId)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Physically remove soft-deleted users past the retention period.
+ * Their transactions are anonymized (user references cleared) rather than left orphaned.
+ * @param {Object} options - Purge options
+ * @param {Number} options.retentionDays - Override for the configured retention period
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @returns {Promise<Object>} Counts of purged users and anonymized transactions
+ */
+async function purgeDeletedUsers({ retentionDays = getRetentionDays(), now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+  const expiredUsers = await User.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('username');
+
+  const result = { purgedUsers: 0, anonymizedTransactions: 0 };
+
+  for (const user of expiredUsers) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const ref = anonymousRef(user._id);
+
+      const owned = await Transaction.updateMany(
+        { userId: user._id },
+        {
+          $set: {
+            userId: null,
+            anonymized: true,
+            description: 'Anonymized (user purged)',
+            'metadata.anonymizedUserRef': ref
+          }
+        },
+        { session }
+      );
+
+      const performed = await Transaction.updateMany(
+        { performedBy: user._id },
+        {
+          $set: {
+            performedBy: null,
+            anonymized: true,
+            'metadata.anonymizedPerformerRef': ref
+          }
+        },
+        { session }
+      );
+
+      await User.deleteOne({ _id: user._id }, { session });
+
+      await new HierarchyEvent({
+        userId: user._id,
+        action: 'purge',
+        metadata: { anonymizedUserRef: ref, retentionDays }
+      }).save({ session });
+
+      await session.commitTransaction();
+
+      result.purgedUsers += 1;
+      result.anonymizedTransactions += owned.modifiedCount + performed.modifiedCount;
+    } catch (error) {
+      await session.abortTransaction();
+      console.error(`Error purging user ${user.username}:`, error);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  getRetentionDays,
+  purgeDeletedUsers
+};
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const HierarchyEvent = require('../models/HierarchyEvent');
+const { getRetentionDays, purgeDeletedUsers } = require('./retention');
+
+describe('retention', () => {
+  const now = new Date('2026-10-19T00:00:00Z');
+  let session;
+  let expired;
+
+  beforeEach(() => {
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn()
+    };
+    expired = [
+      { _id: new mongoose.Types.ObjectId(), username: 'first' },
+      { _id: new mongoose.Types.ObjectId(), username: 'second' }
+    ];
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(User, 'find').mockReturnValue({ select: async () => expired });
+    jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Transaction, 'updateMany').mockImplementation(async filter => ({
+      modifiedCount: filter.userId ? 3 : 1
+    }));
+    jest.spyOn(HierarchyEvent.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.USER_RETENTION_DAYS;
+  });
+
+  it('keeps deleted users for 90 days unless configured otherwise', () => {
+    expect(getRetentionDays()).toBe(90);
+
+    process.env.USER_RETENTION_DAYS = '0';
+    expect(getRetentionDays()).toBe(0);
+
+    process.env.USER_RETENTION_DAYS = '-3';
+    expect(getRetentionDays()).toBe(90);
+  });
+
+  it('only purges users tombstoned before the retention period', async () => {
+    await purgeDeletedUsers({ retentionDays: 30, now });
+
+    expect(User.find).toHaveBeenCalledWith({
+      deletedAt: { $ne: null, $lte: new Date('2026-09-19T00:00:00Z') }
+    });
+  });
+
+  it('anonymizes the transactions of purged users instead of orphaning them', async () => {
+    const result = await purgeDeletedUsers({ retentionDays: 30, now });
+
+    expect(result).toEqual({ purgedUsers: 2, anonymizedTransactions: 8 });
+
+    const [owned, performed] = Transaction.updateMany.mock.calls;
+    expect(owned[0]).toEqual({ userId: expired[0]._id });
+    expect(owned[1].$set).toMatchObject({ userId: null, anonymized: true, description: 'Anonymized (user purged)' });
+    expect(performed[0]).toEqual({ performedBy: expired[0]._id });
+    expect(performed[1].$set).toMatchObject({ performedBy: null, anonymized: true });
+    // The same user always gets the same pseudonymous reference
+    expect(performed[1].$set['metadata.anonymizedPerformerRef']).toBe(owned[1].$set['metadata.anonymizedUserRef']);
+
+    expect(User.deleteOne).toHaveBeenCalledWith({ _id: expired[0]._id }, { session });
+    expect(HierarchyEvent.prototype.save.mock.instances[0]).toMatchObject({ userId: expired[0]._id, action: 'purge' });
+    expect(session.commitTransaction).toHaveBeenCalledTimes(2);
+  });
+
+  it('rolls back one user\'s purge on failure and carries on with the rest', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    User.deleteOne.mockRejectedValueOnce(new Error('write failed'));
+
+    const result = await purgeDeletedUsers({ retentionDays: 30, now });
+
+    expect(result).toEqual({ purgedUsers: 1, anonymizedTransactions: 4 });
+    expect(session.abortTransaction).toHaveBeenCalledTimes(1);
+    expect(session.commitTransaction).toHaveBeenCalledTimes(1);
+    expect(session.endSession).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const { fromMinor } = require('./money');
+const { nextCronTime } = require('./cron');
+const { getApprovalRequirement } = require('./approvals');
+const { planCredit, applyCredit } = require('./credits');
+const { notifyUsers } = require('./notifications');
+const { checkVelocity } = require('./velocity');
+
+const DEFAULT_POLL_SECONDS = 60;
+const MAX_RUN_HISTORY = 100;
+// Schedules picked up per scheduler tick; the rest wait for the next one
+const RUN_BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+
+/**
+ * Get the configured scheduler settings
+ *   SCHEDULED_TRANSFERS_POLL_SECONDS  how often due scheduled transfers are looked for (default 60)
+ * @returns {Object} { pollSeconds }
+ */
+function getSchedulerSettings() {
+  if (!process.env.SCHEDULED_TRANSFERS_POLL_SECONDS) {
+    return { pollSeconds: DEFAULT_POLL_SECONDS };
+  }
+
+  const pollSeconds = Number(process.env.SCHEDULED_TRANSFERS_POLL_SECONDS);
+
+  if (!Number.isInteger(pollSeconds) || pollSeconds < 1) {
+    throw new Error('SCHEDULED_TRANSFERS_POLL_SECONDS must be a positive whole number of seconds');
+  }
+
+  return { pollSeconds };
+}
+
+// The same day of month and time, months later; the 31st falls back to the last day of shorter months
+function addMonths(date, months) {
+  const result = new Date(date.getTime());
+  const day = date.getUTCDate();
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+
+  return result;
+}
+
+/**
+ * Find when a schedule is next due, strictly after a time. Interval schedules keep to the
+ * calendar of their startAt rather than drifting with late runs
+ * @param {Object} schedule - { frequency, cron, startAt, endAt }
+ * @param {Date} after - Reference time
+ * @returns {Date|null} Next run time, or null if the schedule has no further runs
+ */
+function nextRunTime({ frequency, cron, startAt, endAt }, after) {
+  let next;
+
+  if (frequency === 'cron') {
+    // startAt itself counts when it falls on a matching minute
+    next = nextCronTime(cron, after < startAt ? new Date(startAt.getTime() - 1) : after);
+  } else if (after < startAt) {
+    next = startAt;
+  } else if (frequency === 'once') {
+    next = null;
+  } else if (frequency === 'monthly') {
+    let months = (after.getUTCFullYear() - startAt.getUTCFullYear()) * 12 + after.getUTCMonth() - startAt.getUTCMonth();
+    next = addMonths(startAt, months);
+
+    while (next <= after) {
+      next = addMonths(startAt, ++months);
+    }
+  } else {
+    const interval = INTERVALS_MS[frequency];
+    next = new Date(startAt.getTime() + (Math.floor((after - startAt) / interval) + 1) * interval);
+  }
+
+  return next && (!endAt || next <= endAt) ? next : null;
+}
+
+/**
+ * Credit one occurrence of a schedule with the rules of /add, acting as the admin who created it
+ * @returns {Promise<Object>} { run, payerId }; payerId is set when the payer couldn't cover the transfer
+ */
+async function executeScheduledTransfer(schedule, scheduledFor) {
+  const session = await mongoose.startSession();
+  const run = { scheduledFor, executedAt: new Date(), status: 'failed', error: null, transactionReference: null };
+  let payerId = null;
+
+  session.startTransaction();
+
+  try {
+    const sender = await User.findOne({ _id: schedule.createdBy, deletedAt: null, isActive: true }).session(session);
+    const targetUser = await User.findOne({ _id: schedule.userId, deletedAt: null }).session(session);
+    let result = null;
+
+    if (!sender || !['admin', 'super_admin'].includes(sender.role)) {
+      run.error = 'The admin who scheduled this transfer can no longer add balance';
+    } else if (!targetUser) {
+      run.error = 'User not found';
+    } else if (getApprovalRequirement('add', schedule.amount)) {
+      run.error = 'Amount now requires maker-checker approval';
+    } else {
+      // Runs count towards the velocity limits of the admin who scheduled them
+      const velocityViolation = await checkVelocity(sender, schedule.currency, [schedule.amount], session);
+      const plan = velocityViolation ? null : await planCredit(sender, targetUser, {
+        amount: schedule.amount,
+        currency: schedule.currency,
+        description: schedule.description
+      }, session);
+
+      if (velocityViolation) {
+        run.error = velocityViolation.message;
+      } else if (plan.error) {
+        run.error = plan.error.message;
+        payerId = plan.error.payer ? plan.error.payer._id : null;
+      } else {
+        result = await applyCredit(plan, session);
+
+        if (!result) {
+          run.error = plan.paidBySender ? 'Insufficient balance' : 'Parent user has insufficient balance';
+          payerId = plan.payer._id;
+        }
+      }
+    }
+
+    if (result) {
+      await session.commitTransaction();
+      run.status = 'succeeded';
+      run.transactionReference = result.creditTransaction.reference;
+    } else {
+      await session.abortTransaction();
+    }
+  } catch (error) {
+    await session.abortTransaction();
+    console.error(`Scheduled transfer ${schedule._id} error:`, error);
+    run.error = 'Internal server error';
+  } finally {
+    session.endSession();
+  }
+
+  return { run, payerId };
+}
+
+/**
+ * Run every active schedule that is due. Each schedule is claimed by moving its nextRunAt
+ * forward before it runs, so overlapping ticks or server instances can't run it twice; runs
+ * missed while the server was down are collapsed into a single run
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<Object>} { succeeded, failed } counts
+ */
+async function runDueTransfers(now = new Date()) {
+  const due = await ScheduledTransfer.find({ status: 'active', nextRunAt: { $ne: null, $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(RUN_BATCH_SIZE);
+  const counts = { succeeded: 0, failed: 0 };
+
+  for (const schedule of due) {
+    const nextRunAt = nextRunTime(schedule, now);
+    const claimed = await ScheduledTransfer.findOneAndUpdate(
+      { _id: schedule._id, status: 'active', nextRunAt: schedule.nextRunAt },
+      { $set: { nextRunAt, ...(nextRunAt ? {} : { status: 'completed' }) } }
+    );
+
+    if (!claimed) {
+      continue;
+    }
+
+    const { run, payerId } = await executeScheduledTransfer(schedule, schedule.nextRunAt);
+
+    await ScheduledTransfer.updateOne(
+      { _id: schedule._id },
+      {
+        $push: { runs: { $each: [run], $slice: -MAX_RUN_HISTORY } },
+        $inc: { runCount: 1, failureCount: run.status === 'failed' ? 1 : 0 },
+        $set: { lastRunAt: run.executedAt }
+      }
+    );
+
+    counts[run.status] += 1;
+
+    if (run.status === 'failed') {
+      // The payer is told only when they are the reason the transfer didn't go through
+      await notifyUsers([schedule.createdBy, payerId], {
+        type: 'scheduled_transfer_failed',
+        message: `Scheduled transfer of ${fromMinor(schedule.amount)} ${schedule.currency} failed: ${run.error}`,
+        data: {
+          scheduledTransferId: schedule._id,
+          userId: schedule.userId,
+          scheduledFor: run.scheduledFor,
+          error: run.error
+        }
+      }).catch(error => console.error(`Failed to notify about scheduled transfer ${schedule._id}:`, error));
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  getSchedulerSettings,
+  nextRunTime,
+  runDueTransfers
+};
@@ -0,0 +1,56 @@
+const { nextRunTime } = require('./scheduledTransfers');
+
+const utc = text => new Date(`${text}Z`);
+
+describe('nextRunTime', () => {
+  it('runs a one-off transfer at its start time only', () => {
+    const schedule = { frequency: 'once', startAt: utc('2026-11-01T09:00:00') };
+
+    expect(nextRunTime(schedule, utc('2026-10-19T00:00:00'))).toEqual(schedule.startAt);
+    expect(nextRunTime(schedule, schedule.startAt)).toBeNull();
+  });
+
+  it('keeps daily runs on the calendar of startAt after a late run', () => {
+    const schedule = { frequency: 'daily', startAt: utc('2026-10-01T09:00:00') };
+
+    expect(nextRunTime(schedule, utc('2026-10-19T13:45:00'))).toEqual(utc('2026-10-20T09:00:00'));
+  });
+
+  it('runs monthly transfers started on the 31st on the last day of shorter months', () => {
+    const schedule = { frequency: 'monthly', startAt: utc('2026-01-31T09:00:00') };
+
+    expect(nextRunTime(schedule, schedule.startAt)).toEqual(utc('2026-02-28T09:00:00'));
+    expect(nextRunTime(schedule, utc('2026-02-28T09:00:00'))).toEqual(utc('2026-03-31T09:00:00'));
+    expect(nextRunTime(schedule, utc('2026-03-31T09:00:00'))).toEqual(utc('2026-04-30T09:00:00'));
+  });
+
+  it('uses the 29th of February in leap years', () => {
+    const schedule = { frequency: 'monthly', startAt: utc('2027-12-31T00:00:00') };
+
+    expect(nextRunTime(schedule, utc('2028-01-31T00:00:00'))).toEqual(utc('2028-02-29T00:00:00'));
+  });
+
+  it('counts startAt itself for a cron schedule when it matches', () => {
+    const schedule = { frequency: 'cron', cron: '0 9 * * *', startAt: utc('2026-10-20T09:00:00') };
+
+    expect(nextRunTime(schedule, utc('2026-10-19T00:00:00'))).toEqual(schedule.startAt);
+    expect(nextRunTime(schedule, schedule.startAt)).toEqual(utc('2026-10-21T09:00:00'));
+  });
+
+  it('has no further runs for a cron expression that never fires', () => {
+    const schedule = { frequency: 'cron', cron: '0 0 30 2 *', startAt: utc('2026-10-19T00:00:00') };
+
+    expect(nextRunTime(schedule, schedule.startAt)).toBeNull();
+  });
+
+  it('stops at endAt', () => {
+    const schedule = {
+      frequency: 'weekly',
+      startAt: utc('2026-10-05T09:00:00'),
+      endAt: utc('2026-10-20T00:00:00')
+    };
+
+    expect(nextRunTime(schedule, utc('2026-10-12T09:00:00'))).toEqual(utc('2026-10-19T09:00:00'));
+    expect(nextRunTime(schedule, utc('2026-10-19T09:00:00'))).toBeNull();
+  });
+});
@@ -0,0 +1,22 @@
+// Escape a user-supplied string so it matches literally inside a regular expression
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a case-insensitive substring match on username or email from a search term
+ * @param {String} search - Raw search text from the request
+ * @returns {Object} A { $or } filter to combine with the rest of a User query
+ */
+function userSearchFilter(search) {
+  const pattern = escapeRegex(String(search));
+
+  return {
+    $or: [
+      { username: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } }
+    ]
+  };
+}
+
+module.exports = {
+  userSearchFilter
+};
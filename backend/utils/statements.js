@@ -0,0 +1,283 @@
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const { fromMinor, MINOR_DIGITS } = require('./money');
+const { escapeCsv } = require('./export');
+const { PAGE_SIZES, textWidth, renderPdf } = require('./pdf');
+
+// Journal entries are read in chunks so the matching transactions can be looked up together
+const CHUNK_SIZE = 200;
+
+const CSV_COLUMNS = ['date', 'reference', 'description', 'category', 'debit', 'credit', 'balance'];
+
+const formatAmount = minor => fromMinor(minor).toFixed(MINOR_DIGITS);
+const formatDate = date => date.toISOString().slice(0, 16).replace('T', ' ');
+
+/**
+ * Work out the period a statement covers: a calendar month (UTC) or an inclusive date range
+ * @param {Object} query - { month: 'YYYY-MM' } or { startDate, endDate } (Dates)
+ * @returns {Object} { start, end }, both inclusive
+ */
+function getStatementPeriod({ month, startDate, endDate }) {
+  if (month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return {
+      start: new Date(Date.UTC(year, monthNumber - 1, 1)),
+      end: new Date(Date.UTC(year, monthNumber, 1) - 1)
+    };
+  }
+
+  return { start: startDate, end: endDate };
+}
+
+/**
+ * Get a wallet's balance at a point in time from its ledger account
+ * @param {ObjectId} userId - Wallet owner
+ * @param {String} currency - Wallet currency
+ * @param {Date} before - Entries from this time on are left out
+ * @returns {Promise<Number>} Minor units
+ */
+async function getLedgerBalance(userId, currency, before) {
+  const account = `user:${userId}`;
+  const [result] = await JournalEntry.aggregate([
+    { $match: { 'postings.account': account, createdAt: { $lt: before } } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': account, 'postings.currency': currency } },
+    { $group: { _id: null, balance: { $sum: '$postings.amount' } } }
+  ]);
+
+  return result ? result.balance : 0;
+}
+
+/**
+ * Read a wallet's statement lines, oldest first, with the running balance after each. Lines come
+ * from the ledger, so they account for every change to the balance; the transaction leg that
+ * recorded a line gives it its reference and category
+ * @param {ObjectId} userId - Wallet owner
+ * @param {String} currency - Wallet currency
+ * @param {Object} period - { start, end } from getStatementPeriod
+ * @param {Number} openingBalance - Balance before the period, in minor units
+ * @returns {AsyncGenerator<Object>} { date, reference, description, category, amount, balance };
+ *   amount is signed, money in minor units
+ */
+async function* readStatementLines(userId, currency, { start, end }, openingBalance) {
+  const account = `user:${userId}`;
+  const cursor = JournalEntry.find({ 'postings.account': account, createdAt: { $gte: start, $lte: end } })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+  let balance = openingBalance;
+  let chunk = [];
+
+  const flush = async function* () {
+    const legs = await Transaction.find({ journalId: { $in: chunk.map(entry => entry._id) }, userId, currency })
+      .select('journalId reference category')
+      .lean();
+    const legsByEntry = new Map(legs.map(leg => [leg.journalId.toString(), leg]));
+
+    for (const entry of chunk) {
+      const amount = entry.postings
+        .filter(posting => posting.account === account && posting.currency === currency)
+        .reduce((sum, posting) => sum + posting.amount, 0);
+
+      // Entries in other currencies, or that moved nothing net for this wallet
+      if (amount === 0) continue;
+
+      const leg = legsByEntry.get(entry._id.toString());
+      balance += amount;
+
+      yield {
+        date: entry.createdAt,
+        reference: leg ? leg.reference : null,
+        description: entry.description || entry.kind,
+        category: leg ? leg.category : entry.kind,
+        amount,
+        balance
+      };
+    }
+
+    chunk = [];
+  };
+
+  for await (const entry of cursor) {
+    chunk.push(entry);
+
+    if (chunk.length === CHUNK_SIZE) {
+      yield* flush();
+    }
+  }
+
+  if (chunk.length > 0) {
+    yield* flush();
+  }
+}
+
+/**
+ * Write a statement to a response as CSV, one line at a time. The opening and closing balances
+ * are the first and last lines
+ * @param {Object} res - Express response, headers not yet sent
+ * @param {Object} statement - { userId, currency, period, openingBalance }
+ */
+async function streamStatementCsv(res, { userId, currency, period, openingBalance }) {
+  const line = values => `${values.map(escapeCsv).join(',')}\r\n`;
+  let balance = openingBalance;
+
+  res.write(line(CSV_COLUMNS));
+  res.write(line([period.start.toISOString(), null, 'Opening balance', null, null, null, formatAmount(openingBalance)]));
+
+  for await (const entry of readStatementLines(userId, currency, period, openingBalance)) {
+    balance = entry.balance;
+    res.write(line([
+      entry.date.toISOString(),
+      entry.reference,
+      entry.description,
+      entry.category,
+      entry.amount < 0 ? formatAmount(-entry.amount) : null,
+      entry.amount > 0 ? formatAmount(entry.amount) : null,
+      formatAmount(entry.balance)
+    ]));
+  }
+
+  res.end(line([period.end.toISOString(), null, 'Closing balance', null, null, null, formatAmount(balance)]));
+}
+
+// Shorten text until it fits a column, marking the cut with "..."
+function fitText(text, width, size) {
+  let fitted = String(text);
+
+  if (textWidth(fitted, size) <= width) {
+    return fitted;
+  }
+
+  while (fitted.length > 0 && textWidth(`${fitted}...`, size) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+
+  return `${fitted}...`;
+}
+
+/**
+ * Render a statement as a PDF: a header with the period and totals, then every line with its
+ * running balance, paginated
+ * @param {Object} statement - { user, currency, period, openingBalance }
+ * @returns {Promise<Buffer>} PDF file
+ */
+async function renderStatementPdf({ user, currency, period, openingBalance }) {
+  const { width, height } = PAGE_SIZES.A4;
+  const margin = 40;
+  const rowHeight = 13;
+  const size = 8;
+  const columns = {
+    date: margin,
+    reference: margin + 70,
+    description: margin + 170,
+    debit: width - margin - 125,
+    credit: width - margin - 65,
+    balance: width - margin
+  };
+  const descriptionWidth = columns.debit - 60 - columns.description;
+
+  const lines = [];
+  let totalDebits = 0;
+  let totalCredits = 0;
+
+  for await (const entry of readStatementLines(user._id, currency, period, openingBalance)) {
+    lines.push(entry);
+    if (entry.amount < 0) totalDebits -= entry.amount;
+    else totalCredits += entry.amount;
+  }
+
+  const closingBalance = lines.length > 0 ? lines[lines.length - 1].balance : openingBalance;
+  const pages = [];
+  let page;
+  let y;
+
+  const tableHeader = () => {
+    page.push(
+      { x: columns.date, y, text: 'Date', size, font: 'bold' },
+      { x: columns.reference, y, text: 'Reference', size, font: 'bold' },
+      { x: columns.description, y, text: 'Description', size, font: 'bold' },
+      { x: columns.debit, y, text: 'Debit', size, font: 'bold', align: 'right' },
+      { x: columns.credit, y, text: 'Credit', size, font: 'bold', align: 'right' },
+      { x: columns.balance, y, text: 'Balance', size, font: 'bold', align: 'right' }
+    );
+    y -= rowHeight + 4;
+  };
+
+  const newPage = () => {
+    page = [];
+    pages.push(page);
+    y = height - margin;
+  };
+
+  const balanceRow = (label, date, balance) => {
+    page.push(
+      { x: columns.date, y, text: formatDate(date), size },
+      { x: columns.description, y, text: label, size, font: 'bold' },
+      { x: columns.balance, y, text: formatAmount(balance), size, font: 'bold', align: 'right' }
+    );
+    y -= rowHeight;
+  };
+
+  newPage();
+  page.push(
+    { x: margin, y, text: 'Account statement', size: 16, font: 'bold' },
+    { x: width - margin, y, text: currency, size: 16, font: 'bold', align: 'right' }
+  );
+  y -= 22;
+
+  for (const [label, value] of [
+    ['Account holder', `${user.username} <${user.email}>`],
+    ['Period', `${formatDate(period.start)} to ${formatDate(period.end)} (UTC)`],
+    ['Opening balance', formatAmount(openingBalance)],
+    ['Total credits', formatAmount(totalCredits)],
+    ['Total debits', formatAmount(totalDebits)],
+    ['Closing balance', formatAmount(closingBalance)]
+  ]) {
+    page.push(
+      { x: margin, y, text: label, size: 9, font: 'bold' },
+      { x: margin + 100, y, text: value, size: 9 }
+    );
+    y -= 13;
+  }
+
+  y -= 12;
+  tableHeader();
+  balanceRow('Opening balance', period.start, openingBalance);
+
+  for (const entry of lines) {
+    if (y < margin + rowHeight * 2) {
+      newPage();
+      tableHeader();
+    }
+
+    page.push(
+      { x: columns.date, y, text: formatDate(entry.date), size },
+      { x: columns.reference, y, text: fitText(entry.reference || '', 95, size), size },
+      { x: columns.description, y, text: fitText(entry.description, descriptionWidth, size), size },
+      { x: columns.balance, y, text: formatAmount(entry.balance), size, align: 'right' }
+    );
+    page.push(entry.amount < 0
+      ? { x: columns.debit, y, text: formatAmount(-entry.amount), size, align: 'right' }
+      : { x: columns.credit, y, text: formatAmount(entry.amount), size, align: 'right' });
+    y -= rowHeight;
+  }
+
+  if (y < margin + rowHeight) {
+    newPage();
+    tableHeader();
+  }
+  balanceRow('Closing balance', period.end, closingBalance);
+
+  for (const [index, items] of pages.entries()) {
+    items.push({ x: width - margin, y: margin / 2, text: `Page ${index + 1} of ${pages.length}`, size: 7, align: 'right' });
+  }
+
+  return renderPdf(pages, { title: `Account statement ${user.username} ${currency}` });
+}
+
+module.exports = {
+  getStatementPeriod,
+  getLedgerBalance,
+  streamStatementCsv,
+  renderStatementPdf
+};
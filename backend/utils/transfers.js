@@ -0,0 +1,60 @@
+const PAYEE_SCOPES = ['children', 'downline', 'parent'];
+const DEFAULT_PAYEE_SCOPES = ['children', 'parent'];
+
+/**
+ * Get the configured peer-to-peer transfer settings
+ *   TRANSFER_PAYEES  comma-separated scopes of users a sender may pay: children (direct children),
+ *                    downline (anyone below the sender), parent (direct parent). Default "children,parent"
+ * @returns {Object} { payeeScopes }
+ */
+function getTransferSettings() {
+  if (!process.env.TRANSFER_PAYEES) {
+    return { payeeScopes: DEFAULT_PAYEE_SCOPES };
+  }
+
+  const payeeScopes = process.env.TRANSFER_PAYEES
+    .split(',')
+    .map(scope => scope.trim())
+    .filter(Boolean);
+
+  const invalid = payeeScopes.find(scope => !PAYEE_SCOPES.includes(scope));
+  if (invalid || payeeScopes.length === 0) {
+    throw new Error(`Invalid TRANSFER_PAYEES entry "${invalid || ''}". Allowed: ${PAYEE_SCOPES.join(', ')}`);
+  }
+
+  return { payeeScopes };
+}
+
+/**
+ * Build the User query matching everyone the sender may transfer to
+ * @param {Object} sender - User document or lean user with _id and createdBy
+ * @returns {Object} Mongo filter
+ */
+function getPayeeFilter(sender) {
+  const { payeeScopes } = getTransferSettings();
+  const scopes = [];
+
+  if (payeeScopes.includes('downline')) {
+    scopes.push({ ancestors: sender._id });
+  } else if (payeeScopes.includes('children')) {
+    scopes.push({ createdBy: sender._id });
+  }
+
+  if (payeeScopes.includes('parent') && sender.createdBy) {
+    scopes.push({ _id: sender.createdBy });
+  }
+
+  // No scope applies (e.g. only "parent" for a root user): match nobody
+  return {
+    $or: scopes.length > 0 ? scopes : [{ _id: null }],
+    _id: { $ne: sender._id },
+    deletedAt: null,
+    isActive: true
+  };
+}
+
+module.exports = {
+  PAYEE_SCOPES,
+  getTransferSettings,
+  getPayeeFilter
+};
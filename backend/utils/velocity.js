@@ -0,0 +1,257 @@
+const Transaction = require('../models/Transaction');
+const VelocityUsage = require('../models/VelocityUsage');
+const { MINOR_DIGITS, toMinor, fromMinor } = require('./money');
+const { parseRoleSetting } = require('./hierarchyRules');
+
+const LIMIT_KEYS = ['maxPerTransaction', 'maxPerDay', 'maxPerMonth', 'maxOperations'];
+const DEFAULT_WINDOW_MINUTES = 60;
+
+// Operations that move money on someone's behalf; conversions and reversals don't count
+const COUNTED_CATEGORIES = ['adjustment', 'transfer', 'capture'];
+
+const parseAmount = value => {
+  const amount = toMinor(value);
+  return amount === null ? undefined : amount;
+};
+
+const parseCount = value => {
+  const count = Number(value);
+  return Number.isInteger(count) && count >= 0 ? count : undefined;
+};
+
+/**
+ * Get the configured velocity limits per role of the user performing balance operations
+ *   VELOCITY_MAX_PER_TRANSACTION        largest single operation, e.g. "admin:5000,user:500"
+ *   VELOCITY_MAX_PER_DAY                total per UTC day
+ *   VELOCITY_MAX_PER_MONTH              total per UTC calendar month
+ *   VELOCITY_MAX_OPERATIONS             operations per rolling window, e.g. "admin:100"
+ *   VELOCITY_OPERATIONS_WINDOW_MINUTES  length of that window (default 60)
+ * Amounts are in major units of whichever currency is moved, and limits that are not configured
+ * are unlimited.
+ * @returns {Object} { roles: { <limit>: { <role>: value } }, windowMinutes }; amounts in minor units
+ */
+function getVelocitySettings() {
+  const windowMinutes = process.env.VELOCITY_OPERATIONS_WINDOW_MINUTES
+    ? Number(process.env.VELOCITY_OPERATIONS_WINDOW_MINUTES)
+    : DEFAULT_WINDOW_MINUTES;
+
+  if (!Number.isInteger(windowMinutes) || windowMinutes < 1) {
+    throw new Error('VELOCITY_OPERATIONS_WINDOW_MINUTES must be a positive whole number of minutes');
+  }
+
+  return {
+    roles: {
+      maxPerTransaction: parseRoleSetting('VELOCITY_MAX_PER_TRANSACTION', parseAmount),
+      maxPerDay: parseRoleSetting('VELOCITY_MAX_PER_DAY', parseAmount),
+      maxPerMonth: parseRoleSetting('VELOCITY_MAX_PER_MONTH', parseAmount),
+      maxOperations: parseRoleSetting('VELOCITY_MAX_OPERATIONS', parseCount)
+    },
+    windowMinutes
+  };
+}
+
+/**
+ * Get the limits that apply to a user: their own overrides, falling back to their role's
+ * @param {Object} user - User document
+ * @returns {Object} { maxPerTransaction, maxPerDay, maxPerMonth, maxOperations }; amounts in minor
+ *   units, null for unlimited
+ */
+function getVelocityLimits(user) {
+  const { roles } = getVelocitySettings();
+  const overrides = user.velocityLimits || {};
+  const limits = {};
+
+  for (const key of LIMIT_KEYS) {
+    if (typeof overrides[key] === 'number') {
+      limits[key] = overrides[key];
+    } else {
+      limits[key] = roles[key][user.role] !== undefined ? roles[key][user.role] : null;
+    }
+  }
+
+  return limits;
+}
+
+/**
+ * Add up the balance operations a user has performed: operations in the rolling window, and
+ * amounts per currency for the current UTC day and month. Pending operations count; rejected
+ * and expired ones don't
+ * @param {ObjectId} userId - User who performed the operations
+ * @param {Date} now - Reference time (defaults to now)
+ * @param {ClientSession} session - Optional Mongo session to read within
+ * @returns {Promise<Object>} { operations, currencies: Map<currency, { day, month }> }; minor units
+ */
+async function getVelocityUsage(userId, now = new Date(), session = null) {
+  const { windowMinutes } = getVelocitySettings();
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const windowStart = new Date(now.getTime() - windowMinutes * 60 * 1000);
+
+  // One row per operation: /add writes a credit leg and a payer debit leg of the same amount
+  const operations = await Transaction.aggregate([
+    {
+      $match: {
+        performedBy: userId,
+        category: { $in: COUNTED_CATEGORIES },
+        status: { $in: ['pending', 'completed'] },
+        createdAt: { $gte: windowStart < monthStart ? windowStart : monthStart }
+      }
+    },
+    {
+      $group: {
+        _id: { $ifNull: ['$operationId', '$_id'] },
+        currency: { $first: '$currency' },
+        amount: { $max: '$amount' },
+        createdAt: { $min: '$createdAt' }
+      }
+    }
+  ]).session(session);
+
+  const usage = { operations: 0, currencies: new Map() };
+
+  for (const operation of operations) {
+    if (operation.createdAt >= windowStart) {
+      usage.operations += 1;
+    }
+
+    if (operation.createdAt >= monthStart) {
+      if (!usage.currencies.has(operation.currency)) {
+        usage.currencies.set(operation.currency, { day: 0, month: 0 });
+      }
+      const totals = usage.currencies.get(operation.currency);
+      totals.month += operation.amount;
+      if (operation.createdAt >= dayStart) {
+        totals.day += operation.amount;
+      }
+    }
+  }
+
+  return usage;
+}
+
+function violation(limit, message, remaining) {
+  return { limit, status: 429, message, remaining };
+}
+
+// Write the user's usage document in the operation's transaction. Another operation by the same
+// user that is in flight, or committed after this transaction started, fails the write
+async function claimUsage(userId, count, session) {
+  try {
+    await VelocityUsage.updateOne(
+      { userId },
+      { $inc: { operations: count }, $set: { lastOperationAt: new Date() } },
+      { upsert: true, session }
+    );
+    return true;
+  } catch (error) {
+    // Two first operations can race on creating the document too
+    if ((error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) || error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether a user may perform more balance operations. Given the operation's session the
+ * check is atomic: it claims the user's usage document first, so concurrent operations by the
+ * same user can't all pass on the same usage; the caller must abort the transaction on a
+ * violation. Without a session it is only a preview
+ * @param {Object} user - User document performing them
+ * @param {String} currency - Currency moved
+ * @param {Array<Number>} amounts - Amount of each operation in minor units
+ * @param {ClientSession} session - Mongo session the operation runs in
+ * @returns {Promise<Object|null>} The exceeded limit { limit, status, message, remaining } or null;
+ *   remaining is what is left of that limit (major units for amounts, a count for operations)
+ */
+async function checkVelocity(user, currency, amounts, session = null) {
+  const limits = getVelocityLimits(user);
+
+  if (LIMIT_KEYS.every(key => limits[key] === null)) {
+    return null;
+  }
+
+  if (session && !await claimUsage(user._id, amounts.length, session)) {
+    return {
+      limit: 'concurrent_operation',
+      status: 409,
+      message: 'Another balance operation by this user is in progress, please try again',
+      remaining: null
+    };
+  }
+
+  const { windowMinutes } = getVelocitySettings();
+  const usage = await getVelocityUsage(user._id, new Date(), session);
+  const spent = usage.currencies.get(currency) || { day: 0, month: 0 };
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  const format = minor => `${fromMinor(minor).toFixed(MINOR_DIGITS)} ${currency}`;
+
+  if (limits.maxPerTransaction !== null && Math.max(...amounts) > limits.maxPerTransaction) {
+    return violation('max_per_transaction',
+      `A single operation can be at most ${format(limits.maxPerTransaction)}`,
+      fromMinor(limits.maxPerTransaction));
+  }
+
+  if (limits.maxOperations !== null && usage.operations + amounts.length > limits.maxOperations) {
+    const remaining = Math.max(0, limits.maxOperations - usage.operations);
+    return violation('max_operations',
+      `Operation limit reached: ${remaining} of ${limits.maxOperations} operations left in the last ${windowMinutes} minutes`,
+      remaining);
+  }
+
+  if (limits.maxPerDay !== null && spent.day + total > limits.maxPerDay) {
+    const remaining = Math.max(0, limits.maxPerDay - spent.day);
+    return violation('max_per_day',
+      `Daily limit of ${format(limits.maxPerDay)} exceeded: ${format(remaining)} remaining today`,
+      fromMinor(remaining));
+  }
+
+  if (limits.maxPerMonth !== null && spent.month + total > limits.maxPerMonth) {
+    const remaining = Math.max(0, limits.maxPerMonth - spent.month);
+    return violation('max_per_month',
+      `Monthly limit of ${format(limits.maxPerMonth)} exceeded: ${format(remaining)} remaining this month`,
+      fromMinor(remaining));
+  }
+
+  return null;
+}
+
+/**
+ * Describe a user's limits and how much of them is used, in major units
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { limits, overrides, windowMinutes, operations, currencies }
+ */
+async function describeVelocity(user) {
+  const limits = getVelocityLimits(user);
+  const { windowMinutes } = getVelocitySettings();
+  const usage = await getVelocityUsage(user._id);
+  const amountLimit = minor => (minor === null ? null : fromMinor(minor));
+  const remaining = (limit, used) => (limit === null ? null : fromMinor(Math.max(0, limit - used)));
+
+  return {
+    limits: {
+      maxPerTransaction: amountLimit(limits.maxPerTransaction),
+      maxPerDay: amountLimit(limits.maxPerDay),
+      maxPerMonth: amountLimit(limits.maxPerMonth),
+      maxOperations: limits.maxOperations
+    },
+    // Limits set on the user rather than inherited from their role
+    overrides: LIMIT_KEYS.filter(key => user.velocityLimits && typeof user.velocityLimits[key] === 'number'),
+    windowMinutes,
+    operations: {
+      used: usage.operations,
+      remaining: limits.maxOperations === null ? null : Math.max(0, limits.maxOperations - usage.operations)
+    },
+    currencies: [...usage.currencies].map(([currency, spent]) => ({
+      currency,
+      day: { used: fromMinor(spent.day), remaining: remaining(limits.maxPerDay, spent.day) },
+      month: { used: fromMinor(spent.month), remaining: remaining(limits.maxPerMonth, spent.month) }
+    }))
+  };
+}
+
+module.exports = {
+  getVelocitySettings,
+  checkVelocity,
+  describeVelocity
+};
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const VelocityUsage = require('../models/VelocityUsage');
+const { checkVelocity } = require('./velocity');
+
+const SETTINGS = [
+  'VELOCITY_MAX_PER_TRANSACTION',
+  'VELOCITY_MAX_PER_DAY',
+  'VELOCITY_MAX_PER_MONTH',
+  'VELOCITY_MAX_OPERATIONS',
+  'VELOCITY_OPERATIONS_WINDOW_MINUTES'
+];
+
+describe('checkVelocity', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const session = { id: 'session' };
+  let operations;
+
+  // Operations as getVelocityUsage groups them, one per operationId
+  const operation = (amount, createdAt, currency = 'USD') => ({
+    _id: new mongoose.Types.ObjectId(), currency, amount, createdAt: new Date(createdAt)
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now, doNotFake: ['nextTick', 'setImmediate'] });
+    operations = [];
+    jest.spyOn(Transaction, 'aggregate').mockImplementation(() => ({ session: async () => operations }));
+    jest.spyOn(VelocityUsage, 'updateOne').mockResolvedValue({ acknowledged: true });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    SETTINGS.forEach(name => delete process.env[name]);
+  });
+
+  it('lets everything through without limits, and claims nothing', async () => {
+    expect(await checkVelocity(user, 'USD', [100000], session)).toBeNull();
+    expect(VelocityUsage.updateOne).not.toHaveBeenCalled();
+    expect(Transaction.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('claims the user\'s usage document in the operation\'s session before reading usage', async () => {
+    process.env.VELOCITY_MAX_OPERATIONS = 'admin:10';
+
+    expect(await checkVelocity(user, 'USD', [100, 200], session)).toBeNull();
+    expect(VelocityUsage.updateOne).toHaveBeenCalledWith(
+      { userId: user._id },
+      { $inc: { operations: 2 }, $set: { lastOperationAt: now } },
+      { upsert: true, session }
+    );
+    expect(VelocityUsage.updateOne.mock.invocationCallOrder[0])
+      .toBeLessThan(Transaction.aggregate.mock.invocationCallOrder[0]);
+  });
+
+  it('only previews the check without a session', async () => {
+    process.env.VELOCITY_MAX_OPERATIONS = 'admin:10';
+
+    expect(await checkVelocity(user, 'USD', [100])).toBeNull();
+    expect(VelocityUsage.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('reports a concurrent operation when the claim hits a write conflict', async () => {
+    process.env.VELOCITY_MAX_OPERATIONS = 'admin:10';
+    const conflict = Object.assign(new Error('WriteConflict'), {
+      hasErrorLabel: label => label === 'TransientTransactionError'
+    });
+    VelocityUsage.updateOne.mockRejectedValueOnce(conflict);
+
+    expect(await checkVelocity(user, 'USD', [100], session)).toEqual({
+      limit: 'concurrent_operation',
+      status: 409,
+      message: 'Another balance operation by this user is in progress, please try again',
+      remaining: null
+    });
+    expect(Transaction.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('treats two first claims racing on the upsert as a concurrent operation', async () => {
+    process.env.VELOCITY_MAX_OPERATIONS = 'admin:10';
+    VelocityUsage.updateOne.mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    expect((await checkVelocity(user, 'USD', [100], session)).status).toBe(409);
+  });
+
+  it('passes other claim errors on', async () => {
+    process.env.VELOCITY_MAX_OPERATIONS = 'admin:10';
+    VelocityUsage.updateOne.mockRejectedValueOnce(new Error('connection closed'));
+
+    await expect(checkVelocity(user, 'USD', [100], session)).rejects.toThrow('connection closed');
+  });
+
+  it('caps single operations', async () => {
+    process.env.VELOCITY_MAX_PER_TRANSACTION = 'admin:50';
+
+    expect(await checkVelocity(user, 'USD', [1000, 5001], session)).toEqual({
+      limit: 'max_per_transaction',
+      status: 429,
+      message: 'A single operation can be at most 50.00 USD',
+      remaining: 50
+    });
+  });
+
+  it('counts operations in the rolling window only', async () => {
+    process.env.VELOCITY_MAX_OPERATIONS = 'admin:3';
+    process.env.VELOCITY_OPERATIONS_WINDOW_MINUTES = '30';
+    operations = [
+      operation(100, '2026-10-19T11:45:00Z'),
+      operation(100, '2026-10-19T11:50:00Z'),
+      operation(100, '2026-10-19T11:15:00Z')
+    ];
+
+    expect(await checkVelocity(user, 'USD', [100], session)).toBeNull();
+    expect(await checkVelocity(user, 'USD', [100, 100], session)).toEqual({
+      limit: 'max_operations',
+      status: 429,
+      message: 'Operation limit reached: 1 of 3 operations left in the last 30 minutes',
+      remaining: 1
+    });
+  });
+
+  it('adds up the day and month per currency', async () => {
+    process.env.VELOCITY_MAX_PER_DAY = 'admin:100';
+    process.env.VELOCITY_MAX_PER_MONTH = 'admin:300';
+    operations = [
+      operation(6000, '2026-10-19T08:00:00Z'),
+      operation(20000, '2026-10-02T08:00:00Z'),
+      operation(90000, '2026-10-19T09:00:00Z', 'EUR')
+    ];
+
+    expect(await checkVelocity(user, 'USD', [4000], session)).toBeNull();
+    expect(await checkVelocity(user, 'USD', [4001], session)).toMatchObject({
+      limit: 'max_per_day',
+      message: 'Daily limit of 100.00 USD exceeded: 40.00 USD remaining today',
+      remaining: 40
+    });
+
+    process.env.VELOCITY_MAX_PER_DAY = 'admin:1000';
+
+    expect(await checkVelocity(user, 'USD', [5000], session)).toMatchObject({
+      limit: 'max_per_month',
+      message: 'Monthly limit of 300.00 USD exceeded: 40.00 USD remaining this month',
+      remaining: 40
+    });
+  });
+
+  it('prefers the user\'s own limits over their role\'s', async () => {
+    process.env.VELOCITY_MAX_PER_TRANSACTION = 'admin:50';
+    const limited = { ...user, velocityLimits: { maxPerTransaction: 10000 } };
+
+    expect(await checkVelocity(limited, 'USD', [8000], session)).toBeNull();
+  });
+});
@@ -8,6 +8,7 @@ import { UserListComponent } from './components/users/user-list/user-list.compon
 import { ProfileComponent } from './components/profile/profile.component';
 import { TransactionHistoryComponent } from './components/transactions/transaction-history/transaction-history.component';
 import { BalanceManagementComponent } from './components/balance/balance-management/balance-management.component';
+import { ApprovalQueueComponent } from './components/balance/approval-queue/approval-queue.component';
 
 import { AuthGuard } from './guards/auth.guard';
 import { RoleGuard } from './guards/role.guard';
@@ -43,6 +44,12 @@ const routes: Routes = [
     canActivate: [AuthGuard, RoleGuard],
     data: { roles: ['admin', 'super_admin'] }
   },
+  { 
+    path: 'balance/approvals', 
+    component: ApprovalQueueComponent, 
+    canActivate: [AuthGuard, RoleGuard],
+    data: { roles: ['admin', 'super_admin'] }
+  },
   { path: '**', redirectTo: '/dashboard' }
 ];
 
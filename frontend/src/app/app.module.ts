@@ -42,11 +42,13 @@ import { UserFormComponent } from './components/users/user-form/user-form.compon
 import { ProfileComponent } from './components/profile/profile.component';
 import { TransactionHistoryComponent } from './components/transactions/transaction-history/transaction-history.component';
 import { BalanceManagementComponent } from './components/balance/balance-management/balance-management.component';
+import { ApprovalQueueComponent } from './components/balance/approval-queue/approval-queue.component';
 import { NavigationComponent } from './components/navigation/navigation.component';
 
 // Dialogs
 import { UserDialogComponent } from './components/users/user-dialog/user-dialog.component';
 import { BalanceDialogComponent } from './components/balance/balance-dialog/balance-dialog.component';
+import { TransferDialogComponent } from './components/balance/transfer-dialog/transfer-dialog.component';
 import { ConfirmDialogComponent } from './components/shared/confirm-dialog/confirm-dialog.component';
 import { UserHierarchyComponent } from './components/users/user-hierarchy/user-hierarchy.component';
 import { TreeNodeComponent } from './components/users/tree-node/tree-node.component';
@@ -66,9 +68,11 @@ import { ErrorInterceptor } from './interceptors/error.interceptor';
     ProfileComponent,
     TransactionHistoryComponent,
     BalanceManagementComponent,
+    ApprovalQueueComponent,
     NavigationComponent,
     UserDialogComponent,
     BalanceDialogComponent,
+    TransferDialogComponent,
     ConfirmDialogComponent,
     UserHierarchyComponent,
     TreeNodeComponent
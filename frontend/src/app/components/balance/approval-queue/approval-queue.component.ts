@@ -0,0 +1,144 @@
+import { Component, OnInit } from '@angular/core';
+import { MatDialog } from '@angular/material/dialog';
+import { MatSnackBar } from '@angular/material/snack-bar';
+import { PageEvent } from '@angular/material/paginator';
+
+import { ApprovalQueueItem, ApprovalStatus } from '../../../models/transaction.model';
+import { User } from '../../../models/user.model';
+import { BalanceService } from '../../../services/balance.service';
+import { AuthService } from '../../../services/auth.service';
+import { ConfirmDialogComponent } from '../../shared/confirm-dialog/confirm-dialog.component';
+
+@Component({
+  selector: 'app-approval-queue',
+  templateUrl: './approval-queue.component.html',
+  styleUrls: ['./approval-queue.component.scss']
+})
+export class ApprovalQueueComponent implements OnInit {
+  approvals: ApprovalQueueItem[] = [];
+  statusFilter: ApprovalStatus = 'pending';
+  isLoading = false;
+  processingReference: string | null = null;
+  totalOperations = 0;
+  pageSize = 20;
+  currentPage = 0;
+
+  constructor(
+    private balanceService: BalanceService,
+    public authService: AuthService,
+    private dialog: MatDialog,
+    private snackBar: MatSnackBar
+  ) {}
+
+  ngOnInit() {
+    this.loadApprovals();
+  }
+
+  loadApprovals() {
+    this.isLoading = true;
+
+    this.balanceService.getApprovals({
+      status: this.statusFilter,
+      page: this.currentPage + 1,
+      limit: this.pageSize
+    }).subscribe({
+      next: (response) => {
+        this.isLoading = false;
+        if (response.success && response.data) {
+          this.approvals = response.data.approvals;
+          this.totalOperations = response.data.pagination.totalOperations;
+        }
+      },
+      error: (error) => {
+        this.isLoading = false;
+        console.error('Error loading approvals:', error);
+        this.snackBar.open('Failed to load approval queue', 'Close', { duration: 3000 });
+      }
+    });
+  }
+
+  applyFilter() {
+    this.currentPage = 0;
+    this.loadApprovals();
+  }
+
+  onPageChange(event: PageEvent) {
+    this.currentPage = event.pageIndex;
+    this.pageSize = event.pageSize;
+    this.loadApprovals();
+  }
+
+  approve(item: ApprovalQueueItem) {
+    this.decide(item, 'approve');
+  }
+
+  reject(item: ApprovalQueueItem) {
+    this.decide(item, 'reject');
+  }
+
+  // The maker of a request cannot be its checker
+  canDecide(item: ApprovalQueueItem): boolean {
+    return item.transaction.approval?.status === 'pending' &&
+      this.getUserId(item.transaction.approval.requestedBy) !== this.authService.currentUser?.id;
+  }
+
+  getUsername(user: User | string | null | undefined): string {
+    if (!user) return 'Deleted user';
+    return typeof user === 'string' ? user : user.username;
+  }
+
+  getOperationLabel(item: ApprovalQueueItem): string {
+    return item.transaction.approval?.operation === 'deduct' ? 'Deduct' : 'Add';
+  }
+
+  private getUserId(user: User | string | null | undefined): string | null {
+    if (!user) return null;
+    return typeof user === 'string' ? user : (user.id || (user as any)._id);
+  }
+
+  private decide(item: ApprovalQueueItem, decision: 'approve' | 'reject') {
+    const { reference, amount, currency } = item.transaction;
+    const target = this.getUsername(item.transaction.userId);
+    const dialogRef = this.dialog.open(ConfirmDialogComponent, {
+      width: '400px',
+      data: {
+        title: decision === 'approve' ? 'Approve Operation' : 'Reject Operation',
+        message: decision === 'approve'
+          ? `${this.getOperationLabel(item)} ${amount.toFixed(2)} ${currency} for ${target}? The balance changes immediately.`
+          : `Reject ${reference}? Reserved funds will be released and no balance changes.`,
+        confirmText: decision === 'approve' ? 'Approve' : 'Reject',
+        cancelText: 'Cancel',
+        isDestructive: decision === 'reject'
+      }
+    });
+
+    dialogRef.afterClosed().subscribe(result => {
+      if (!result) return;
+
+      this.processingReference = reference;
+      const request = decision === 'approve'
+        ? this.balanceService.approveOperation(reference)
+        : this.balanceService.rejectOperation(reference);
+
+      request.subscribe({
+        next: (response) => {
+          this.processingReference = null;
+          if (response.success) {
+            this.snackBar.open(response.message, 'Close', { duration: 3000 });
+            this.loadApprovals();
+          }
+        },
+        error: (error) => {
+          this.processingReference = null;
+          console.error(`Error trying to ${decision} operation:`, error);
+          this.snackBar.open(
+            error.error?.message || `Failed to ${decision} operation`,
+            'Close',
+            { duration: 3000 }
+          );
+          this.loadApprovals();
+        }
+      });
+    });
+  }
+}
@@ -2,10 +2,15 @@ import { Component, Inject, OnInit } from '@angular/core';
 import { FormBuilder, FormGroup, Validators } from '@angular/forms';
 import { MatDialogRef, MAT_DIALOG_DATA } from '@angular/material/dialog';
 import { MatSnackBar } from '@angular/material/snack-bar';
+import { HttpErrorResponse } from '@angular/common/http';
+import { retry, timer, throwError } from 'rxjs';
 
 import { User } from '../../../models/user.model';
 import { BalanceService } from '../../../services/balance.service';
 
+// The API stores cents and rejects amounts with more than two decimals
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+
 export interface BalanceDialogData {
   user: User;
   operation: 'add' | 'deduct';
@@ -19,6 +24,10 @@ export interface BalanceDialogData {
 export class BalanceDialogComponent implements OnInit {
   balanceForm: FormGroup;
   isLoading = false;
+  currencies: string[] = [];
+  // Sent with every attempt of the same submission so a retry can't apply the operation twice;
+  // editing the form starts a new submission with a new key
+  private idempotencyKey = this.newIdempotencyKey();
 
   constructor(
     private fb: FormBuilder,
@@ -28,10 +37,12 @@ export class BalanceDialogComponent implements OnInit {
     @Inject(MAT_DIALOG_DATA) public data: BalanceDialogData
   ) {
     this.balanceForm = this.fb.group({
+      currency: [''],
       amount: ['', [
         Validators.required,
         Validators.min(0.01),
-        Validators.max(10000)
+        Validators.max(10000),
+        Validators.pattern(AMOUNT_PATTERN)
       ]],
       description: ['', [
         Validators.required,
@@ -51,16 +62,15 @@ export class BalanceDialogComponent implements OnInit {
       description: defaultDescription
     });
 
-    // Add additional validation for deduct operation
-    if (this.data.operation === 'deduct') {
-      const amountControl = this.balanceForm.get('amount');
-      amountControl?.setValidators([
-        Validators.required,
-        Validators.min(0.01),
-        Validators.max(this.data.user.balance)
-      ]);
-      amountControl?.updateValueAndValidity();
-    }
+    this.loadCurrencies();
+
+    // A deduction is limited by the balance of the selected wallet
+    this.updateAmountValidators();
+    this.balanceForm.get('currency')?.valueChanges.subscribe(() => this.updateAmountValidators());
+
+    this.balanceForm.valueChanges.subscribe(() => {
+      this.idempotencyKey = this.newIdempotencyKey();
+    });
   }
 
   onSubmit() {
@@ -97,6 +107,7 @@ export class BalanceDialogComponent implements OnInit {
     const formData = {
       userId: String(userId), // Ensure it's a string
       amount: Number(amount), // Ensure it's a number, not string
+      currency: this.balanceForm.value.currency || undefined,
       description: String(description).trim() // Ensure it's a string and trimmed
     };
     
@@ -104,16 +115,31 @@ export class BalanceDialogComponent implements OnInit {
     console.log('User object:', this.data.user);
 
     const operation = this.data.operation === 'add' 
-      ? this.balanceService.addBalance(formData)
-      : this.balanceService.deductBalance(formData);
+      ? this.balanceService.addBalance(formData, this.idempotencyKey)
+      : this.balanceService.deductBalance(formData, this.idempotencyKey);
 
-    operation.subscribe({
+    // Retry network failures (the request may have reached the server); the idempotency key
+    // makes the server replay the first result instead of applying it again
+    operation.pipe(
+      retry({
+        count: 2,
+        delay: (error: HttpErrorResponse, attempt: number) =>
+          error.status === 0 ? timer(attempt * 1000) : throwError(() => error)
+      })
+    ).subscribe({
       next: (response) => {
         this.isLoading = false;
-        if (response.success) {
+        if (response.success && response.data?.pending) {
+          this.snackBar.open(
+            `${this.formatAmount(formData.amount)} for ${this.data.user.username} needs approval by another admin`, 
+            'Close', 
+            { duration: 5000 }
+          );
+          this.dialogRef.close(true);
+        } else if (response.success) {
           const action = this.data.operation === 'add' ? 'added to' : 'deducted from';
           this.snackBar.open(
-            `$${formData.amount.toFixed(2)} ${action} ${this.data.user.username}'s account`, 
+            `${this.formatAmount(formData.amount)} ${action} ${this.data.user.username}'s account`, 
             'Close', 
             { duration: 3000 }
           );
@@ -148,15 +174,37 @@ export class BalanceDialogComponent implements OnInit {
     return this.data.operation === 'add' ? 'primary' : 'accent';
   }
 
+  get selectedCurrency(): string {
+    return this.balanceForm.get('currency')?.value || 'USD';
+  }
+
+  // Balance of the selected wallet; users created before wallets existed only expose `balance`
+  getCurrentBalance(): number {
+    if (!this.data.user.wallets) {
+      return this.data.user.balance;
+    }
+    const wallet = this.data.user.wallets.find(w => w.currency === this.selectedCurrency);
+    return wallet ? wallet.balance : 0;
+  }
+
+  // Spendable funds as computed by the API: held and reserved amounts excluded, any credit limit included
+  getAvailableBalance(): number {
+    if (!this.data.user.wallets) {
+      return this.data.user.balance;
+    }
+    const wallet = this.data.user.wallets.find(w => w.currency === this.selectedCurrency);
+    return wallet ? wallet.availableBalance : 0;
+  }
+
   getMaxAmount(): number {
-    return this.data.operation === 'add' ? 10000 : this.data.user.balance;
+    return this.data.operation === 'add' ? 10000 : this.getAvailableBalance();
   }
 
   getNewBalance(): number {
     const amount = parseFloat(this.balanceForm.get('amount')?.value || '0');
     return this.data.operation === 'add' 
-      ? this.data.user.balance + amount
-      : this.data.user.balance - amount;
+      ? this.getCurrentBalance() + amount
+      : this.getCurrentBalance() - amount;
   }
 
   getErrorMessage(fieldName: string): string {
@@ -170,7 +218,10 @@ export class BalanceDialogComponent implements OnInit {
     }
     if (field?.hasError('max')) {
       const maxAmount = this.getMaxAmount();
-      return `Amount cannot exceed $${maxAmount.toFixed(2)}`;
+      return `Amount cannot exceed ${this.formatAmount(maxAmount)}`;
+    }
+    if (field?.hasError('pattern')) {
+      return 'Amount can have at most 2 decimal places';
     }
     if (field?.hasError('minlength')) {
       return `Description must be at least ${field.errors?.['minlength'].requiredLength} characters`;
@@ -182,6 +233,42 @@ export class BalanceDialogComponent implements OnInit {
     return '';
   }
 
+  private loadCurrencies() {
+    this.balanceService.getExchangeRates().subscribe({
+      next: (response) => {
+        if (response.success && response.data) {
+          this.currencies = response.data.currencies;
+          this.balanceForm.patchValue({ currency: response.data.baseCurrency });
+        }
+      },
+      error: (error) => {
+        // Without the list the operation still goes to the base currency
+        console.error('Error loading currencies:', error);
+      }
+    });
+  }
+
+  private updateAmountValidators() {
+    if (this.data.operation !== 'deduct') return;
+
+    const amountControl = this.balanceForm.get('amount');
+    amountControl?.setValidators([
+      Validators.required,
+      Validators.min(0.01),
+      Validators.max(this.getAvailableBalance()),
+      Validators.pattern(AMOUNT_PATTERN)
+    ]);
+    amountControl?.updateValueAndValidity();
+  }
+
+  private formatAmount(amount: number): string {
+    return `${amount.toFixed(2)} ${this.selectedCurrency}`;
+  }
+
+  private newIdempotencyKey(): string {
+    return crypto.randomUUID();
+  }
+
   private markFormGroupTouched() {
     Object.keys(this.balanceForm.controls).forEach(key => {
       const control = this.balanceForm.get(key);
@@ -0,0 +1,212 @@
+import { Component, Inject, OnInit } from '@angular/core';
+import { FormBuilder, FormGroup, Validators } from '@angular/forms';
+import { MatDialogRef, MAT_DIALOG_DATA } from '@angular/material/dialog';
+import { MatSnackBar } from '@angular/material/snack-bar';
+import { HttpErrorResponse } from '@angular/common/http';
+import { retry, timer, throwError } from 'rxjs';
+
+import { User } from '../../../models/user.model';
+import { Payee } from '../../../models/transaction.model';
+import { BalanceService } from '../../../services/balance.service';
+import { AuthService } from '../../../services/auth.service';
+
+// The API stores cents and rejects amounts with more than two decimals
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+export interface TransferDialogData {
+  sender: User;
+}
+
+@Component({
+  selector: 'app-transfer-dialog',
+  templateUrl: './transfer-dialog.component.html',
+  styleUrls: ['./transfer-dialog.component.scss']
+})
+export class TransferDialogComponent implements OnInit {
+  transferForm: FormGroup;
+  payees: Payee[] = [];
+  currencies: string[] = [];
+  isLoading = false;
+  isLoadingPayees = false;
+  // Sent with every attempt of the same submission so a retry can't send the money twice;
+  // editing the form starts a new submission with a new key
+  private idempotencyKey = this.newIdempotencyKey();
+
+  constructor(
+    private fb: FormBuilder,
+    private balanceService: BalanceService,
+    private authService: AuthService,
+    private snackBar: MatSnackBar,
+    public dialogRef: MatDialogRef<TransferDialogComponent>,
+    @Inject(MAT_DIALOG_DATA) public data: TransferDialogData
+  ) {
+    this.transferForm = this.fb.group({
+      recipientId: ['', Validators.required],
+      currency: [''],
+      amount: ['', [
+        Validators.required,
+        Validators.min(0.01),
+        Validators.pattern(AMOUNT_PATTERN)
+      ]],
+      description: ['', Validators.maxLength(500)]
+    });
+  }
+
+  ngOnInit() {
+    this.loadPayees();
+    this.loadCurrencies();
+
+    // The amount is limited by the balance of the selected wallet
+    this.updateAmountValidators();
+    this.transferForm.get('currency')?.valueChanges.subscribe(() => this.updateAmountValidators());
+
+    this.transferForm.valueChanges.subscribe(() => {
+      this.idempotencyKey = this.newIdempotencyKey();
+    });
+  }
+
+  get selectedCurrency(): string {
+    return this.transferForm.get('currency')?.value || 'USD';
+  }
+
+  get selectedPayee(): Payee | undefined {
+    return this.payees.find(payee => payee.id === this.transferForm.get('recipientId')?.value);
+  }
+
+  getAvailableBalance(): number {
+    if (!this.data.sender.wallets) {
+      return this.data.sender.balance;
+    }
+    const wallet = this.data.sender.wallets.find(w => w.currency === this.selectedCurrency);
+    return wallet ? wallet.availableBalance : 0;
+  }
+
+  getRelationLabel(payee: Payee): string {
+    const labels: Record<Payee['relation'], string> = {
+      parent: 'Your parent',
+      child: 'Direct downline',
+      downline: 'Downline'
+    };
+    return labels[payee.relation];
+  }
+
+  onSubmit() {
+    if (!this.transferForm.valid) {
+      this.transferForm.markAllAsTouched();
+      return;
+    }
+
+    const { recipientId, currency, amount, description } = this.transferForm.value;
+    const recipient = this.selectedPayee;
+
+    this.isLoading = true;
+
+    // Retry network failures (the request may have reached the server); the idempotency key
+    // makes the server replay the first result instead of sending the money again
+    this.balanceService.transfer({
+      recipientId,
+      amount: Number(amount),
+      currency: currency || undefined,
+      description: description?.trim() || undefined
+    }, this.idempotencyKey).pipe(
+      retry({
+        count: 2,
+        delay: (error: HttpErrorResponse, attempt: number) =>
+          error.status === 0 ? timer(attempt * 1000) : throwError(() => error)
+      })
+    ).subscribe({
+      next: (response) => {
+        this.isLoading = false;
+        if (response.success) {
+          this.snackBar.open(
+            `Sent ${Number(amount).toFixed(2)} ${this.selectedCurrency} to ${recipient?.username}`,
+            'Close',
+            { duration: 3000 }
+          );
+          // Pick up the new balance for the header and dashboard
+          this.authService.verifyToken().subscribe();
+          this.dialogRef.close(true);
+        }
+      },
+      error: (error) => {
+        this.isLoading = false;
+        console.error('Transfer error:', error);
+        this.snackBar.open(error.error?.message || 'Transfer failed', 'Close', { duration: 3000 });
+      }
+    });
+  }
+
+  onCancel() {
+    this.dialogRef.close(false);
+  }
+
+  getErrorMessage(fieldName: string): string {
+    const field = this.transferForm.get(fieldName);
+
+    if (field?.hasError('required')) {
+      return fieldName === 'recipientId' ? 'Choose who to send money to' : 'Amount is required';
+    }
+    if (field?.hasError('min')) {
+      return 'Amount must be greater than 0.00';
+    }
+    if (field?.hasError('max')) {
+      return `Amount cannot exceed your available ${this.getAvailableBalance().toFixed(2)} ${this.selectedCurrency}`;
+    }
+    if (field?.hasError('pattern')) {
+      return 'Amount can have at most 2 decimal places';
+    }
+    if (field?.hasError('maxlength')) {
+      return 'Description cannot exceed 500 characters';
+    }
+
+    return '';
+  }
+
+  private loadPayees() {
+    this.isLoadingPayees = true;
+
+    this.balanceService.getPayees().subscribe({
+      next: (response) => {
+        this.isLoadingPayees = false;
+        if (response.success && response.data) {
+          this.payees = response.data.payees;
+        }
+      },
+      error: (error) => {
+        this.isLoadingPayees = false;
+        console.error('Error loading payees:', error);
+        this.snackBar.open('Failed to load recipients', 'Close', { duration: 3000 });
+      }
+    });
+  }
+
+  private loadCurrencies() {
+    this.balanceService.getExchangeRates().subscribe({
+      next: (response) => {
+        if (response.success && response.data) {
+          this.currencies = response.data.currencies;
+          this.transferForm.patchValue({ currency: response.data.baseCurrency });
+        }
+      },
+      error: (error) => {
+        // Without the list the transfer still goes to the base currency
+        console.error('Error loading currencies:', error);
+      }
+    });
+  }
+
+  private updateAmountValidators() {
+    const amountControl = this.transferForm.get('amount');
+    amountControl?.setValidators([
+      Validators.required,
+      Validators.min(0.01),
+      Validators.max(this.getAvailableBalance()),
+      Validators.pattern(AMOUNT_PATTERN)
+    ]);
+    amountControl?.updateValueAndValidity({ emitEvent: false });
+  }
+
+  private newIdempotencyKey(): string {
+    return crypto.randomUUID();
+  }
+}
@@ -1,9 +1,11 @@
 import { Component, OnInit } from '@angular/core';
+import { MatDialog } from '@angular/material/dialog';
 import { AuthService } from '../../services/auth.service';
 import { UserService } from '../../services/user.service';
 import { BalanceService } from '../../services/balance.service';
 import { User, UserStats } from '../../models/user.model';
 import { TransactionStats } from '../../models/transaction.model';
+import { TransferDialogComponent, TransferDialogData } from '../balance/transfer-dialog/transfer-dialog.component';
 
 @Component({
   selector: 'app-dashboard',
@@ -19,7 +21,8 @@ export class DashboardComponent implements OnInit {
   constructor(
     public authService: AuthService,
     private userService: UserService,
-    private balanceService: BalanceService
+    private balanceService: BalanceService,
+    private dialog: MatDialog
   ) {}
 
   ngOnInit() {
@@ -31,6 +34,13 @@ export class DashboardComponent implements OnInit {
     });
   }
 
+  openTransferDialog() {
+    if (!this.currentUser) return;
+
+    const data: TransferDialogData = { sender: this.currentUser };
+    this.dialog.open(TransferDialogComponent, { width: '480px', data });
+  }
+
   loadStats() {
     if (!this.canViewStats()) return;
     
@@ -5,7 +5,7 @@ import { MatSort } from '@angular/material/sort';
 import { MatSnackBar } from '@angular/material/snack-bar';
 import { FormControl } from '@angular/forms';
 
-import { Transaction } from '../../../models/transaction.model';
+import { Transaction, StatementFormat, StatementPeriod } from '../../../models/transaction.model';
 import { BalanceService } from '../../../services/balance.service';
 import { AuthService } from '../../../services/auth.service';
 
@@ -18,12 +18,14 @@ export class TransactionHistoryComponent implements OnInit {
   displayedColumns: string[] = ['reference', 'type', 'amount', 'description', 'performedBy', 'createdAt'];
   dataSource = new MatTableDataSource<Transaction>();
   isLoading = false;
+  isDownloading = false;
   totalTransactions = 0;
   pageSize = 10;
   currentPage = 0;
   
   // Filters
   typeFilter = '';
+  categoryFilter = '';
   startDateControl = new FormControl();
   endDateControl = new FormControl();
 
@@ -59,6 +61,10 @@ export class TransactionHistoryComponent implements OnInit {
       params.type = this.typeFilter;
     }
     
+    if (this.categoryFilter) {
+      params.category = this.categoryFilter;
+    }
+    
     if (this.startDateControl.value) {
       params.startDate = this.startDateControl.value.toISOString();
     }
@@ -96,15 +102,54 @@ export class TransactionHistoryComponent implements OnInit {
 
   clearFilters() {
     this.typeFilter = '';
+    this.categoryFilter = '';
     this.startDateControl.setValue(null);
     this.endDateControl.setValue(null);
     this.currentPage = 0;
     this.loadTransactions();
   }
 
-  exportTransactions() {
-    // This would typically generate a CSV or PDF export
-    this.snackBar.open('Export functionality coming soon', 'Close', { duration: 3000 });
+  // One statement per wallet; a single entry without a currency means the base-currency wallet
+  get statementCurrencies(): (string | undefined)[] {
+    const wallets = this.authService.currentUser?.wallets || [];
+    return wallets.length > 1 ? wallets.map(wallet => wallet.currency) : [undefined];
+  }
+
+  // Download a statement for the date filters, or for the current month when they aren't both set
+  downloadStatement(format: StatementFormat, currency?: string) {
+    const start: Date | null = this.startDateControl.value;
+    const end: Date | null = this.endDateControl.value;
+    // The datepicker gives local midnight; the statement runs to the end of the chosen day
+    const period: StatementPeriod = start && end
+      ? {
+          startDate: start.toISOString(),
+          endDate: new Date(end.getFullYear(), end.getMonth(), end.getDate(), 23, 59, 59, 999).toISOString()
+        }
+      : { month: new Date().toISOString().slice(0, 7) };
+    const label = (period.month || `${this.formatDay(start!)}-to-${this.formatDay(end!)}`) +
+      (currency ? `-${currency}` : '');
+
+    this.isDownloading = true;
+    this.balanceService.downloadStatement(format, period, currency).subscribe({
+      next: (blob) => {
+        this.isDownloading = false;
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `statement-${this.authService.currentUser?.username || 'me'}-${label}.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+      },
+      error: (error) => {
+        this.isDownloading = false;
+        console.error('Error downloading statement:', error);
+        this.snackBar.open('Failed to download statement', 'Close', { duration: 3000 });
+      }
+    });
+  }
+
+  private formatDay(date: Date): string {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
   }
 
   getTransactionTypeIcon(type: string): string {
@@ -1,34 +1,51 @@
-import { Component, Input, Output, EventEmitter } from '@angular/core';
-
-interface TreeNode {
-  user: {
-    id: string;
-    username: string;
-    email: string;
-    role: string;
-    balance: number;
-    isActive: boolean;
-    createdAt: Date;
-  };
-  children: TreeNode[];
-}
+import { Component, Input, Output, EventEmitter, ViewChild, ElementRef, OnDestroy } from '@angular/core';
+import { HierarchyTreeNode } from '../../../models/user.model';
 
 @Component({
   selector: 'app-tree-node',
   templateUrl: './tree-node.component.html',
   styleUrls: ['./tree-node.component.scss']
 })
-export class TreeNodeComponent {
-  @Input() node!: TreeNode;
+export class TreeNodeComponent implements OnDestroy {
+  @Input() node!: HierarchyTreeNode;
   @Input() level: number = 0;
   @Input() expandedNodes: Set<string> = new Set();
-  @Output() toggleNode = new EventEmitter<string>();
+  @Input() loadingNodes: Set<string> = new Set();
+  @Output() toggleNode = new EventEmitter<HierarchyTreeNode>();
+  @Output() loadMore = new EventEmitter<HierarchyTreeNode>();
   @Output() viewUser = new EventEmitter<string>();
 
+  readonly summaryRoles = ['super_admin', 'admin', 'moderator', 'user'];
+
+  private loadMoreObserver?: IntersectionObserver;
+
+  // Fetch the next page of children when the sentinel below the last child scrolls into view
+  @ViewChild('loadMoreSentinel') set loadMoreSentinel(sentinel: ElementRef<HTMLElement> | undefined) {
+    this.loadMoreObserver?.disconnect();
+    this.loadMoreObserver = undefined;
+
+    if (sentinel) {
+      this.loadMoreObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting) && !this.isLoading(this.node.user.id)) {
+          this.onLoadMore(this.node);
+        }
+      });
+      this.loadMoreObserver.observe(sentinel.nativeElement);
+    }
+  }
+
+  ngOnDestroy() {
+    this.loadMoreObserver?.disconnect();
+  }
+
   isExpanded(nodeId: string): boolean {
     return this.expandedNodes.has(nodeId);
   }
 
+  isLoading(nodeId: string): boolean {
+    return this.loadingNodes.has(nodeId);
+  }
+
   getRoleDisplayName(role: string): string {
     const roleNames: { [key: string]: string } = {
       'super_admin': 'Super Admin',
@@ -49,8 +66,12 @@ export class TreeNodeComponent {
     return roleColors[role] || 'role-user';
   }
 
-  onToggleNode(nodeId: string) {
-    this.toggleNode.emit(nodeId);
+  onToggleNode(node: HierarchyTreeNode) {
+    this.toggleNode.emit(node);
+  }
+
+  onLoadMore(node: HierarchyTreeNode) {
+    this.loadMore.emit(node);
   }
 
   onViewUser(userId: string) {
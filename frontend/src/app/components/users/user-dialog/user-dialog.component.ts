@@ -3,7 +3,7 @@ import { FormBuilder, FormGroup, Validators } from '@angular/forms';
 import { MatDialogRef, MAT_DIALOG_DATA } from '@angular/material/dialog';
 import { MatSnackBar } from '@angular/material/snack-bar';
 
-import { User } from '../../../models/user.model';
+import { DownlineSummary, User } from '../../../models/user.model';
 import { UserService } from '../../../services/user.service';
 import { AuthService } from '../../../services/auth.service';
 
@@ -17,6 +17,7 @@ export class UserDialogComponent implements OnInit {
   isLoading = false;
   isEditMode = false;
   hidePassword = true;
+  downlineSummary: DownlineSummary | null = null;
 
   roles = [
     { value: 'user', label: 'User' },
@@ -68,9 +69,29 @@ export class UserDialogComponent implements OnInit {
       // Remove password requirement for edit mode
       this.userForm.get('password')?.clearValidators();
       this.userForm.get('password')?.updateValueAndValidity();
+      
+      this.loadDownlineSummary(this.data.id);
     }
   }
 
+  loadDownlineSummary(userId: string) {
+    this.userService.getDownlineSummary(userId).subscribe({
+      next: (response) => {
+        if (response.success && response.data) {
+          this.downlineSummary = response.data.summary;
+        }
+      },
+      error: (error) => {
+        // Summary is informational only; the form stays usable without it
+        console.error('Error loading downline summary:', error);
+      }
+    });
+  }
+
+  getRoleCount(role: string): number {
+    return this.downlineSummary?.roleCounts[role] || 0;
+  }
+
   filterAvailableRoles() {
     const currentUser = this.authService.currentUser;
     if (!currentUser) return;
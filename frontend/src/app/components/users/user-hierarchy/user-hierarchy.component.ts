@@ -2,20 +2,9 @@ import { Component, OnInit, Inject } from '@angular/core';
 import { MAT_DIALOG_DATA, MatDialogRef } from '@angular/material/dialog';
 import { UserService } from '../../../services/user.service';
 import { AuthService } from '../../../services/auth.service';
+import { HierarchyStateService } from '../../../services/hierarchy-state.service';
 import { MatSnackBar } from '@angular/material/snack-bar';
-
-interface TreeNode {
-  user: {
-    id: string;
-    username: string;
-    email: string;
-    role: string;
-    balance: number;
-    isActive: boolean;
-    createdAt: Date;
-  };
-  children: TreeNode[];
-}
+import { HierarchyExportFormat, HierarchyTreeNode, UplineUser } from '../../../models/user.model';
 
 @Component({
   selector: 'app-user-hierarchy',
@@ -24,13 +13,25 @@ interface TreeNode {
 })
 export class UserHierarchyComponent implements OnInit {
   userId?: string;
-  tree: TreeNode | null = null;
+  currentRootId = '';
+  tree: HierarchyTreeNode | null = null;
+  upline: UplineUser[] = [];
+  uplineClipped = false;
   isLoading = false;
-  expandedNodes: Set<string> = new Set();
+  loadingNodes: Set<string> = new Set();
+  readonly childPageSize = 20;
+  isExporting = false;
+  readonly exportFormats: Array<{ format: HierarchyExportFormat; label: string; icon: string }> = [
+    { format: 'csv', label: 'CSV (flat list)', icon: 'table_view' },
+    { format: 'json', label: 'JSON (nested)', icon: 'data_object' },
+    { format: 'dot', label: 'Graphviz DOT', icon: 'account_tree' },
+    { format: 'mermaid', label: 'Mermaid flowchart', icon: 'schema' }
+  ];
 
   constructor(
     private userService: UserService,
     public authService: AuthService,
+    private hierarchyState: HierarchyStateService,
     private snackBar: MatSnackBar,
     @Inject(MAT_DIALOG_DATA) public data: { userId?: string },
     private dialogRef: MatDialogRef<UserHierarchyComponent>
@@ -38,6 +39,10 @@ export class UserHierarchyComponent implements OnInit {
     this.userId = data?.userId;
   }
 
+  get expandedNodes(): Set<string> {
+    return this.hierarchyState.expandedNodes;
+  }
+
   ngOnInit() {
     const targetUserId = this.userId || this.authService.currentUser?.id;
     if (targetUserId) {
@@ -46,16 +51,20 @@ export class UserHierarchyComponent implements OnInit {
   }
 
   loadHierarchy(userId: string) {
+    this.currentRootId = userId;
     this.isLoading = true;
-    this.userService.getDownlineTree(userId).subscribe({
+    this.loadUpline(userId);
+    this.loadingNodes.clear();
+    // Only the root and its first page of children; deeper levels load on expand
+    this.userService.getDownlineTree(userId, { depth: 1, limit: this.childPageSize, summary: true }).subscribe({
       next: (response) => {
         this.isLoading = false;
         if (response.success && response.data) {
           this.tree = response.data.tree;
+          this.tree.childrenPage = 1;
           // Expand root node by default
-          if (this.tree) {
-            this.expandedNodes.add(this.tree.user.id);
-          }
+          this.hierarchyState.setExpanded(this.tree.user.id, true);
+          this.restoreExpandedChildren(this.tree.children);
         }
       },
       error: (error) => {
@@ -70,16 +79,113 @@ export class UserHierarchyComponent implements OnInit {
     });
   }
 
-  toggleNode(nodeId: string) {
-    if (this.expandedNodes.has(nodeId)) {
-      this.expandedNodes.delete(nodeId);
-    } else {
-      this.expandedNodes.add(nodeId);
+  loadUpline(userId: string) {
+    this.userService.getUpline(userId).subscribe({
+      next: (response) => {
+        if (response.success && response.data) {
+          this.upline = response.data.upline;
+          this.uplineClipped = response.data.clipped;
+        }
+      },
+      error: (error) => {
+        // The breadcrumb is optional, the tree is still usable without it
+        console.error('Error loading upline:', error);
+        this.upline = [];
+        this.uplineClipped = false;
+      }
+    });
+  }
+
+  // Re-root the tree on an ancestor picked from the breadcrumb
+  reRoot(userId: string) {
+    if (userId !== this.currentRootId) {
+      this.loadHierarchy(userId);
+    }
+  }
+
+  toggleNode(node: HierarchyTreeNode) {
+    const expand = !this.hierarchyState.isExpanded(node.user.id);
+    this.hierarchyState.setExpanded(node.user.id, expand);
+    
+    if (expand && !this.hasLoadedChildren(node)) {
+      this.loadChildren(node, 1);
     }
   }
 
+  loadMoreChildren(node: HierarchyTreeNode) {
+    if (node.hasMoreChildren) {
+      this.loadChildren(node, (node.childrenPage || 0) + 1);
+    }
+  }
+
+  loadChildren(node: HierarchyTreeNode, page: number) {
+    const nodeId = node.user.id;
+    if (this.loadingNodes.has(nodeId)) return;
+    
+    this.loadingNodes.add(nodeId);
+    this.userService.getDownlineTree(nodeId, { depth: 1, page, limit: this.childPageSize, summary: true }).subscribe({
+      next: (response) => {
+        this.loadingNodes.delete(nodeId);
+        if (response.success && response.data) {
+          const fetched = response.data.tree;
+          node.children = page === 1 ? fetched.children : [...node.children, ...fetched.children];
+          node.childCount = fetched.childCount;
+          node.hasMoreChildren = fetched.hasMoreChildren;
+          node.childrenPage = page;
+          this.restoreExpandedChildren(fetched.children);
+        }
+      },
+      error: (error) => {
+        this.loadingNodes.delete(nodeId);
+        console.error('Error loading child users:', error);
+        this.snackBar.open(
+          error.error?.message || 'Failed to load child users',
+          'Close',
+          { duration: 3000 }
+        );
+      }
+    });
+  }
+
+  // Reload children of nodes that were expanded before the user navigated away
+  private restoreExpandedChildren(nodes: HierarchyTreeNode[]) {
+    nodes
+      .filter(child => this.hierarchyState.isExpanded(child.user.id) && child.childCount > 0)
+      .forEach(child => this.loadChildren(child, 1));
+  }
+
+  private hasLoadedChildren(node: HierarchyTreeNode): boolean {
+    return node.childCount === 0 || node.children.length > 0;
+  }
+
+  // Download the whole subtree under the current root; the export is rendered server side
+  downloadHierarchy(format: HierarchyExportFormat) {
+    if (!this.tree) return;
+
+    const root = this.tree.user;
+    const extensions: { [key in HierarchyExportFormat]: string } = { dot: 'dot', mermaid: 'mmd', json: 'json', csv: 'csv' };
+
+    this.isExporting = true;
+    this.userService.exportDownline(root.id, format).subscribe({
+      next: (blob) => {
+        this.isExporting = false;
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `hierarchy-${root.username}-${new Date().toISOString().slice(0, 10)}.${extensions[format]}`;
+        link.click();
+        URL.revokeObjectURL(url);
+      },
+      error: (error) => {
+        this.isExporting = false;
+        console.error('Error exporting hierarchy:', error);
+        this.snackBar.open('Failed to export hierarchy', 'Close', { duration: 3000 });
+      }
+    });
+  }
+
   isExpanded(nodeId: string): boolean {
-    return this.expandedNodes.has(nodeId);
+    return this.hierarchyState.isExpanded(nodeId);
   }
 
   getRoleDisplayName(role: string): string {
@@ -56,7 +56,8 @@ export class UserListComponent implements OnInit {
       page: this.currentPage + 1,
       limit: this.pageSize,
       ...(this.roleFilter && { role: this.roleFilter }),
-      ...(this.statusFilter !== '' && { isActive: this.statusFilter === 'active' }),
+      ...(this.statusFilter === 'deleted' && { deleted: 'true' }),
+      ...(this.statusFilter !== '' && this.statusFilter !== 'deleted' && { isActive: this.statusFilter === 'active' }),
       ...(this.searchTerm && { search: this.searchTerm }),
       sortBy: 'createdAt',
       sortOrder: 'desc'
@@ -120,11 +121,32 @@ export class UserListComponent implements OnInit {
   }
 
   deleteUser(user: User) {
+    // Dry run first so the confirmation can say what happens to the user's downline
+    this.userService.deleteUser(user.id, { strategy: 'promote', dryRun: true }).subscribe({
+      next: (response) => {
+        const plan = response.data?.plan;
+        let message = `Are you sure you want to delete user "${user.username}"? This action cannot be undone.`;
+        
+        if (plan && plan.childCount > 0) {
+          const newParent = plan.newParent ? `"${plan.newParent.username}"` : 'the top level';
+          message += ` Their ${plan.childCount} direct user(s) will be moved to ${newParent}.`;
+        }
+        
+        this.confirmDeleteUser(user, message);
+      },
+      error: (error) => {
+        console.error('Error preparing user deletion:', error);
+        this.snackBar.open(error.error?.message || 'Failed to delete user', 'Close', { duration: 3000 });
+      }
+    });
+  }
+
+  private confirmDeleteUser(user: User, message: string) {
     const dialogRef = this.dialog.open(ConfirmDialogComponent, {
       width: '400px',
       data: {
         title: 'Delete User',
-        message: `Are you sure you want to delete user "${user.username}"? This action cannot be undone.`,
+        message,
         confirmText: 'Delete',
         cancelText: 'Cancel'
       }
@@ -132,7 +154,7 @@ export class UserListComponent implements OnInit {
 
     dialogRef.afterClosed().subscribe(result => {
       if (result) {
-        this.userService.deleteUser(user.id).subscribe({
+        this.userService.deleteUser(user.id, { strategy: 'promote' }).subscribe({
           next: (response) => {
             if (response.success) {
               this.snackBar.open('User deleted successfully', 'Close', { duration: 3000 });
@@ -148,6 +170,35 @@ export class UserListComponent implements OnInit {
     });
   }
 
+  restoreUser(user: User) {
+    const dialogRef = this.dialog.open(ConfirmDialogComponent, {
+      width: '400px',
+      data: {
+        title: 'Restore User',
+        message: `Restore user "${user.username}" and reactivate their account?`,
+        confirmText: 'Restore',
+        cancelText: 'Cancel'
+      }
+    });
+
+    dialogRef.afterClosed().subscribe(result => {
+      if (result) {
+        this.userService.restoreUser(user.id).subscribe({
+          next: (response) => {
+            if (response.success) {
+              this.snackBar.open('User restored successfully', 'Close', { duration: 3000 });
+              this.loadUsers();
+            }
+          },
+          error: (error) => {
+            console.error('Error restoring user:', error);
+            this.snackBar.open(error.error?.message || 'Failed to restore user', 'Close', { duration: 3000 });
+          }
+        });
+      }
+    });
+  }
+
   toggleUserStatus(user: User) {
     const newStatus = !user.isActive;
     const action = newStatus ? 'activate' : 'deactivate';
@@ -205,7 +256,11 @@ export class UserListComponent implements OnInit {
   }
 
   canEditUser(user: User): boolean {
-    return this.authService.canManageUser(user);
+    return !user.deletedAt && this.authService.canManageUser(user);
+  }
+
+  canRestoreUser(user: User): boolean {
+    return !!user.deletedAt && this.authService.hasRole('super_admin');
   }
 
   canDeleteUser(user: User): boolean {
@@ -215,8 +270,8 @@ export class UserListComponent implements OnInit {
     // Can't delete yourself
     if (currentUser.id === user.id) return false;
     
-    // Can't delete users with positive balance
-    if (user.balance > 0) return false;
+    // Can't delete users with positive balance or users already deleted
+    if (user.balance > 0 || user.deletedAt) return false;
     
     return this.authService.canManageUser(user);
   }
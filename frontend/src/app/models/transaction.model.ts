@@ -1,21 +1,80 @@
-import { User } from './user.model';
+import { User, Wallet } from './user.model';
 
 export interface Transaction {
   _id: string;
-  userId: User;
+  userId: User | null;
   type: 'credit' | 'debit';
+  category?: TransactionCategory;
+  currency: string;
   amount: number;
   previousBalance: number;
   newBalance: number;
   description: string;
-  performedBy: User;
+  performedBy: User | null;
   status: 'pending' | 'completed' | 'failed' | 'cancelled';
   reference: string;
   metadata?: any;
+  anonymized?: boolean;
+  operationId?: string | null;
+  // Reference of the credit a fee or commission was charged on
+  chargeOf?: string | null;
+  reversalOf?: string | null;
+  reversalStatus?: 'none' | 'partial' | 'full';
+  reversedAmount?: number;
+  reversedAt?: Date | null;
+  approval?: TransactionApproval | null;
   createdAt: Date;
   updatedAt: Date;
 }
 
+export type TransactionCategory = 'adjustment' | 'transfer' | 'conversion' | 'reversal' | 'capture' | 'fee' | 'commission';
+
+export type StatementFormat = 'csv' | 'pdf';
+
+// A statement covers a calendar month (YYYY-MM, UTC) or a date range
+export interface StatementPeriod {
+  month?: string;
+  startDate?: string;
+  endDate?: string;
+}
+
+export type ApprovalStatus = 'pending' | 'approved' | 'rejected' | 'expired';
+
+export interface TransactionApproval {
+  operation: 'add' | 'deduct';
+  status: ApprovalStatus;
+  requestedBy: User | string;
+  expiresAt: Date;
+  decidedBy: User | string | null;
+  decidedAt: Date | null;
+  reason: string | null;
+}
+
+export interface ApprovalQueueItem {
+  transaction: Transaction;
+  payerTransaction: Transaction | null;
+}
+
+export interface ApprovalListResponse {
+  approvals: ApprovalQueueItem[];
+  pagination: {
+    currentPage: number;
+    totalPages: number;
+    totalOperations: number;
+    hasNextPage: boolean;
+    hasPrevPage: boolean;
+    limit: number;
+  };
+}
+
+export interface BalanceOperationResult {
+  transaction: Transaction;
+  currency?: string;
+  newBalance?: number;
+  pending?: boolean;
+  expiresAt?: Date;
+}
+
 export interface TransactionListResponse {
   transactions: Transaction[];
   pagination: {
@@ -29,6 +88,7 @@ export interface TransactionListResponse {
 }
 
 export interface TransactionSummary {
+  currency: string;
   totalCredits: number;
   totalDebits: number;
   creditCount: number;
@@ -36,19 +96,101 @@ export interface TransactionSummary {
   netAmount: number;
 }
 
-export interface TransactionStats {
-  statistics: {
-    totalTransactions: number;
-    totalCredits: number;
-    totalDebits: number;
-    creditCount: number;
-    debitCount: number;
-  };
+export interface WalletCredit {
+  currency: string;
+  creditLimit: number;
+  creditUsed: number;
+  availableCredit: number;
+  availableBalance: number;
+  // Percent of the credit limit in use
+  utilization: number;
+}
+
+// Funds kept out of the available balance by active holds
+export interface WalletHolds {
+  currency: string;
+  count: number;
+  heldAmount: number;
+}
+
+export interface TransactionSummaryResponse {
+  summary: TransactionSummary[];
+  wallets: Wallet[];
+  credit: WalletCredit[];
+  holds: WalletHolds[];
+}
+
+export interface CurrencyStatistics {
+  currency: string;
+  totalTransactions: number;
+  totalCredits: number;
+  totalDebits: number;
+  creditCount: number;
+  debitCount: number;
   totalBalance: number;
 }
 
+export interface TransactionStats {
+  statistics: CurrencyStatistics[];
+  totalTransactions: number;
+}
+
 export interface BalanceOperation {
   userId: string;
   amount: number;
   description: string;
+  currency?: string;
+}
+
+export interface ExchangeRate {
+  _id: string;
+  from: string;
+  to: string;
+  rate: number;
+  updatedBy: User | string;
+  updatedAt: Date;
+}
+
+export interface ExchangeRateTable {
+  currencies: string[];
+  baseCurrency: string;
+  rates: ExchangeRate[];
+}
+
+export interface CurrencyConversion {
+  userId?: string;
+  from: string;
+  to: string;
+  amount: number;
+  description?: string;
+}
+
+export interface CurrencyConversionResult {
+  rate: number;
+  transactions: Transaction[];
+}
+
+export interface Payee {
+  id: string;
+  username: string;
+  email: string;
+  role: User['role'];
+  relation: 'parent' | 'child' | 'downline';
+}
+
+export interface Transfer {
+  recipientId: string;
+  amount: number;
+  currency?: string;
+  description?: string;
+}
+
+export interface TransferResult {
+  transaction: Transaction;
+  currency: string;
+  newBalance: number;
+  recipient: {
+    id: string;
+    username: string;
+  };
 }
\ No newline at end of file
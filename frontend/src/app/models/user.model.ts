@@ -3,12 +3,65 @@ export interface User {
   username: string;
   email: string;
   role: 'user' | 'moderator' | 'admin' | 'super_admin';
+  // Balance of the base-currency wallet
   balance: number;
+  // Spendable part of the base-currency wallet
+  availableBalance?: number;
+  wallets?: Wallet[];
   isActive: boolean;
   createdBy?: string;
   lastLogin?: Date;
   createdAt: Date;
   updatedAt?: Date;
+  deletedAt?: Date | null;
+  deletedBy?: string | null;
+  deletionReason?: string | null;
+}
+
+export interface Wallet {
+  currency: string;
+  balance: number;
+  reservedBalance: number;
+  // How far below zero the balance may go
+  creditLimit: number;
+  // balance less funds reserved for holds and pending approvals, plus creditLimit
+  availableBalance: number;
+}
+
+export interface DownlineSummary {
+  totalUsers: number;
+  totalBalances: { [currency: string]: number };
+  activeUsers: number;
+  inactiveUsers: number;
+  roleCounts: { [role: string]: number };
+  depth: number;
+}
+
+export interface HierarchyTreeNode {
+  user: {
+    id: string;
+    username: string;
+    email: string;
+    role: string;
+    balance: number;
+    wallets?: Wallet[];
+    isActive: boolean;
+    createdAt: Date;
+  };
+  children: HierarchyTreeNode[];
+  childCount: number;
+  hasMoreChildren: boolean;
+  childrenPage?: number;
+  summary?: DownlineSummary | null;
+}
+
+export interface UplineUser {
+  id: string;
+  username: string;
+  email: string;
+  role: 'user' | 'moderator' | 'admin' | 'super_admin';
+  isActive: boolean;
+  depth: number;
 }
 
 export interface CreateUserRequest {
@@ -47,7 +100,28 @@ export interface UserStats {
   roleStats: Array<{
     _id: string;
     count: number;
-    totalBalance: number;
+    totalBalances: { [currency: string]: number };
     activeUsers: number;
   }>;
+}
+
+export type DeletionStrategy = 'promote' | 'reassign' | 'cascade_deactivate';
+
+export interface DeleteUserOptions {
+  strategy?: DeletionStrategy;
+  reassignTo?: string;
+  reason?: string;
+  dryRun?: boolean;
+}
+
+export type HierarchyExportFormat = 'dot' | 'mermaid' | 'json' | 'csv';
+
+export interface DeletionPlan {
+  user: { id: string; username: string };
+  strategy: DeletionStrategy | 'none';
+  childCount: number;
+  descendantCount: number;
+  newParent: { id: string; username: string } | null;
+  reassignedChildren: Array<{ id: string; username: string; role: string }>;
+  deactivatedCount: number;
 }
\ No newline at end of file
@@ -1,14 +1,26 @@
 import { Injectable } from '@angular/core';
-import { HttpClient, HttpParams } from '@angular/common/http';
+import { HttpClient, HttpHeaders, HttpParams } from '@angular/common/http';
 import { Observable } from 'rxjs';
 import { environment } from '../../environments/environment';
 import { ApiResponse } from '../models/api-response.model';
 import { 
   Transaction, 
   TransactionListResponse, 
-  TransactionSummary, 
+  TransactionSummaryResponse, 
   TransactionStats, 
-  BalanceOperation 
+  BalanceOperation,
+  BalanceOperationResult,
+  ApprovalListResponse,
+  ApprovalStatus,
+  ExchangeRate,
+  ExchangeRateTable,
+  CurrencyConversion,
+  CurrencyConversionResult,
+  Payee,
+  Transfer,
+  TransferResult,
+  StatementFormat,
+  StatementPeriod
 } from '../models/transaction.model';
 
 @Injectable({
@@ -19,17 +31,19 @@ export class BalanceService {
 
   constructor(private http: HttpClient) {}
 
-  addBalance(operation: BalanceOperation): Observable<ApiResponse<{ transaction: Transaction; newBalance: number }>> {
-    return this.http.post<ApiResponse<{ transaction: Transaction; newBalance: number }>>(
+  addBalance(operation: BalanceOperation, idempotencyKey?: string): Observable<ApiResponse<BalanceOperationResult>> {
+    return this.http.post<ApiResponse<BalanceOperationResult>>(
       `${this.API_URL}/balance/add`,
-      operation
+      operation,
+      { headers: this.idempotencyHeaders(idempotencyKey) }
     );
   }
 
-  deductBalance(operation: BalanceOperation): Observable<ApiResponse<{ transaction: Transaction; newBalance: number }>> {
-    return this.http.post<ApiResponse<{ transaction: Transaction; newBalance: number }>>(
+  deductBalance(operation: BalanceOperation, idempotencyKey?: string): Observable<ApiResponse<BalanceOperationResult>> {
+    return this.http.post<ApiResponse<BalanceOperationResult>>(
       `${this.API_URL}/balance/deduct`,
-      operation
+      operation,
+      { headers: this.idempotencyHeaders(idempotencyKey) }
     );
   }
 
@@ -37,6 +51,8 @@ export class BalanceService {
     page?: number;
     limit?: number;
     type?: string;
+    category?: string;
+    currency?: string;
     startDate?: string;
     endDate?: string;
     sortBy?: string;
@@ -63,6 +79,8 @@ export class BalanceService {
     page?: number;
     limit?: number;
     type?: string;
+    category?: string;
+    currency?: string;
     startDate?: string;
     endDate?: string;
     sortBy?: string;
@@ -85,13 +103,25 @@ export class BalanceService {
     );
   }
 
-  getTransactionSummary(userId: string, startDate?: string, endDate?: string): Observable<ApiResponse<{ summary: TransactionSummary; currentBalance: number }>> {
+  // Statement with opening, running and closing balances, rendered by the API as CSV or PDF
+  downloadStatement(format: StatementFormat, period: StatementPeriod, currency?: string): Observable<Blob> {
+    let params = new HttpParams().set('format', format);
+
+    Object.entries(period).forEach(([key, value]) => {
+      if (value) params = params.set(key, value);
+    });
+    if (currency) params = params.set('currency', currency);
+
+    return this.http.get(`${this.API_URL}/balance/statement/me`, { params, responseType: 'blob' });
+  }
+
+  getTransactionSummary(userId: string, startDate?: string, endDate?: string): Observable<ApiResponse<TransactionSummaryResponse>> {
     let httpParams = new HttpParams();
     
     if (startDate) httpParams = httpParams.set('startDate', startDate);
     if (endDate) httpParams = httpParams.set('endDate', endDate);
 
-    return this.http.get<ApiResponse<{ summary: TransactionSummary; currentBalance: number }>>(
+    return this.http.get<ApiResponse<TransactionSummaryResponse>>(
       `${this.API_URL}/balance/summary/${userId}`,
       { params: httpParams }
     );
@@ -109,9 +139,94 @@ export class BalanceService {
     );
   }
 
+  getApprovals(params?: {
+    status?: ApprovalStatus;
+    page?: number;
+    limit?: number;
+  }): Observable<ApiResponse<ApprovalListResponse>> {
+    let httpParams = new HttpParams();
+    
+    if (params) {
+      Object.keys(params).forEach(key => {
+        const value = params[key as keyof typeof params];
+        if (value !== undefined && value !== null) {
+          httpParams = httpParams.set(key, value.toString());
+        }
+      });
+    }
+
+    return this.http.get<ApiResponse<ApprovalListResponse>>(
+      `${this.API_URL}/balance/approvals`,
+      { params: httpParams }
+    );
+  }
+
+  approveOperation(reference: string, reason?: string, idempotencyKey?: string): Observable<ApiResponse<{ transactions: Transaction[] }>> {
+    return this.http.post<ApiResponse<{ transactions: Transaction[] }>>(
+      `${this.API_URL}/balance/approvals/${reference}/approve`,
+      { reason },
+      { headers: this.idempotencyHeaders(idempotencyKey) }
+    );
+  }
+
+  rejectOperation(reference: string, reason?: string, idempotencyKey?: string): Observable<ApiResponse<{ transactions: Transaction[] }>> {
+    return this.http.post<ApiResponse<{ transactions: Transaction[] }>>(
+      `${this.API_URL}/balance/approvals/${reference}/reject`,
+      { reason },
+      { headers: this.idempotencyHeaders(idempotencyKey) }
+    );
+  }
+
+  getExchangeRates(): Observable<ApiResponse<ExchangeRateTable>> {
+    return this.http.get<ApiResponse<ExchangeRateTable>>(`${this.API_URL}/balance/exchange-rates`);
+  }
+
+  setExchangeRate(from: string, to: string, rate: number): Observable<ApiResponse<{ rate: ExchangeRate }>> {
+    return this.http.put<ApiResponse<{ rate: ExchangeRate }>>(
+      `${this.API_URL}/balance/exchange-rates/${from}/${to}`,
+      { rate }
+    );
+  }
+
+  deleteExchangeRate(from: string, to: string): Observable<ApiResponse<void>> {
+    return this.http.delete<ApiResponse<void>>(`${this.API_URL}/balance/exchange-rates/${from}/${to}`);
+  }
+
+  convertCurrency(conversion: CurrencyConversion, idempotencyKey?: string): Observable<ApiResponse<CurrencyConversionResult>> {
+    return this.http.post<ApiResponse<CurrencyConversionResult>>(
+      `${this.API_URL}/balance/convert`,
+      conversion,
+      { headers: this.idempotencyHeaders(idempotencyKey) }
+    );
+  }
+
+  getPayees(search?: string): Observable<ApiResponse<{ payees: Payee[] }>> {
+    let httpParams = new HttpParams();
+    
+    if (search) httpParams = httpParams.set('search', search);
+
+    return this.http.get<ApiResponse<{ payees: Payee[] }>>(
+      `${this.API_URL}/balance/transfer/payees`,
+      { params: httpParams }
+    );
+  }
+
+  transfer(transfer: Transfer, idempotencyKey?: string): Observable<ApiResponse<TransferResult>> {
+    return this.http.post<ApiResponse<TransferResult>>(
+      `${this.API_URL}/balance/transfer`,
+      transfer,
+      { headers: this.idempotencyHeaders(idempotencyKey) }
+    );
+  }
+
   getTransactionByReference(reference: string): Observable<ApiResponse<{ transaction: Transaction }>> {
     return this.http.get<ApiResponse<{ transaction: Transaction }>>(
       `${this.API_URL}/balance/transaction/${reference}`
     );
   }
+
+  // A key makes retries of the same mutation safe: the server replays the first response
+  private idempotencyHeaders(idempotencyKey?: string): HttpHeaders {
+    return idempotencyKey ? new HttpHeaders({ 'Idempotency-Key': idempotencyKey }) : new HttpHeaders();
+  }
 }
\ No newline at end of file
@@ -0,0 +1,28 @@
+import { Injectable } from '@angular/core';
+
+/**
+ * Keeps hierarchy view state (which nodes are expanded) alive across dialog and route
+ * changes, so reopening the hierarchy restores the previous expansion.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class HierarchyStateService {
+  readonly expandedNodes: Set<string> = new Set();
+
+  isExpanded(nodeId: string): boolean {
+    return this.expandedNodes.has(nodeId);
+  }
+
+  setExpanded(nodeId: string, expanded: boolean) {
+    if (expanded) {
+      this.expandedNodes.add(nodeId);
+    } else {
+      this.expandedNodes.delete(nodeId);
+    }
+  }
+
+  clear() {
+    this.expandedNodes.clear();
+  }
+}
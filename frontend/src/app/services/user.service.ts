@@ -3,7 +3,7 @@ import { HttpClient, HttpParams } from '@angular/common/http';
 import { Observable } from 'rxjs';
 import { environment } from '../../environments/environment';
 import { ApiResponse } from '../models/api-response.model';
-import { User, UserListResponse, UserStats, CreateUserRequest, UpdateUserRequest } from '../models/user.model';
+import { User, UserListResponse, UserStats, CreateUserRequest, UpdateUserRequest, DeleteUserOptions, DeletionPlan, UplineUser, HierarchyTreeNode, DownlineSummary, HierarchyExportFormat } from '../models/user.model';
 
 @Injectable({
   providedIn: 'root'
@@ -48,8 +48,24 @@ export class UserService {
     return this.http.put<ApiResponse<{ user: User }>>(`${this.API_URL}/users/${id}`, userData);
   }
 
-  deleteUser(id: string): Observable<ApiResponse<any>> {
-    return this.http.delete<ApiResponse<any>>(`${this.API_URL}/users/${id}`);
+  deleteUser(id: string, options?: DeleteUserOptions): Observable<ApiResponse<{ dryRun: boolean; plan: DeletionPlan }>> {
+    let httpParams = new HttpParams();
+    
+    if (options) {
+      Object.keys(options).forEach(key => {
+        const value = options[key as keyof typeof options];
+        if (value !== undefined && value !== null) {
+          httpParams = httpParams.set(key, value.toString());
+        }
+      });
+    }
+
+    return this.http.delete<ApiResponse<{ dryRun: boolean; plan: DeletionPlan }>>(`${this.API_URL}/users/${id}`, { params: httpParams });
+  }
+
+  restoreUser(id: string, newParentId?: string | null): Observable<ApiResponse<{ user: User }>> {
+    const body = newParentId !== undefined ? { newParentId } : {};
+    return this.http.post<ApiResponse<{ user: User }>>(`${this.API_URL}/users/${id}/restore`, body);
   }
 
   getUserStats(): Observable<ApiResponse<UserStats>> {
@@ -68,8 +84,41 @@ export class UserService {
     return this.http.get<ApiResponse<{ downline: User[]; count: number }>>(`${this.API_URL}/users/${userId}/downline`);
   }
 
-  getDownlineTree(userId: string): Observable<ApiResponse<{ tree: any }>> {
-    return this.http.get<ApiResponse<{ tree: any }>>(`${this.API_URL}/users/${userId}/downline/tree`);
+  getDownlineTree(userId: string, params?: {
+    depth?: number;
+    page?: number;
+    limit?: number;
+    summary?: boolean;
+  }): Observable<ApiResponse<{ tree: HierarchyTreeNode }>> {
+    let httpParams = new HttpParams();
+    
+    if (params) {
+      Object.keys(params).forEach(key => {
+        const value = params[key as keyof typeof params];
+        if (value !== undefined && value !== null) {
+          httpParams = httpParams.set(key, value.toString());
+        }
+      });
+    }
+
+    return this.http.get<ApiResponse<{ tree: HierarchyTreeNode }>>(`${this.API_URL}/users/${userId}/downline/tree`, { params: httpParams });
+  }
+
+  exportDownline(userId: string, format: HierarchyExportFormat): Observable<Blob> {
+    const params = new HttpParams().set('format', format);
+    return this.http.get(`${this.API_URL}/users/${userId}/downline/export`, { params, responseType: 'blob' });
+  }
+
+  moveUser(id: string, newParentId: string | null, reason?: string): Observable<ApiResponse<{ user: User; movedCount: number }>> {
+    return this.http.post<ApiResponse<{ user: User; movedCount: number }>>(`${this.API_URL}/users/${id}/move`, { newParentId, reason });
+  }
+
+  getDownlineSummary(userId: string): Observable<ApiResponse<{ summary: DownlineSummary }>> {
+    return this.http.get<ApiResponse<{ summary: DownlineSummary }>>(`${this.API_URL}/users/${userId}/downline/summary`);
+  }
+
+  getUpline(userId: string): Observable<ApiResponse<{ upline: UplineUser[]; count: number; clipped: boolean }>> {
+    return this.http.get<ApiResponse<{ upline: UplineUser[]; count: number; clipped: boolean }>>(`${this.API_URL}/users/${userId}/upline`);
   }
 
   getNextLevelUsers(userId: string): Observable<ApiResponse<{ users: User[]; count: number }>> {